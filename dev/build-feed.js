@@ -0,0 +1,229 @@
+/**
+ * ============================================================
+ * PROJEKT — Gerador do feed Atom dos insights
+ * ============================================================
+ * Lê data/insights/index.json e o front-matter de cada post
+ * (.md) e grava o feed.xml na raiz do site, sem nenhuma
+ * dependência além do Node.js.
+ *
+ * Uso (depois de publicar ou editar um post):
+ *   node dev/build-feed.js
+ *   SITE_URL=https://staging.projekt.com.br/ node dev/build-feed.js
+ *
+ * As regras de leitura do front-matter (título obrigatório,
+ * data AAAA-MM-DD, draft: true fora da lista) e o formato do
+ * slug seguem os do parseInsight() e do INSIGHT_SLUG em
+ * js/main.js (seção 34) — manter em sincronia.
+ * ============================================================
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT     = path.resolve(__dirname, '..');
+const SITE_URL = new URL(process.env.SITE_URL || 'https://www.projekt.com.br/').href;
+const INDEX    = path.join(ROOT, 'data/insights/index.json');
+const OUTPUT   = path.join(ROOT, 'feed.xml');
+
+const INSIGHTS_VERSION = 1;
+const INSIGHT_SLUG     = /^[a-z0-9]+(?:-[a-z0-9]+)*$/; // Mesmo padrão em js/main.js
+const FEED_TITLE       = 'Insights da Projekt';
+const FEED_SUBTITLE    = 'Artigos práticos sobre gestão ágil, PMO e inteligência artificial.';
+const DEFAULT_AUTHOR   = 'Equipe Projekt';
+
+/* ─────────────────────────────────────────────────────────
+   LEITURA DOS POSTS
+───────────────────────────────────────────────────────── */
+
+/**
+ * Front-matter YAML simplificado (chave: valor, listas inline
+ * [a, b] ou em linhas "- item"). Mesma gramática do main.js.
+ * @param {string} source
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(source) {
+  const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+  if (!match) return { data: {}, body: source };
+
+  const scalar = (raw) => {
+    const value = raw.trim();
+    if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  };
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(scalar(item[1]));
+      return;
+    }
+
+    const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!pair) return;
+    const [, key, raw] = pair;
+
+    listKey = raw.trim() ? null : key;
+    if (listKey) {
+      data[key] = [];
+    } else if (/^\[.*\]$/.test(raw.trim())) {
+      data[key] = raw.trim().slice(1, -1).split(',').map(scalar).filter(value => value !== '');
+    } else {
+      data[key] = scalar(raw);
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Primeiro parágrafo em texto puro — resumo quando o post não
+ * traz description (sem renderizar o Markdown inteiro).
+ * @param {string} body
+ * @returns {string}
+ */
+function firstParagraph(body) {
+  const block = body.split(/\n\s*\n/)
+    .map(part => part.trim())
+    .find(part => part && !/^(#{1,6}\s|```|~~~|>|[-*+]\s|\d+[.)]\s|\||[-*_]{3,}$)/.test(part));
+
+  return (block || '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_~`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, 200);
+}
+
+/**
+ * Lê um post. Sem título ou data válida o build falha, para o
+ * erro não chegar ao site; rascunhos voltam null.
+ * @param {string} slug
+ * @returns {Object|null}
+ */
+function readPost(slug) {
+  const source = fs.readFileSync(path.join(ROOT, 'data/insights', `${slug}.md`), 'utf8');
+  const { data, body } = parseFrontMatter(source);
+
+  if (typeof data.title !== 'string' || !data.title.trim()) throw new Error(`${slug}: title ausente`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date))) throw new Error(`${slug}: date deveria ser AAAA-MM-DD`);
+  if (data.draft === true) return null;
+
+  return {
+    slug,
+    title:       data.title.trim(),
+    date:        String(data.date),
+    author:      typeof data.author === 'string' && data.author ? data.author : DEFAULT_AUTHOR,
+    tags:        (Array.isArray(data.tags) ? data.tags : [data.tags]).filter(tag => typeof tag === 'string' && tag),
+    description: typeof data.description === 'string' && data.description.trim()
+      ? data.description.trim()
+      : firstParagraph(body),
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   ATOM
+───────────────────────────────────────────────────────── */
+
+/** @param {string} value @returns {string} */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Data AAAA-MM-DD como instante RFC 3339 (meio-dia de Brasília,
+ * o mesmo instante do INSIGHT_TIME em js/main.js).
+ * @param {string} date
+ * @returns {string}
+ */
+function toTimestamp(date) {
+  return `${date}T12:00:00-03:00`;
+}
+
+/**
+ * @param {Object} post
+ * @returns {string}
+ */
+function renderEntry(post) {
+  const url = new URL(SITE_URL);
+  url.searchParams.set('insight', post.slug);
+  const href = escapeXml(url.href);
+
+  return [
+    '  <entry>',
+    `    <title>${escapeXml(post.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${href}" />`,
+    `    <id>${href}</id>`,
+    `    <published>${toTimestamp(post.date)}</published>`,
+    `    <updated>${toTimestamp(post.date)}</updated>`,
+    `    <author><name>${escapeXml(post.author)}</name></author>`,
+    ...post.tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+    `    <summary>${escapeXml(post.description)}</summary>`,
+    '  </entry>',
+  ].join('\n');
+}
+
+/**
+ * @param {Object[]} posts - Já ordenados do mais recente
+ * @returns {string}
+ */
+function renderFeed(posts) {
+  const updated = posts.length ? toTimestamp(posts[0].date) : new Date().toISOString();
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="pt-BR">',
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(new URL('feed.xml', SITE_URL).href)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(new URL('#insights', SITE_URL).href)}" />`,
+    `  <id>${escapeXml(SITE_URL)}</id>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(DEFAULT_AUTHOR)}</name></author>`,
+    ...posts.map(renderEntry),
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/* ─────────────────────────────────────────────────────────
+   EXECUÇÃO
+───────────────────────────────────────────────────────── */
+
+function main() {
+  const index = JSON.parse(fs.readFileSync(INDEX, 'utf8'));
+  if (index.version !== INSIGHTS_VERSION || !Array.isArray(index.posts)) {
+    throw new Error(`index.json: versão ${index.version} não suportada (esperada ${INSIGHTS_VERSION})`);
+  }
+
+  const posts = index.posts
+    .filter(slug => {
+      if (INSIGHT_SLUG.test(slug)) return true;
+      console.warn(`  ! slug inválido ignorado: ${slug}`);
+      return false;
+    })
+    .map(readPost)
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  fs.writeFileSync(OUTPUT, renderFeed(posts));
+  console.log(`feed.xml: ${posts.length} post(s) → ${path.relative(process.cwd(), OUTPUT) || OUTPUT}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Erro ao gerar o feed: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,484 @@
+/**
+ * ============================================================
+ * PROJEKT — Servidor de desenvolvimento (mock)
+ * ============================================================
+ * Serve o site estático e simula os endpoints usados pelo JS,
+ * sem nenhuma dependência além do Node.js.
+ *
+ * Uso:
+ *   node dev/mock-server.js            → http://localhost:8080
+ *   PORT=3000 node dev/mock-server.js
+ *   POW=off node dev/mock-server.js    → formulários sem proof-of-work
+ *
+ * Simulação de falhas (query string em qualquer rota /api):
+ *   ?status=503   → responde com o status informado
+ *   ?delay=3000   → atrasa a resposta (ms) — útil p/ timeout
+ *   ?flaky=2      → falha (503) as N primeiras chamadas
+ * ============================================================
+ */
+
+'use strict';
+
+const http   = require('http');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.js':   'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md':   'text/markdown; charset=utf-8',
+  '.xml':  'application/atom+xml; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.ico':  'image/x-icon',
+};
+
+/* ─────────────────────────────────────────────────────────
+   UTILITÁRIOS
+───────────────────────────────────────────────────────── */
+
+/**
+ * Responde com JSON.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ * @param {Object} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Lê o corpo da requisição (JSON ou urlencoded/multipart simples).
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 1e6) req.destroy(); // Evita abuso de memória
+    });
+    req.on('end', () => {
+      const type = req.headers['content-type'] || '';
+      try {
+        if (type.includes('application/json')) return resolve(raw ? JSON.parse(raw) : {});
+        if (type.includes('multipart/form-data')) return resolve(parseMultipart(raw, type));
+        return resolve(Object.fromEntries(new URLSearchParams(raw)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parser mínimo de multipart/form-data (somente campos de texto).
+ * @param {string} raw
+ * @param {string} contentType
+ * @returns {Object}
+ */
+function parseMultipart(raw, contentType) {
+  const boundary = contentType.split('boundary=')[1];
+  if (!boundary) return {};
+
+  return raw.split(`--${boundary}`).reduce((acc, part) => {
+    const match = part.match(/name="([^"]+)"\r\n\r\n([\s\S]*?)\r\n$/);
+    if (match) acc[match[1]] = match[2];
+    return acc;
+  }, {});
+}
+
+/* ─────────────────────────────────────────────────────────
+   PROOF-OF-WORK ANTI-SPAM
+   Referência da verificação que o backend real deve fazer
+   (ver seção 21 do main.js) em /api/contact e /api/booking.
+───────────────────────────────────────────────────────── */
+
+const POW_DIFFICULTY = 14;             // bits zerados exigidos
+const POW_TTL        = 10 * 60 * 1000; // validade do desafio (ms)
+const POW_REQUIRED   = process.env.POW !== 'off'; // POW=off desliga o desafio
+
+// Leads da fila offline (queued_at) mais antigos que isso são recusados
+const LEAD_REPLAY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Desafios emitidos e ainda não usados → data de emissão
+const powChallenges = new Map();
+
+/**
+ * Confere um token "challenge:nonce": desafio emitido aqui,
+ * dentro da validade, ainda não usado e com o trabalho feito.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function verifyPow(token) {
+  const [challenge, nonce] = String(token).split(':');
+  const issuedAt = powChallenges.get(challenge);
+  if (!issuedAt || Date.now() - issuedAt > POW_TTL || !/^\d+$/.test(nonce || '')) return false;
+
+  powChallenges.delete(challenge); // Uso único
+
+  const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  const fullBytes = Math.floor(POW_DIFFICULTY / 8);
+  const mask = (0xff << (8 - (POW_DIFFICULTY % 8))) & 0xff;
+
+  return digest.subarray(0, fullBytes).every(byte => byte === 0)
+    && (mask === 0 || (digest[fullBytes] & mask) === 0);
+}
+
+/**
+ * Verificações comuns aos formulários protegidos (contato e
+ * agendamento): honeypot preenchido ou proof-of-work ausente/
+ * inválido → rejeita. Leads da fila offline também trazem token
+ * (resolvido no reenvio) e, marcados com queued_at, têm idade máxima.
+ * @param {http.ServerResponse} res
+ * @param {Object} body
+ * @returns {boolean} true se a requisição já foi respondida (rejeitada)
+ */
+function rejectSpam(res, body) {
+  if (body.website) {
+    sendJson(res, 400, { message: 'Envio rejeitado' });
+    return true;
+  }
+  if (POW_REQUIRED && !verifyPow(body.pow)) {
+    sendJson(res, 403, { message: 'Desafio anti-spam ausente, inválido ou expirado' });
+    return true;
+  }
+  if (body.queued_at !== undefined) {
+    const age = Date.now() - new Date(body.queued_at).getTime();
+    if (!(age >= 0 && age <= LEAD_REPLAY_MAX_AGE)) {
+      sendJson(res, 403, { message: 'Lead da fila expirado ou com data inválida' });
+      return true;
+    }
+  }
+  return false;
+}
+
+/* ─────────────────────────────────────────────────────────
+   AGENDA (DISPONIBILIDADE)
+   Dias úteis, das 9h às 17h de Brasília (UTC-3, sem horário
+   de verão), em blocos de 30 min. Parte dos horários aparece
+   ocupada de forma determinística, como numa agenda real.
+───────────────────────────────────────────────────────── */
+
+const SLOT_MINUTES    = 30;
+const AGENDA_OFFSET_H = -3;                 // America/Sao_Paulo
+const AGENDA_HOURS    = [9, 17];            // início e fim do expediente
+const BOOKING_NOTICE  = 2 * 60 * 60 * 1000; // antecedência mínima (ms)
+
+// Horários reservados (ISO de início) durante a execução do mock
+const bookedSlots = new Set();
+
+/**
+ * Horários livres a partir de `from`, pelos próximos `days` dias.
+ * @param {Date} from
+ * @param {number} days
+ * @returns {Array<{ start: string, end: string }>}
+ */
+function listAvailableSlots(from, days) {
+  const slots = [];
+  const earliest = Math.max(from.getTime(), Date.now()) + BOOKING_NOTICE;
+
+  for (let day = 0; day < days; day++) {
+    // Meia-noite local da agenda, expressa em UTC
+    const base = new Date(from.getTime() + AGENDA_OFFSET_H * 3600e3);
+    base.setUTCHours(0, 0, 0, 0);
+    base.setUTCDate(base.getUTCDate() + day);
+
+    const weekday = base.getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+
+    for (let minutes = AGENDA_HOURS[0] * 60; minutes < AGENDA_HOURS[1] * 60; minutes += SLOT_MINUTES) {
+      const start = new Date(base.getTime() + (minutes - AGENDA_OFFSET_H * 60) * 60e3);
+      const busy = (start.getUTCDate() * 7 + minutes / SLOT_MINUTES) % 3 === 0;
+
+      if (start.getTime() < earliest || busy || bookedSlots.has(start.toISOString())) continue;
+      slots.push({
+        start: start.toISOString(),
+        end: new Date(start.getTime() + SLOT_MINUTES * 60e3).toISOString(),
+      });
+    }
+  }
+
+  return slots;
+}
+
+/* ─────────────────────────────────────────────────────────
+   COLETOR DO RUM
+   Últimos lotes de Web Vitals e erros recebidos (seção 35 do
+   main.js), para conferir em GET /api/rum.
+───────────────────────────────────────────────────────── */
+
+const RUM_BATCH_LIMIT = 50;
+
+// Lotes recebidos durante a execução do mock (mais antigos saem)
+const rumBatches = [];
+
+/**
+ * Resume um evento do RUM em uma linha de log.
+ * @param {Object} event
+ * @returns {string}
+ */
+function describeRumEvent(event) {
+  switch (event.type) {
+    case 'metric':
+      return `${event.name} ${event.value} (${event.rating})${event.attribution?.element ? ` ← ${event.attribution.element}` : ''}`;
+    case 'longtasks':
+      return `long tasks: ${event.count} (total ${event.total} ms, maior ${event.max} ms)`;
+    case 'error':
+      return `erro${event.module ? ` em ${event.module}` : ''}: ${event.message}`;
+    default:
+      return `evento desconhecido: ${event.type}`;
+  }
+}
+
+/* ─────────────────────────────────────────────────────────
+   ROTAS DA API
+   Cada rota: 'MÉTODO /caminho' → handler(req, res, body, url)
+───────────────────────────────────────────────────────── */
+
+const routes = {
+  /**
+   * Recebe leads do formulário de contato. Valida os mesmos
+   * campos do client para exercitar o mapeamento de erros.
+   */
+  'POST /api/contact': (req, res, body) => {
+    if (rejectSpam(res, body)) return;
+
+    const errors = {};
+    if (!body.nome || String(body.nome).trim().length < 2) {
+      errors.nome = 'Nome deve ter ao menos 2 caracteres';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email || '')) {
+      errors.email = 'E-mail inválido';
+    }
+    if (!body.mensagem || String(body.mensagem).trim().length < 10) {
+      errors.mensagem = 'Mensagem deve ter ao menos 10 caracteres';
+    }
+
+    if (Object.keys(errors).length) {
+      return sendJson(res, 422, { message: 'Dados inválidos', errors });
+    }
+
+    console.log('[mock] Lead recebido:', body);
+    return sendJson(res, 201, { ok: true, id: Date.now().toString(36) });
+  },
+
+  /**
+   * Emite um desafio de proof-of-work para o formulário.
+   */
+  'GET /api/challenge': (req, res) => {
+    powChallenges.forEach((issuedAt, key) => {
+      if (Date.now() - issuedAt > POW_TTL) powChallenges.delete(key);
+    });
+
+    const challenge = crypto.randomBytes(16).toString('hex');
+    powChallenges.set(challenge, Date.now());
+    return sendJson(res, 200, { challenge, difficulty: POW_DIFFICULTY }, { 'Cache-Control': 'no-store' });
+  },
+
+  /**
+   * Horários livres para o agendamento (seção 26 do main.js).
+   * Query: ?from=ISO (padrão: agora) &days=N (padrão: 10, máx. 31)
+   */
+  'GET /api/availability': (req, res, body, url) => {
+    const from = new Date(url.searchParams.get('from') || Date.now());
+    const days = Math.min(parseInt(url.searchParams.get('days'), 10) || 10, 31);
+
+    if (Number.isNaN(from.getTime())) {
+      return sendJson(res, 400, { message: 'Parâmetro "from" inválido' });
+    }
+
+    return sendJson(res, 200, {
+      timezone: 'America/Sao_Paulo',
+      duration: SLOT_MINUTES,
+      slots: listAvailableSlots(from, days),
+    }, { 'Cache-Control': 'no-store' });
+  },
+
+  /**
+   * Reserva um horário. 409 se ele não estiver mais livre.
+   * Mesmas verificações anti-spam do contato.
+   */
+  'POST /api/booking': (req, res, body) => {
+    if (rejectSpam(res, body)) return;
+
+    const errors = {};
+    if (!body.nome || String(body.nome).trim().length < 2) {
+      errors.nome = 'Nome deve ter ao menos 2 caracteres';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email || '')) {
+      errors.email = 'E-mail inválido';
+    }
+    if (Object.keys(errors).length) {
+      return sendJson(res, 422, { message: 'Dados inválidos', errors });
+    }
+
+    const start = new Date(body.start);
+    const free = !Number.isNaN(start.getTime())
+      && listAvailableSlots(new Date(start.getTime() - 24 * 3600e3), 2)
+        .some(slot => slot.start === start.toISOString());
+
+    if (!free) {
+      return sendJson(res, 409, { message: 'Horário indisponível' });
+    }
+
+    bookedSlots.add(start.toISOString());
+    console.log('[mock] Agendamento:', body);
+    return sendJson(res, 201, {
+      id: crypto.randomBytes(8).toString('hex'),
+      start: start.toISOString(),
+      end: new Date(start.getTime() + SLOT_MINUTES * 60e3).toISOString(),
+    });
+  },
+
+  /**
+   * Coletor de eventos no formato da Events API do Plausible
+   * (adaptador "plausible" do analytics).
+   */
+  'POST /api/event': (req, res, body) => {
+    console.log(`[mock] Evento: ${body.name}`, body.props || {});
+    res.writeHead(202).end();
+  },
+
+  /**
+   * Coletor do RUM: recebe lotes via sendBeacon e mostra cada
+   * métrica/erro no terminal.
+   */
+  'POST /api/rum': (req, res, body) => {
+    if (!Array.isArray(body.events)) {
+      return sendJson(res, 400, { message: 'Lote sem events' });
+    }
+
+    rumBatches.push({ ...body, receivedAt: new Date().toISOString() });
+    if (rumBatches.length > RUM_BATCH_LIMIT) rumBatches.shift();
+
+    body.events.forEach(event => console.log(`[mock] RUM ${body.page}: ${describeRumEvent(event)}`));
+    res.writeHead(204).end();
+  },
+
+  /** Lotes recebidos pelo coletor do RUM (mais recentes por último). */
+  'GET /api/rum': (req, res) => {
+    sendJson(res, 200, { batches: rumBatches });
+  },
+};
+
+/* ─────────────────────────────────────────────────────────
+   SIMULAÇÃO DE FALHAS
+───────────────────────────────────────────────────────── */
+
+// Contador de chamadas por rota para o modo ?flaky=N
+const flakyCounters = new Map();
+
+/**
+ * Aplica ?delay, ?status e ?flaky. Retorna true se já respondeu.
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @returns {Promise<boolean>}
+ */
+async function simulateFailures(res, url) {
+  const delay  = parseInt(url.searchParams.get('delay'), 10);
+  const status = parseInt(url.searchParams.get('status'), 10);
+  const flaky  = parseInt(url.searchParams.get('flaky'), 10);
+
+  if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+  if (status >= 400) {
+    sendJson(res, status, { message: `Falha simulada (${status})` }, status === 429 ? { 'Retry-After': '1' } : {});
+    return true;
+  }
+
+  if (flaky > 0) {
+    const count = (flakyCounters.get(url.pathname) || 0) + 1;
+    flakyCounters.set(url.pathname, count);
+    if (count <= flaky) {
+      sendJson(res, 503, { message: `Instabilidade simulada (${count}/${flaky})` });
+      return true;
+    }
+    flakyCounters.delete(url.pathname);
+  }
+
+  return false;
+}
+
+/* ─────────────────────────────────────────────────────────
+   ARQUIVOS ESTÁTICOS
+───────────────────────────────────────────────────────── */
+
+/**
+ * Serve um arquivo do repositório (index.html para "/").
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ */
+function serveStatic(res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400).end(); // %-encoding malformado (ex.: /%E0%A4%A)
+    return;
+  }
+
+  const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : decoded);
+
+  // Impede path traversal para fora da raiz do projeto (inclusive
+  // pastas vizinhas com o mesmo prefixo, como ../tree-outra)
+  const relative = path.relative(ROOT, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Não encontrado');
+      return;
+    }
+    const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(content);
+  });
+}
+
+/* ─────────────────────────────────────────────────────────
+   SERVIDOR
+───────────────────────────────────────────────────────── */
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const handler = routes[`${req.method} ${url.pathname}`];
+
+  if (!url.pathname.startsWith('/api/')) {
+    serveStatic(res, url.pathname);
+    return;
+  }
+
+  try {
+    if (await simulateFailures(res, url)) return;
+    if (!handler) return sendJson(res, 404, { message: 'Rota não encontrada' });
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+    await handler(req, res, body, url);
+  } catch (error) {
+    console.error('[mock] Erro:', error);
+    sendJson(res, 500, { message: 'Erro interno do mock' });
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`[mock] Projekt em http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { server, routes, sendJson };
@@ -0,0 +1,785 @@
+/**
+ * ============================================================
+ * PROJEKT — Dicionários de Tradução
+ * ============================================================
+ * Consumido por initI18n() em main.js (seção 15).
+ *
+ * Convenções:
+ *   • Chaves planas com pontos: 'secao.elemento.campo'
+ *   • O HTML é a fonte do português: as chaves de marcação
+ *     (data-i18n, data-i18n-html, data-i18n-attr) não precisam
+ *     existir em 'pt-BR' — o texto original é lido do DOM.
+ *   • 'pt-BR' aqui só guarda textos gerados pelo JS.
+ *   • Interpolação: {nome} é substituído por t(key, { nome }).
+ *   • Valores usados em data-i18n-html podem conter HTML;
+ *     somente marcação fixa e confiável deste arquivo.
+ *
+ * Para adicionar um idioma: crie o bloco abaixo e registre-o
+ * em I18N_LOCALES (main.js).
+ * ============================================================
+ */
+
+'use strict';
+
+const I18N_MESSAGES = {
+
+  /* ─────────────────────────────────────────────────────────
+     PORTUGUÊS (BRASIL) — somente textos do JS
+  ───────────────────────────────────────────────────────── */
+  'pt-BR': {
+    'form.errors.nome':             'Nome deve ter ao menos 2 caracteres',
+    'form.errors.email':            'E-mail inválido',
+    'form.errors.mensagem':         'Mensagem deve ter ao menos 10 caracteres',
+    'form.errors.select':           'Selecione uma opção',
+    'form.errors.required':         'Campo obrigatório',
+    'form.errors.minlength':        'Informe ao menos {arg} caracteres',
+    'form.errors.phone':            'Celular inválido — informe DDD + 9 dígitos',
+    'form.errors.cnpj':             'CNPJ inválido',
+    'form.errors.cep':              'CEP deve ter 8 dígitos',
+    'form.errors.cepNotFound':      'CEP não encontrado',
+    'form.wizard.back':             'Voltar',
+    'form.wizard.next':             'Continuar',
+    'form.wizard.progress':         'Etapa {current} de {total}: {title}',
+    'form.feedback.success':        '✓ Mensagem enviada! Entraremos em contato em breve.',
+    'form.feedback.error':          'Ocorreu um erro. Por favor, tente pelo WhatsApp ou e-mail.',
+    'form.feedback.review':         'Revise os campos destacados e tente novamente.',
+    'form.feedback.mailto':         'Não conseguimos enviar agora. Abrimos seu e-mail com a mensagem pronta.',
+    'form.feedback.mailtoOpened':   'Abrimos seu app de e-mail com a mensagem pronta. Conclua o envio por lá — se ele não abriu, escreva para {address}.',
+    'form.feedback.queuedOffline':  '⏳ Você está offline. Guardamos sua mensagem e ela será enviada assim que a conexão voltar.',
+    'form.feedback.queuedUnstable': '⏳ Conexão instável. Guardamos sua mensagem e ela será enviada assim que a conexão voltar.',
+    'form.feedback.replaySuccess':  '✓ Sua mensagem pendente foi enviada! Entraremos em contato em breve.',
+    'form.feedback.replayError':    'Não foi possível enviar sua mensagem pendente. Por favor, tente pelo WhatsApp ou e-mail.',
+    'form.feedback.tooFast':        'Envio rápido demais. Aguarde alguns segundos e tente novamente.',
+    'form.feedback.rateLimited':    'Você já enviou várias mensagens. Tente novamente em {minutes} min ou fale pelo WhatsApp.',
+    'form.feedback.duplicate':      '✓ Já recebemos esta mensagem. Entraremos em contato em breve.',
+    'carousel.dot':                 'Depoimento {n}',
+    'carousel.prev':                'Ver depoimento anterior',
+    'carousel.next':                'Ver próximo depoimento',
+    'carousel.slide':               'depoimento',
+    'carousel.slideLabel':          '{n} de {total}',
+    'carousel.status':              'Depoimento {n} de {total}: {author}',
+    'carousel.rotation.stop':       'Pausar a rotação dos depoimentos',
+    'carousel.rotation.start':      'Retomar a rotação dos depoimentos',
+    'testimonials.rating':          'Avaliação: {n} de 5',
+    'booking.timezone':             'Horários no seu fuso: {tz}',
+    'booking.loading':              'Carregando horários disponíveis…',
+    'booking.empty':                'Sem horários livres nos próximos dias. Fale com a gente pelo WhatsApp.',
+    'booking.loadError':            'Não foi possível carregar os horários.',
+    'booking.retry':                'Tentar novamente',
+    'booking.selected':             'Horário escolhido: {date}. Confirme seus dados abaixo.',
+    'booking.success':              '✓ Conversa agendada para {date}.',
+    'booking.taken':                'Esse horário acabou de ser reservado. Escolha outro, por favor.',
+    'booking.duplicate':            '✓ Já recebemos este agendamento. Até breve!',
+    'booking.rateLimited':          'Você já fez vários envios. Tente agendar de novo em {minutes} min ou fale pelo WhatsApp.',
+    'booking.error':                'Não foi possível agendar agora. Tente novamente ou fale pelo WhatsApp.',
+    'booking.ics.download':         'Adicionar à agenda (.ics)',
+    'booking.ics.summary':          'Conversa com a Projekt',
+    'booking.ics.description':      'Conversa inicial de 30 minutos com um consultor da Projekt.',
+    'whatsapp.greeting':            'Olá! Gostaria de conversar sobre um projeto.',
+    'whatsapp.service':             'Área de interesse: {service}',
+    'whatsapp.origin':              'Origem: {origin}',
+    'whatsapp.qrLabel':             'QR Code para abrir a conversa no WhatsApp',
+
+    // Busca (Ctrl/Cmd+K)
+    'search.group.section':         'Seção',
+    'search.action.whatsapp':       'Falar no WhatsApp',
+    'search.action.email':          'Enviar e-mail',
+    'search.action.contact':        'Ir para contato',
+
+    // Cases
+    'cases.count':                  'Cases exibidos: {n}',
+
+    // Insights
+    'insights.docTitle':            '{title} | Insights Projekt',
+    'insights.readingTime':         '{n} min de leitura',
+    'insights.by':                  'Por {author}',
+
+    // Atribuição (links de e-mail)
+    'attribution.mailOrigin':       'Origem: {origin}',
+    'theme.toggle':                 'Tema: {theme}. Alterar para {next}',
+    'theme.system':                 'automático',
+    'theme.light':                  'claro',
+    'theme.dark':                   'escuro',
+    'theme.contrast':               'alto contraste',
+  },
+
+  /* ─────────────────────────────────────────────────────────
+     ENGLISH
+  ───────────────────────────────────────────────────────── */
+  en: {
+    // Metadados
+    'meta.title':         'Projekt — Technology & AI Project Management | Curitiba, Brazil',
+    'meta.description':   'Projekt: consultancy specialized in technology projects, agile management and artificial intelligence. Over 30 years of experience. Curitiba, Brazil.',
+    'meta.ogTitle':       'Projekt — Technology & AI Project Management',
+    'meta.ogDescription': 'Consultancy specialized in technology, agile management and AI. 30+ years of experience. Curitiba, Brazil.',
+
+    // Navegação
+    'lang.label':      'Language',
+    'nav.label':       'Main navigation',
+    'nav.home':        'Projekt — Home',
+    'nav.solucoes':    'Solutions',
+    'nav.diferenciais':'Why Us',
+    'nav.metodologia': 'Methodology',
+    'nav.sobre':       'About',
+    'nav.contato':     'Contact',
+    'nav.cta':         'Talk to an Expert',
+    'nav.ctaLabel':    'Talk to an expert on WhatsApp',
+    'nav.toggle':      'Open navigation menu',
+    'nav.mobileMenu':  'Navigation menu',
+
+    // Hero
+    'hero.label':        'Introducing Projekt',
+    'hero.badge':        'Curitiba, Paraná — Brazil',
+    'hero.title':        'Projects that<br /><span class="text-gradient">Define</span><br />the Future',
+    'hero.subtitle':     'Consultancy specialized in technology, agile management and AI.<br />Over 30 years turning vision into results.',
+    'hero.ctaPrimary':   'Start a Project',
+    'hero.ctaSecondary': 'Our Solutions',
+    'hero.scroll':       'Scroll',
+    'motion.pause':      'Pause animations',
+
+    // Manifesto
+    'manifesto.label':   'Projekt manifesto',
+    'manifesto.eyebrow': 'Our Essence',
+    'manifesto.quote':   '"We turn complexity into<br /><em>measurable results.</em>"',
+    'manifesto.body':    'At Projekt, we don’t deliver reports — we deliver finished projects. With senior consultants who lived the evolution of technology from the inside, we combine methodological rigor with the agility today’s market demands.',
+    'stats.anos':        'Years of Experience in Technology',
+    'stats.projetos':    'Projects Delivered',
+    'stats.satisfacao':  'Satisfaction Rate',
+    'stats.velocidade':  'Faster than the Industry Average',
+
+    // Soluções
+    'solucoes.label':                  'Projekt solutions',
+    'solucoes.cta':                    'Learn more',
+    'solucoes.tecnologia.label':       'Technology Projects',
+    'solucoes.tecnologia.eyebrow':     '01 — Technology',
+    'solucoes.tecnologia.title':       'Technology<br />Projects',
+    'solucoes.tecnologia.description': 'From systems architecture to rollout — we manage complex technology initiatives with governance, traceability and delivery within scope, schedule and budget.',
+    'solucoes.tecnologia.f1':          'Technology portfolio management',
+    'solucoes.tecnologia.f2':          'Corporate digital transformation',
+    'solucoes.tecnologia.f3':          'Systems architecture and integration',
+    'solucoes.tecnologia.f4':          'IT vendor management',
+    'solucoes.agile.label':            'Agile Management',
+    'solucoes.agile.eyebrow':          '02 — Agility',
+    'solucoes.agile.title':            'Agile<br />Management',
+    'solucoes.agile.description':      'Agile frameworks aren’t recipes — they’re philosophies. We adapt Scrum, Kanban, SAFe and OKRs to your organization’s real culture and pace, delivering results from the very first sprint.',
+    'solucoes.agile.f1':               'Scrum and Kanban implementation',
+    'solucoes.agile.f2':               'Scaled Agile (SAFe, LeSS)',
+    'solucoes.agile.f3':               'OKRs and product metrics',
+    'solucoes.agile.f4':               'Team and leadership coaching',
+    'solucoes.ia.label':               'Artificial Intelligence Projects',
+    'solucoes.ia.eyebrow':             '03 — Artificial Intelligence',
+    'solucoes.ia.title':               'Artificial<br />Intelligence<br />Projects',
+    'solucoes.ia.description':         'AI isn’t a trend — it’s the new competitive battlefield. We manage AI initiatives from feasibility study to production, with rigor in ethics, data, governance and ROI.',
+    'solucoes.ia.f1':                  'AI strategy and roadmap',
+    'solucoes.ia.f2':                  'ML/LLM project management',
+    'solucoes.ia.f3':                  'AI governance and ethics',
+    'solucoes.ia.f4':                  'Integrating AI into business processes',
+
+    // Diferenciais
+    'diferenciais.label':            'What sets Projekt apart',
+    'diferenciais.eyebrow':          'Why Projekt',
+    'diferenciais.title':            'What makes us<br />different',
+    'diferenciais.subtitle':         'Decades of experience don’t mean delivering the past — they mean navigating the present with maturity and vision.',
+    'diferenciais.seniority.title':  'Real Seniority',
+    'diferenciais.seniority.body':   'Our consultants have over 30 years of hands-on experience in technology. No interns running critical projects — here, the seniors are in the field.',
+    'diferenciais.resultado.title':  'Results-Driven',
+    'diferenciais.resultado.body':   'We measure success by projects delivered, not hours billed. Every engagement starts by defining what "done" means for your business.',
+    'diferenciais.agnostica.title':  'Technology Agnostic',
+    'diferenciais.agnostica.body':   'No vendor or stack preferences. We recommend the best solution for your context, not the one that earns us the highest margin.',
+    'diferenciais.governanca.title': 'Solid Governance',
+    'diferenciais.governanca.body':  'Full traceability of decisions, risks and scope changes. Your project is always visible, never a black box.',
+    'diferenciais.curitiba.title':   'Based in Curitiba',
+    'diferenciais.curitiba.body':    'Rooted in the most structured tech ecosystem in southern Brazil. Close to our clients, with access to the region’s best talent.',
+    'diferenciais.ia.title':         'Applied AI',
+    'diferenciais.ia.body':          'We don’t just manage AI projects — we use AI to manage projects. Tools, automation and data in service of delivery.',
+
+    // Metodologia
+    'metodologia.label':              'Projekt methodology',
+    'metodologia.eyebrow':            'How We Work',
+    'metodologia.title':              'From conversation<br />to delivery',
+    'metodologia.subtitle':           'A structured journey that eliminates surprises and maximizes value at every phase.',
+    'metodologia.diagnostico.title':  'Assessment',
+    'metodologia.diagnostico.body':   'Deep dive into the client’s context: goals, constraints, stakeholders and risks. Without an assessment, any solution is a guess.',
+    'metodologia.planejamento.title': 'Planning',
+    'metodologia.planejamento.body':  'Defined scope, structured WBS, realistic schedule and risk plan. The foundation that prevents crises.',
+    'metodologia.execucao.title':     'Agile Execution',
+    'metodologia.execucao.body':      'Short delivery cycles, full visibility and continuous adaptation. Value from the very first week.',
+    'metodologia.monitoramento.title':'Monitoring',
+    'metodologia.monitoramento.body': 'Real-time dashboards, clear KPIs and focused alignment meetings. No unnecessary meetings.',
+    'metodologia.encerramento.title': 'Closing',
+    'metodologia.encerramento.body':  'Knowledge transfer, documentation and lessons learned. Your team ready to sustain the results.',
+
+    // Sobre
+    'sobre.label':       'About Projekt',
+    'sobre.imageLabel':  'Curitiba, Paraná — Projekt headquarters',
+    'sobre.eyebrow':     'About Projekt',
+    'sobre.title':       'Born from<br />experience,<br />driven by delivery.',
+    'sobre.p1':          'Projekt was born from a simple conviction: the Brazilian technology market needs project management by people who have lived through the most expensive mistakes — and learned to avoid them.',
+    'sobre.p2':          'Our core team is made up of senior consultants with over 30 years of hands-on experience in technology. They have worked at multinationals, startups and public institutions. They know the shortcuts and the dead ends.',
+    'sobre.p3':          'Based in Curitiba — home to the most mature tech ecosystem in southern Brazil — we serve clients across the country and abroad with the technical depth of people who have been in the trenches.',
+    'sobre.local':       'Curitiba, Paraná',
+    'sobre.consultores': 'Senior Consultants',
+    'sobre.cta':         'Meet Our Team',
+
+    // Depoimentos
+    'depoimentos.label':    'Client testimonials',
+    'depoimentos.eyebrow':  'What our clients say',
+    'depoimentos.title':    'Real results,<br />real voices.',
+    'depoimentos.q1.quote': '"Projekt turned the chaos of our ERP project into a structured delivery. In 8 months we did what we couldn’t do in the previous 2 years."',
+    'depoimentos.q1.role':  'CTO — Grupo Paranaense',
+    'depoimentos.q2.quote': '"Their perspective on AI was decisive. They didn’t just manage the project — they helped us ask the right questions before writing the first line of code."',
+    'depoimentos.q2.role':  'Head of Data — Fintech Sul',
+    'depoimentos.q3.quote': '"Consulting without the fluff. They diagnosed the problems in the first week, prioritized what mattered and delivered on time — a rarity in this industry."',
+    'depoimentos.q3.role':  'Director of Operations — Indústria Curitibana',
+    'carousel.controls':    'Carousel controls',
+    'carousel.dots':        'Testimonial indicators',
+    'carousel.dot':         'Testimonial {n}',
+    'carousel.prev':        'View previous testimonial',
+    'carousel.next':        'View next testimonial',
+    'carousel.roledescription': 'carousel',
+    'carousel.label':       'Client testimonials',
+    'carousel.slide':       'testimonial',
+    'carousel.slideLabel':  '{n} of {total}',
+    'carousel.status':      'Testimonial {n} of {total}: {author}',
+    'carousel.rotation.stop':  'Stop testimonial rotation',
+    'carousel.rotation.start': 'Start testimonial rotation',
+    'testimonials.filter.label': 'Filter testimonials by area',
+    'testimonials.filter.all':   'All',
+    'testimonials.empty':        'No testimonials in this area yet.',
+    'testimonials.rating':       'Rating: {n} out of 5',
+    'theme.toggle':              'Theme: {theme}. Switch to {next}',
+    'theme.system':              'automatic',
+    'theme.light':               'light',
+    'theme.dark':                'dark',
+    'theme.contrast':            'high contrast',
+
+    // Contato
+    'contato.label':         'Get in touch with Projekt',
+    'contato.eyebrow':       'Contact',
+    'contato.title':         'Shall we build<br />something great<br /><span class="text-gradient">together?</span>',
+    'contato.subtitle':      'Tell us about your project. We reply within 24 business hours — usually much sooner.',
+    'contato.whatsappLabel': 'Chat on WhatsApp',
+    'contato.emailLabel':    'Send an e-mail to Projekt',
+    'contato.linkedinLabel': 'Visit Projekt on LinkedIn',
+    'contato.email':         'E-mail',
+
+    // Formulário
+    'form.label':                   'Contact form',
+    'form.title':                   'Get in Touch',
+    'form.subtitle':                'Fill in the form and we’ll get back to you.',
+    'form.nome.label':              'Full name *',
+    'form.nome.placeholder':        'Your name',
+    'form.email.label':             'Business e-mail *',
+    'form.email.placeholder':       'you@company.com',
+    'form.telefone.label':          'Mobile / WhatsApp',
+    'form.empresa.label':           'Company',
+    'form.empresa.placeholder':     'Your company name',
+    'form.cnpj.label':              'CNPJ (company tax ID)',
+    'form.cep.label':               'CEP (postal code)',
+    'form.cep.hint':                'When you send the form, we confirm the CEP with ViaCEP, an external address lookup service.',
+    'form.servico.label':           'Area of interest',
+    'form.servico.vazio':           'Select an area',
+    'form.servico.tecnologia':      'Technology Projects',
+    'form.servico.agile':           'Agile Management',
+    'form.servico.ia':              'AI Projects',
+    'form.servico.outro':           'Other',
+    'form.mensagem.label':          'Message *',
+    'form.mensagem.placeholder':    'Tell us about your project or challenge...',
+    'form.steps.contato':           'Your details',
+    'form.steps.servico':           'What you need',
+    'form.steps.agile':             'Your agile context',
+    'form.steps.ia':                'Your data for AI',
+    'form.steps.mensagem':          'Your project',
+    'form.opcaoVazia':              'Select',
+    'form.tamanhoTime.label':       'Team size *',
+    'form.tamanhoTime.ate10':       'Up to 10 people',
+    'form.tamanhoTime.ate50':       '11 to 50 people',
+    'form.tamanhoTime.ate200':      '51 to 200 people',
+    'form.tamanhoTime.mais200':     'More than 200 people',
+    'form.prazo.label':             'When do you need to start? *',
+    'form.prazo.imediato':          'Right away',
+    'form.prazo.trimestre':         'Within the next 3 months',
+    'form.prazo.semestre':          'In 3 to 6 months',
+    'form.prazo.indefinido':        'No timeline yet',
+    'form.orcamento.label':         'Investment range *',
+    'form.orcamento.ate50k':        'Up to R$ 50k',
+    'form.orcamento.ate200k':       'R$ 50k to R$ 200k',
+    'form.orcamento.ate500k':       'R$ 200k to R$ 500k',
+    'form.orcamento.mais500k':      'Above R$ 500k',
+    'form.orcamento.indefinido':    'Not defined yet',
+    'form.maturidade.label':        'Agile maturity *',
+    'form.maturidade.inicial':      'We don’t use agile methods yet',
+    'form.maturidade.experimentando': 'Some teams are trying Scrum or Kanban',
+    'form.maturidade.praticando':   'Agile teams, but no common standard',
+    'form.maturidade.escalando':    'Established agile, looking to scale',
+    'form.prontidaoDados.label':    'What state is your company’s data in? *',
+    'form.prontidaoDados.semDados': 'We don’t collect structured data yet',
+    'form.prontidaoDados.dispersos': 'We have data, but spread across many systems',
+    'form.prontidaoDados.centralizados': 'Centralized, without formal governance',
+    'form.prontidaoDados.governados': 'Centralized and governed',
+    'form.submit':                  'Send Message',
+    'form.errors.nome':             'Name must be at least 2 characters',
+    'form.errors.email':            'Invalid e-mail',
+    'form.errors.mensagem':         'Message must be at least 10 characters',
+    'form.errors.select':           'Please select an option',
+    'form.errors.required':         'This field is required',
+    'form.errors.minlength':        'Enter at least {arg} characters',
+    'form.errors.phone':            'Invalid mobile number — enter area code + 9 digits',
+    'form.errors.cnpj':             'Invalid CNPJ',
+    'form.errors.cep':              'CEP must have 8 digits',
+    'form.errors.cepNotFound':      'CEP not found',
+    'form.wizard.back':             'Back',
+    'form.wizard.next':             'Continue',
+    'form.wizard.progress':         'Step {current} of {total}: {title}',
+    'form.feedback.success':        '✓ Message sent! We’ll be in touch soon.',
+    'form.feedback.error':          'Something went wrong. Please reach us on WhatsApp or by e-mail.',
+    'form.feedback.review':         'Please review the highlighted fields and try again.',
+    'form.feedback.mailto':         'We couldn’t send it right now. We opened your e-mail with the message ready to go.',
+    'form.feedback.mailtoOpened':   'We opened your e-mail app with the message ready. Finish sending it there — if it didn’t open, write to {address}.',
+    'form.feedback.queuedOffline':  '⏳ You’re offline. We saved your message and will send it as soon as you’re back online.',
+    'form.feedback.queuedUnstable': '⏳ Unstable connection. We saved your message and will send it as soon as the connection is back.',
+    'form.feedback.replaySuccess':  '✓ Your pending message was sent! We’ll be in touch soon.',
+    'form.feedback.replayError':    'We couldn’t send your pending message. Please reach us on WhatsApp or by e-mail.',
+    'form.feedback.tooFast':        'That was too fast. Please wait a few seconds and try again.',
+    'form.feedback.rateLimited':    'You’ve already sent several messages. Try again in {minutes} min or reach us on WhatsApp.',
+    'form.feedback.duplicate':      '✓ We’ve already received this message. We’ll be in touch soon.',
+
+    // Agendamento
+    'booking.title':          'Prefer to book a call?',
+    'booking.subtitle':       'Pick a time for a 30-minute call with a consultant.',
+    'booking.days':           'Available days',
+    'booking.slots':          'Available times',
+    'booking.submit':         'Confirm booking',
+    'booking.timezone':       'Times shown in your time zone: {tz}',
+    'booking.loading':        'Loading available times…',
+    'booking.empty':          'No open times in the coming days. Reach us on WhatsApp.',
+    'booking.loadError':      'We couldn’t load the available times.',
+    'booking.retry':          'Try again',
+    'booking.selected':       'Selected time: {date}. Confirm your details below.',
+    'booking.success':        '✓ Call booked for {date}.',
+    'booking.taken':          'That time was just booked. Please choose another one.',
+    'booking.duplicate':      '✓ We’ve already received this booking. Talk soon!',
+    'booking.rateLimited':    'You’ve already sent several requests. Try booking again in {minutes} min or reach us on WhatsApp.',
+    'booking.error':          'We couldn’t book right now. Try again or reach us on WhatsApp.',
+    'booking.ics.download':   'Add to calendar (.ics)',
+    'booking.ics.summary':    'Call with Projekt',
+    'booking.ics.description': 'Initial 30-minute call with a Projekt consultant.',
+
+    // WhatsApp
+    'whatsapp.greeting':      'Hi! I’d like to talk about a project.',
+    'whatsapp.service':       'Area of interest: {service}',
+    'whatsapp.origin':        'Source: {origin}',
+    'whatsapp.qrLabel':       'QR code to open the chat on WhatsApp',
+    'whatsapp.close':         'Close',
+    'whatsapp.title':         'Continue on your phone',
+    'whatsapp.desc':          'Point your phone’s camera at the code and the chat opens in WhatsApp with the message ready.',
+    'whatsapp.openHere':      'Open WhatsApp on this computer',
+
+    // Busca (Ctrl/Cmd+K)
+    'search.open':            'Search the site',
+    'search.label':           'Search the site',
+    'search.placeholder':     'Search services, steps, differentiators…',
+    'search.results':         'Results',
+    'search.empty':           'Nothing found. Try another word or get in touch.',
+    'search.group.section':   'Section',
+    'search.action.whatsapp': 'Chat on WhatsApp',
+    'search.action.email':    'Send an e-mail',
+    'search.action.contact':  'Go to contact',
+
+    // Atribuição (links de e-mail)
+    'attribution.mailOrigin': 'Source: {origin}',
+
+    // Cases
+    'cases.label':            'Client case studies',
+    'cases.eyebrow':          'Case studies',
+    'cases.title':            'Projects delivered,<br />results measured.',
+    'cases.subtitle':         'Challenge, approach and numbers from real projects. Client names withheld at their request.',
+    'cases.filter.label':     'Filter case studies by area',
+    'cases.industry.label':   'Industry',
+    'cases.industry.all':     'All industries',
+    'cases.empty':            'No case studies match these filters. Try another combination.',
+    'cases.count':            'Case studies shown: {n}',
+    'cases.close':            'Close',
+    'cases.metrics':          'Results in numbers',
+    'cases.challenge':        'Challenge',
+    'cases.approach':         'Approach',
+    'cases.results':          'Results',
+    'cases.cta':              'I want results like these',
+
+    // Insights
+    'insights.label':         'Projekt insights',
+    'insights.eyebrow':       'Insights',
+    'insights.title':         'What we learn<br />delivering projects.',
+    'insights.subtitle':      'Practical articles on agile management, PMO and artificial intelligence.',
+    'insights.feed':          'Subscribe to the feed',
+    'insights.back':          'All insights',
+    'insights.ctaText':       'Want to apply this to your project?',
+    'insights.cta':           'Talk to us',
+    'insights.docTitle':      '{title} | Projekt Insights',
+    'insights.readingTime':   '{n} min read',
+    'insights.by':            'By {author}',
+
+    // Footer
+    'footer.tagline':     'Technology project management, agile management and AI. Curitiba, Paraná, Brazil.',
+    'footer.social':      'Projekt on social media',
+    'footer.linkedin':    'Projekt on LinkedIn',
+    'footer.instagram':   'Projekt on Instagram',
+    'footer.whatsapp':    'Projekt on WhatsApp',
+    'footer.twitter':     'Projekt on X (Twitter)',
+    'footer.empresa':     'Company',
+    'footer.metodologia': 'Our Methodology',
+    'footer.depoimentos': 'Testimonials',
+    'footer.trabalhe':    'Work With Us',
+    'footer.endereco':    'Curitiba, PR — Brazil',
+    'footer.copyright':   'Projekt Gestão de Projetos. All rights reserved.',
+    'footer.privacidade': 'Privacy Policy',
+    'footer.termos':      'Terms of Use',
+
+    // Consentimento (LGPD)
+    'consent.title':       'Your privacy',
+    'consent.body':        'We use browsing metrics to understand which content and channels work best. Nothing is collected without your permission, in line with Brazil’s data protection law (LGPD). You can change your choice at any time under "Privacy preferences" in the footer.',
+    'consent.reject':      'Decline',
+    'consent.accept':      'Accept metrics',
+    'consent.preferences': 'Privacy preferences',
+  },
+
+  /* ─────────────────────────────────────────────────────────
+     ESPAÑOL (LATINOAMÉRICA)
+  ───────────────────────────────────────────────────────── */
+  es: {
+    // Metadados
+    'meta.title':         'Projekt — Gestión de Proyectos de Tecnología e IA | Curitiba, Brasil',
+    'meta.description':   'Projekt: consultoría especializada en proyectos de tecnología, gestión ágil e inteligencia artificial. Más de 30 años de experiencia. Curitiba, Brasil.',
+    'meta.ogTitle':       'Projekt — Gestión de Proyectos de Tecnología e IA',
+    'meta.ogDescription': 'Consultoría especializada en tecnología, gestión ágil e IA. Más de 30 años de experiencia. Curitiba, Brasil.',
+
+    // Navegação
+    'lang.label':      'Idioma',
+    'nav.label':       'Navegación principal',
+    'nav.home':        'Projekt — Inicio',
+    'nav.solucoes':    'Soluciones',
+    'nav.diferenciais':'Diferenciales',
+    'nav.metodologia': 'Metodología',
+    'nav.sobre':       'Nosotros',
+    'nav.contato':     'Contacto',
+    'nav.cta':         'Hablar con un Especialista',
+    'nav.ctaLabel':    'Hablar con un especialista por WhatsApp',
+    'nav.toggle':      'Abrir menú de navegación',
+    'nav.mobileMenu':  'Menú de navegación',
+
+    // Hero
+    'hero.label':        'Presentación de Projekt',
+    'hero.badge':        'Curitiba, Paraná — Brasil',
+    'hero.title':        'Proyectos que<br /><span class="text-gradient">Definen</span><br />el Futuro',
+    'hero.subtitle':     'Consultoría especializada en tecnología, gestión ágil e IA.<br />Más de 30 años transformando visión en resultados.',
+    'hero.ctaPrimary':   'Iniciar Proyecto',
+    'hero.ctaSecondary': 'Nuestras Soluciones',
+    'hero.scroll':       'Desliza',
+    'motion.pause':      'Pausar animaciones',
+
+    // Manifesto
+    'manifesto.label':   'Manifiesto de Projekt',
+    'manifesto.eyebrow': 'Nuestra Esencia',
+    'manifesto.quote':   '"Transformamos complejidad en<br /><em>resultados medibles.</em>"',
+    'manifesto.body':    'En Projekt no entregamos informes — entregamos proyectos terminados. Con consultores sénior que vivieron la evolución de la tecnología desde adentro, unimos rigor metodológico con la agilidad que exige el mercado actual.',
+    'stats.anos':        'Años de Experiencia en Tecnología',
+    'stats.projetos':    'Proyectos Entregados',
+    'stats.satisfacao':  'Tasa de Satisfacción',
+    'stats.velocidade':  'Más Rápido que el Promedio del Sector',
+
+    // Soluções
+    'solucoes.label':                  'Soluciones de Projekt',
+    'solucoes.cta':                    'Conoce más',
+    'solucoes.tecnologia.label':       'Proyectos de Tecnología',
+    'solucoes.tecnologia.eyebrow':     '01 — Tecnología',
+    'solucoes.tecnologia.title':       'Proyectos de<br />Tecnología',
+    'solucoes.tecnologia.description': 'De la arquitectura de sistemas a la implementación — gestionamos iniciativas tecnológicas complejas con gobernanza, trazabilidad y entrega dentro del alcance, plazo y presupuesto.',
+    'solucoes.tecnologia.f1':          'Gestión del portafolio tecnológico',
+    'solucoes.tecnologia.f2':          'Transformación digital corporativa',
+    'solucoes.tecnologia.f3':          'Arquitectura e integración de sistemas',
+    'solucoes.tecnologia.f4':          'Gestión de proveedores de TI',
+    'solucoes.agile.label':            'Gestión Ágil',
+    'solucoes.agile.eyebrow':          '02 — Agilidad',
+    'solucoes.agile.title':            'Gestión<br />Ágil',
+    'solucoes.agile.description':      'Los marcos ágiles no son recetas — son filosofías. Adaptamos Scrum, Kanban, SAFe y OKRs a la cultura y al ritmo real de tu organización, generando resultados desde el primer sprint.',
+    'solucoes.agile.f1':               'Implementación de Scrum y Kanban',
+    'solucoes.agile.f2':               'Agilidad a escala (SAFe, LeSS)',
+    'solucoes.agile.f3':               'OKRs y métricas de producto',
+    'solucoes.agile.f4':               'Coaching de equipos y liderazgo',
+    'solucoes.ia.label':               'Proyectos de Inteligencia Artificial',
+    'solucoes.ia.eyebrow':             '03 — Inteligencia Artificial',
+    'solucoes.ia.title':               'Proyectos de<br />Inteligencia<br />Artificial',
+    'solucoes.ia.description':         'La IA no es una tendencia — es el nuevo campo de batalla competitivo. Gestionamos iniciativas de IA desde el estudio de viabilidad hasta producción, con rigor en ética, datos, gobernanza y ROI.',
+    'solucoes.ia.f1':                  'Estrategia y hoja de ruta de IA',
+    'solucoes.ia.f2':                  'Gestión de proyectos de ML/LLM',
+    'solucoes.ia.f3':                  'Gobernanza y ética en IA',
+    'solucoes.ia.f4':                  'Integración de IA en procesos de negocio',
+
+    // Diferenciais
+    'diferenciais.label':            'Diferenciales de Projekt',
+    'diferenciais.eyebrow':          'Por qué Projekt',
+    'diferenciais.title':            'Lo que nos hace<br />diferentes',
+    'diferenciais.subtitle':         'Décadas de experiencia no significan entregar el pasado — significan navegar el presente con madurez y visión.',
+    'diferenciais.seniority.title':  'Seniority Real',
+    'diferenciais.seniority.body':   'Nuestros consultores tienen más de 30 años de experiencia práctica en tecnología. Nada de practicantes gestionando proyectos críticos — aquí, los sénior están en el campo.',
+    'diferenciais.resultado.title':  'Foco en Resultados',
+    'diferenciais.resultado.body':   'Medimos el éxito por proyectos entregados, no por horas facturadas. Cada proyecto comienza definiendo qué significa "terminado" para tu negocio.',
+    'diferenciais.agnostica.title':  'Tecnología Agnóstica',
+    'diferenciais.agnostica.body':   'Sin preferencias por proveedores ni stacks. Recomendamos la mejor solución para tu contexto, no la que nos deja más margen.',
+    'diferenciais.governanca.title': 'Gobernanza Sólida',
+    'diferenciais.governanca.body':  'Trazabilidad completa de decisiones, riesgos y cambios de alcance. Tu proyecto siempre visible, nunca una caja negra.',
+    'diferenciais.curitiba.title':   'Presencia en Curitiba',
+    'diferenciais.curitiba.body':    'Arraigados en el ecosistema tecnológico más estructurado del sur de Brasil. Cercanía con el cliente y acceso al mejor talento de la región.',
+    'diferenciais.ia.title':         'IA Aplicada',
+    'diferenciais.ia.body':          'No solo gestionamos proyectos de IA — usamos IA para gestionar proyectos. Herramientas, automatización y datos al servicio de la entrega.',
+
+    // Metodologia
+    'metodologia.label':              'Metodología de Projekt',
+    'metodologia.eyebrow':            'Cómo Trabajamos',
+    'metodologia.title':              'De la conversación<br />a la entrega',
+    'metodologia.subtitle':           'Un recorrido estructurado que elimina sorpresas y maximiza el valor en cada fase.',
+    'metodologia.diagnostico.title':  'Diagnóstico',
+    'metodologia.diagnostico.body':   'Inmersión en el contexto del cliente: objetivos, restricciones, stakeholders y riesgos. Sin diagnóstico, cualquier solución es una apuesta.',
+    'metodologia.planejamento.title': 'Planificación',
+    'metodologia.planejamento.body':  'Alcance definido, EDT estructurada, cronograma realista y plan de riesgos. La base que evita crisis.',
+    'metodologia.execucao.title':     'Ejecución Ágil',
+    'metodologia.execucao.body':      'Ciclos cortos de entrega, visibilidad total y adaptación continua. Valor generado desde la primera semana.',
+    'metodologia.monitoramento.title':'Monitoreo',
+    'metodologia.monitoramento.body': 'Dashboards en tiempo real, KPIs claros y reuniones de alineación objetivas. Sin reuniones innecesarias.',
+    'metodologia.encerramento.title': 'Cierre',
+    'metodologia.encerramento.body':  'Transferencia de conocimiento, documentación y lecciones aprendidas. Tu equipo preparado para sostener el resultado.',
+
+    // Sobre
+    'sobre.label':       'Sobre Projekt',
+    'sobre.imageLabel':  'Curitiba, Paraná — sede de Projekt',
+    'sobre.eyebrow':     'Sobre Projekt',
+    'sobre.title':       'Nacimos de la<br />experiencia,<br />vivimos por la entrega.',
+    'sobre.p1':          'Projekt nació de una convicción simple: el mercado tecnológico brasileño necesita gestión de proyectos hecha por quienes ya vivieron los errores más caros — y aprendieron a evitarlos.',
+    'sobre.p2':          'Nuestro núcleo está formado por consultores sénior con más de 30 años de experiencia práctica en tecnología. Pasaron por multinacionales, startups y organismos públicos. Conocen los atajos y los callejones sin salida.',
+    'sobre.p3':          'Con sede en Curitiba — la ciudad con el ecosistema tecnológico más maduro del sur de Brasil — atendemos clientes en todo el país y en América Latina con la profundidad técnica de quien estuvo en la trinchera.',
+    'sobre.local':       'Curitiba, Paraná',
+    'sobre.consultores': 'Consultores Sénior',
+    'sobre.cta':         'Conoce a Nuestro Equipo',
+
+    // Depoimentos
+    'depoimentos.label':    'Testimonios de clientes',
+    'depoimentos.eyebrow':  'Lo que dicen nuestros clientes',
+    'depoimentos.title':    'Resultados reales,<br />voces reales.',
+    'depoimentos.q1.quote': '"Projekt transformó el caos de nuestro proyecto de ERP en una entrega estructurada. En 8 meses hicimos lo que no logramos en los 2 años anteriores."',
+    'depoimentos.q1.role':  'CTO — Grupo Paranaense',
+    'depoimentos.q2.quote': '"Su mirada sobre la IA fue determinante. No solo gestionaron el proyecto — nos ayudaron a hacer las preguntas correctas antes de escribir la primera línea de código."',
+    'depoimentos.q2.role':  'Head of Data — Fintech Sul',
+    'depoimentos.q3.quote': '"Consultoría sin rodeos. Diagnosticaron los problemas en la primera semana, priorizaron lo que importaba y entregaron a tiempo — algo raro en el sector."',
+    'depoimentos.q3.role':  'Director de Operaciones — Indústria Curitibana',
+    'carousel.controls':    'Controles del carrusel',
+    'carousel.dots':        'Indicadores de testimonios',
+    'carousel.dot':         'Testimonio {n}',
+    'carousel.prev':        'Ver testimonio anterior',
+    'carousel.next':        'Ver siguiente testimonio',
+    'carousel.roledescription': 'carrusel',
+    'carousel.label':       'Testimonios de clientes',
+    'carousel.slide':       'testimonio',
+    'carousel.slideLabel':  '{n} de {total}',
+    'carousel.status':      'Testimonio {n} de {total}: {author}',
+    'carousel.rotation.stop':  'Detener la rotación de testimonios',
+    'carousel.rotation.start': 'Reanudar la rotación de testimonios',
+    'testimonials.filter.label': 'Filtrar testimonios por área',
+    'testimonials.filter.all':   'Todos',
+    'testimonials.empty':        'Aún no hay testimonios en esta área.',
+    'testimonials.rating':       'Calificación: {n} de 5',
+    'theme.toggle':              'Tema: {theme}. Cambiar a {next}',
+    'theme.system':              'automático',
+    'theme.light':               'claro',
+    'theme.dark':                'oscuro',
+    'theme.contrast':            'alto contraste',
+
+    // Contato
+    'contato.label':         'Ponte en contacto con Projekt',
+    'contato.eyebrow':       'Contacto',
+    'contato.title':         '¿Construimos<br />algo grande<br /><span class="text-gradient">juntos?</span>',
+    'contato.subtitle':      'Cuéntanos sobre tu proyecto. Respondemos en hasta 24 horas hábiles — normalmente mucho antes.',
+    'contato.whatsappLabel': 'Hablar por WhatsApp',
+    'contato.emailLabel':    'Enviar un correo a Projekt',
+    'contato.linkedinLabel': 'Visitar el LinkedIn de Projekt',
+    'contato.email':         'Correo',
+
+    // Formulário
+    'form.label':                   'Formulario de contacto',
+    'form.title':                   'Contáctanos',
+    'form.subtitle':                'Completa el formulario y te contactaremos.',
+    'form.nome.label':              'Nombre completo *',
+    'form.nome.placeholder':        'Tu nombre',
+    'form.email.label':             'Correo corporativo *',
+    'form.email.placeholder':       'tu@empresa.com',
+    'form.telefone.label':          'Celular / WhatsApp',
+    'form.empresa.label':           'Empresa',
+    'form.empresa.placeholder':     'Nombre de tu empresa',
+    'form.cnpj.label':              'CNPJ (registro fiscal)',
+    'form.cep.label':               'CEP (código postal)',
+    'form.cep.hint':                'Al enviar, confirmamos el CEP en ViaCEP, un servicio externo de consulta de direcciones.',
+    'form.servico.label':           'Área de interés',
+    'form.servico.vazio':           'Selecciona un área',
+    'form.servico.tecnologia':      'Proyectos de Tecnología',
+    'form.servico.agile':           'Gestión Ágil',
+    'form.servico.ia':              'Proyectos de IA',
+    'form.servico.outro':           'Otro',
+    'form.mensagem.label':          'Mensaje *',
+    'form.mensagem.placeholder':    'Cuéntanos sobre tu proyecto o desafío...',
+    'form.steps.contato':           'Tus datos',
+    'form.steps.servico':           'Lo que necesitas',
+    'form.steps.agile':             'Tu contexto ágil',
+    'form.steps.ia':                'Tus datos para IA',
+    'form.steps.mensagem':          'Tu proyecto',
+    'form.opcaoVazia':              'Selecciona',
+    'form.tamanhoTime.label':       'Tamaño del equipo *',
+    'form.tamanhoTime.ate10':       'Hasta 10 personas',
+    'form.tamanhoTime.ate50':       '11 a 50 personas',
+    'form.tamanhoTime.ate200':      '51 a 200 personas',
+    'form.tamanhoTime.mais200':     'Más de 200 personas',
+    'form.prazo.label':             '¿Cuándo necesitas empezar? *',
+    'form.prazo.imediato':          'De inmediato',
+    'form.prazo.trimestre':         'En los próximos 3 meses',
+    'form.prazo.semestre':          'Entre 3 y 6 meses',
+    'form.prazo.indefinido':        'Aún sin plazo definido',
+    'form.orcamento.label':         'Rango de inversión *',
+    'form.orcamento.ate50k':        'Hasta R$ 50 mil',
+    'form.orcamento.ate200k':       'R$ 50 mil a R$ 200 mil',
+    'form.orcamento.ate500k':       'R$ 200 mil a R$ 500 mil',
+    'form.orcamento.mais500k':      'Más de R$ 500 mil',
+    'form.orcamento.indefinido':    'Aún no definido',
+    'form.maturidade.label':        'Madurez en métodos ágiles *',
+    'form.maturidade.inicial':      'Aún no usamos métodos ágiles',
+    'form.maturidade.experimentando': 'Algunos equipos prueban Scrum o Kanban',
+    'form.maturidade.praticando':   'Equipos ágiles, pero sin un estándar común',
+    'form.maturidade.escalando':    'Ágil consolidado, buscando escalar',
+    'form.prontidaoDados.label':    '¿Cómo están los datos de tu empresa? *',
+    'form.prontidaoDados.semDados': 'Aún no recopilamos datos estructurados',
+    'form.prontidaoDados.dispersos': 'Tenemos datos, pero dispersos en varios sistemas',
+    'form.prontidaoDados.centralizados': 'Centralizados, sin gobernanza formal',
+    'form.prontidaoDados.governados': 'Centralizados y con gobernanza',
+    'form.submit':                  'Enviar Mensaje',
+    'form.errors.nome':             'El nombre debe tener al menos 2 caracteres',
+    'form.errors.email':            'Correo inválido',
+    'form.errors.mensagem':         'El mensaje debe tener al menos 10 caracteres',
+    'form.errors.select':           'Selecciona una opción',
+    'form.errors.required':         'Campo obligatorio',
+    'form.errors.minlength':        'Ingresa al menos {arg} caracteres',
+    'form.errors.phone':            'Celular inválido — ingresa código de área + 9 dígitos',
+    'form.errors.cnpj':             'CNPJ inválido',
+    'form.errors.cep':              'El CEP debe tener 8 dígitos',
+    'form.errors.cepNotFound':      'CEP no encontrado',
+    'form.wizard.back':             'Volver',
+    'form.wizard.next':             'Continuar',
+    'form.wizard.progress':         'Paso {current} de {total}: {title}',
+    'form.feedback.success':        '✓ ¡Mensaje enviado! Te contactaremos pronto.',
+    'form.feedback.error':          'Ocurrió un error. Por favor, escríbenos por WhatsApp o correo.',
+    'form.feedback.review':         'Revisa los campos destacados e inténtalo de nuevo.',
+    'form.feedback.mailto':         'No pudimos enviarlo ahora. Abrimos tu correo con el mensaje listo.',
+    'form.feedback.mailtoOpened':   'Abrimos tu app de correo con el mensaje listo. Termina el envío allí — si no se abrió, escribe a {address}.',
+    'form.feedback.queuedOffline':  '⏳ Estás sin conexión. Guardamos tu mensaje y lo enviaremos en cuanto vuelva la conexión.',
+    'form.feedback.queuedUnstable': '⏳ Conexión inestable. Guardamos tu mensaje y lo enviaremos en cuanto vuelva la conexión.',
+    'form.feedback.replaySuccess':  '✓ ¡Tu mensaje pendiente fue enviado! Te contactaremos pronto.',
+    'form.feedback.replayError':    'No pudimos enviar tu mensaje pendiente. Por favor, escríbenos por WhatsApp o correo.',
+    'form.feedback.tooFast':        'Envío demasiado rápido. Espera unos segundos e inténtalo de nuevo.',
+    'form.feedback.rateLimited':    'Ya enviaste varios mensajes. Inténtalo de nuevo en {minutes} min o escríbenos por WhatsApp.',
+    'form.feedback.duplicate':      '✓ Ya recibimos este mensaje. Te contactaremos pronto.',
+
+    // Agendamiento
+    'booking.title':          '¿Prefieres agendar una conversación?',
+    'booking.subtitle':       'Elige un horario para una conversación de 30 minutos con un consultor.',
+    'booking.days':           'Días disponibles',
+    'booking.slots':          'Horarios disponibles',
+    'booking.submit':         'Confirmar cita',
+    'booking.timezone':       'Horarios en tu zona horaria: {tz}',
+    'booking.loading':        'Cargando horarios disponibles…',
+    'booking.empty':          'No hay horarios libres en los próximos días. Escríbenos por WhatsApp.',
+    'booking.loadError':      'No pudimos cargar los horarios.',
+    'booking.retry':          'Intentar de nuevo',
+    'booking.selected':       'Horario elegido: {date}. Confirma tus datos abajo.',
+    'booking.success':        '✓ Conversación agendada para el {date}.',
+    'booking.taken':          'Ese horario acaba de ser reservado. Elige otro, por favor.',
+    'booking.duplicate':      '✓ Ya recibimos este agendamiento. ¡Hasta pronto!',
+    'booking.rateLimited':    'Ya hiciste varios envíos. Intenta agendar de nuevo en {minutes} min o escríbenos por WhatsApp.',
+    'booking.error':          'No pudimos agendar ahora. Inténtalo de nuevo o escríbenos por WhatsApp.',
+    'booking.ics.download':   'Añadir al calendario (.ics)',
+    'booking.ics.summary':    'Conversación con Projekt',
+    'booking.ics.description': 'Conversación inicial de 30 minutos con un consultor de Projekt.',
+
+    // WhatsApp
+    'whatsapp.greeting':      '¡Hola! Me gustaría conversar sobre un proyecto.',
+    'whatsapp.service':       'Área de interés: {service}',
+    'whatsapp.origin':        'Origen: {origin}',
+    'whatsapp.qrLabel':       'Código QR para abrir la conversación en WhatsApp',
+    'whatsapp.close':         'Cerrar',
+    'whatsapp.title':         'Continúa en tu celular',
+    'whatsapp.desc':          'Apunta la cámara del celular al código y la conversación se abre en WhatsApp con el mensaje listo.',
+    'whatsapp.openHere':      'Abrir WhatsApp en esta computadora',
+
+    // Busca (Ctrl/Cmd+K)
+    'search.open':            'Buscar en el sitio',
+    'search.label':           'Buscar en el sitio',
+    'search.placeholder':     'Buscar servicios, etapas, diferenciales…',
+    'search.results':         'Resultados',
+    'search.empty':           'No encontramos nada. Pruebe otra palabra o hable con nosotros.',
+    'search.group.section':   'Sección',
+    'search.action.whatsapp': 'Hablar por WhatsApp',
+    'search.action.email':    'Enviar un e-mail',
+    'search.action.contact':  'Ir a contacto',
+
+    // Atribuição (links de e-mail)
+    'attribution.mailOrigin': 'Origen: {origin}',
+
+    // Cases
+    'cases.label':            'Casos de clientes',
+    'cases.eyebrow':          'Casos',
+    'cases.title':            'Proyectos entregados,<br />resultados medidos.',
+    'cases.subtitle':         'Desafío, enfoque y números de proyectos reales. Nombres de clientes reservados a pedido de ellos.',
+    'cases.filter.label':     'Filtrar casos por área',
+    'cases.industry.label':   'Sector',
+    'cases.industry.all':     'Todos los sectores',
+    'cases.empty':            'Ningún caso coincide con estos filtros. Prueba otra combinación.',
+    'cases.count':            'Casos mostrados: {n}',
+    'cases.close':            'Cerrar',
+    'cases.metrics':          'Resultados en números',
+    'cases.challenge':        'Desafío',
+    'cases.approach':         'Enfoque',
+    'cases.results':          'Resultados',
+    'cases.cta':              'Quiero resultados así',
+
+    // Insights
+    'insights.label':         'Insights de Projekt',
+    'insights.eyebrow':       'Insights',
+    'insights.title':         'Lo que aprendemos<br />entregando proyectos.',
+    'insights.subtitle':      'Artículos prácticos sobre gestión ágil, PMO e inteligencia artificial.',
+    'insights.feed':          'Suscribirse al feed',
+    'insights.back':          'Todos los insights',
+    'insights.ctaText':       '¿Quieres aplicar esto en tu proyecto?',
+    'insights.cta':           'Habla con nosotros',
+    'insights.docTitle':      '{title} | Insights Projekt',
+    'insights.readingTime':   '{n} min de lectura',
+    'insights.by':            'Por {author}',
+
+    // Footer
+    'footer.tagline':     'Gestión de proyectos de tecnología, gestión ágil e IA. Curitiba, Paraná, Brasil.',
+    'footer.social':      'Redes sociales de Projekt',
+    'footer.linkedin':    'LinkedIn de Projekt',
+    'footer.instagram':   'Instagram de Projekt',
+    'footer.whatsapp':    'WhatsApp de Projekt',
+    'footer.twitter':     'X (Twitter) de Projekt',
+    'footer.empresa':     'Empresa',
+    'footer.metodologia': 'Nuestra Metodología',
+    'footer.depoimentos': 'Testimonios',
+    'footer.trabalhe':    'Trabaja con Nosotros',
+    'footer.endereco':    'Curitiba, PR — Brasil',
+    'footer.copyright':   'Projekt Gestão de Projetos. Todos los derechos reservados.',
+    'footer.privacidade': 'Política de Privacidad',
+    'footer.termos':      'Términos de Uso',
+
+    // Consentimento (LGPD)
+    'consent.title':       'Tu privacidad',
+    'consent.body':        'Usamos métricas de navegación para entender qué contenidos y canales funcionan mejor. No recopilamos nada sin tu permiso, conforme a la ley brasileña de protección de datos (LGPD). Puedes cambiar tu elección en cualquier momento en "Preferencias de privacidad", en el pie de página.',
+    'consent.reject':      'Rechazar',
+    'consent.accept':      'Aceptar métricas',
+    'consent.preferences': 'Preferencias de privacidad',
+  },
+};
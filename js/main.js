@@ -11,11 +11,34 @@
  *   6.  Partículas do hero
  *   7.  Animação de contadores (stats)
  *   8.  Carrossel de depoimentos
- *   9.  Formulário de contato
+ *   9.  Formulário de contato (transportes de envio + retry)
  *   10. GSAP ScrollTrigger (efeitos avançados)
  *   11. Smooth scroll para links âncora
  *   12. Footer: ano atual
- *   13. Init (ponto de entrada)
+ *   13. CSS extra (estilos dependentes de JS)
+ *   14. Fila offline de leads (IndexedDB + service worker)
+ *   15. Internacionalização (pt-BR / en / es)
+ *   16. Feed de depoimentos (JSON + filtros por área)
+ *   17. Analytics e consentimento (LGPD)
+ *   18. Scroll-spy da navegação
+ *   19. Wizard de qualificação de leads
+ *   20. Validação declarativa (data-validate + máscaras)
+ *   21. Proteção anti-spam
+ *   22. Temas (escuro / claro / alto contraste)
+ *   23. Registro de módulos (ciclo de vida + window.Projekt)
+ *   24. Controlador de movimento (redução, pausa, desempenho)
+ *   25. Diálogos acessíveis (menu mobile, modais)
+ *   26. Agendamento de conversa (disponibilidade + .ics)
+ *   27. QR Code (gerador sem dependências)
+ *   28. WhatsApp contextual (mensagem por contexto + QR no desktop)
+ *   29. Paleta de comandos (Ctrl/Cmd+K)
+ *   30. Atribuição de origem (UTM, click IDs, referrer)
+ *   31. Conteúdo gerenciado (JSON versionado)
+ *   32. Dados estruturados (JSON-LD)
+ *   33. Cases (portfólio filtrável + rotas #case/<id>)
+ *   34. Insights (posts em Markdown + rotas ?insight=<slug>)
+ *   35. Monitoramento de usuários reais (Web Vitals + erros)
+ *   —   Init (ponto de entrada)
  *
  * Compatibilidade: ES2020+, todos os browsers modernos.
  * Sem dependências além de GSAP (carregado via CDN no HTML).
@@ -82,56 +105,115 @@ const debounce = (fn, delay) => {
   };
 };
 
+/**
+ * Acesso seguro ao localStorage (JSON). Em modo privado ou com
+ * storage bloqueado, as operações falham em silêncio.
+ */
+const storage = {
+  /**
+   * @param {string} key
+   * @param {*} [fallback=null] - Valor quando ausente ou ilegível
+   * @returns {*}
+   */
+  get(key, fallback = null) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+      return fallback;
+    }
+  },
+
+  /**
+   * @param {string} key
+   * @param {*} value - Serializado com JSON.stringify
+   */
+  set(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch { /* Storage indisponível ou cheio */ }
+  },
+
+  /** @param {string} key */
+  remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch { /* Storage indisponível */ }
+  },
+};
+
 /* ─────────────────────────────────────────────────────────
    2. CURSOR PERSONALIZADO
    Dois elementos: ponto central (resposta rápida) +
    anel que segue com delay suave. Hover em links/botões
    expande o anel.
+   Só roda em dispositivos com mouse (condição "hover" no
+   registro de módulos — seção 23). O loop de animação para
+   quando o anel alcança o ponto e volta no próximo movimento;
+   com as animações pausadas, o anel acompanha sem atraso.
 ───────────────────────────────────────────────────────── */
-function initCursor() {
-  // Só ativa em dispositivos com mouse (hover support)
-  if (!hasHover()) return;
 
+/**
+ * Última posição do mouse (coordenadas da viewport), mantida
+ * pelo cursor e lida por outros módulos (campo de partículas
+ * do hero). active = false com o mouse fora da janela.
+ */
+const pointer = { x: 0, y: 0, active: false };
+
+function initCursor({ signal }) {
   const cursor = $('#cursor');
   if (!cursor) return;
 
   const dot  = $('.cursor-dot', cursor);
   const ring = $('.cursor-ring', cursor);
 
-  // Posição atual e alvo do anel (anel tem delay)
-  let mouseX = 0, mouseY = 0;
-  let ringX  = 0, ringY  = 0;
+  // Posição do anel (segue o pointer com delay)
+  let ringX = pointer.x, ringY = pointer.y;
 
   // Fator de interpolação: quão rápido o anel segue o ponto
   // Valores menores = mais "preguiçoso" (lag) → mais elegante
   const LERP_FACTOR = 0.12;
 
+  let frame = null;
+
   /**
    * Atualiza a posição do ponto com o mouse (sem delay)
    * e do anel com interpolação linear (com delay).
    */
   function updateCursor() {
     // Ponto central: segue o mouse imediatamente
-    dot.style.left = `${mouseX}px`;
-    dot.style.top  = `${mouseY}px`;
+    dot.style.left = `${pointer.x}px`;
+    dot.style.top  = `${pointer.y}px`;
 
     // Anel: interpolação linear para o ponto alvo
-    ringX += (mouseX - ringX) * LERP_FACTOR;
-    ringY += (mouseY - ringY) * LERP_FACTOR;
+    const factor = isMotionAllowed() ? LERP_FACTOR : 1;
+    ringX += (pointer.x - ringX) * factor;
+    ringY += (pointer.y - ringY) * factor;
     ring.style.left = `${ringX}px`;
     ring.style.top  = `${ringY}px`;
 
-    // Continua o loop de animação
-    requestAnimationFrame(updateCursor);
+    // Continua o loop até o anel alcançar o ponto (mouse parado)
+    const settled = Math.abs(pointer.x - ringX) < 0.1 && Math.abs(pointer.y - ringY) < 0.1;
+    frame = settled ? null : requestAnimationFrame(updateCursor);
   }
 
-  // Captura posição do mouse
+  // Captura posição do mouse e retoma o loop, se parado
   document.addEventListener('mousemove', (e) => {
-    mouseX = e.clientX;
-    mouseY = e.clientY;
-  });
-
-  // Inicia o loop de animação
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    pointer.active = true;
+    if (frame === null) frame = requestAnimationFrame(updateCursor);
+  }, { signal });
+
+  // Aba em segundo plano: nada a desenhar
+  document.addEventListener('projekt:motionchange', (e) => {
+    if (e.detail.running || frame === null) return;
+    cancelAnimationFrame(frame);
+    frame = null;
+  }, { signal });
+
+  // Esconde o cursor nativo (CSS) e desenha a posição inicial
+  document.documentElement.classList.add('has-custom-cursor');
   updateCursor();
 
   // ── Estado de hover em elementos interativos ──
@@ -139,56 +221,86 @@ function initCursor() {
   const hoverTargets = $$('a, button, [role="button"], input, textarea, select, label[for]');
 
   hoverTargets.forEach(el => {
-    el.addEventListener('mouseenter', () => cursor.classList.add('is-hovering'));
-    el.addEventListener('mouseleave', () => cursor.classList.remove('is-hovering'));
+    el.addEventListener('mouseenter', () => cursor.classList.add('is-hovering'), { signal });
+    el.addEventListener('mouseleave', () => cursor.classList.remove('is-hovering'), { signal });
   });
 
   // Esconde cursor ao sair da janela
   document.addEventListener('mouseleave', () => {
     cursor.style.opacity = '0';
-  });
+    pointer.active = false;
+  }, { signal });
   document.addEventListener('mouseenter', () => {
     cursor.style.opacity = '1';
-  });
+  }, { signal });
+
+  return () => {
+    cancelAnimationFrame(frame);
+    pointer.active = false;
+    document.documentElement.classList.remove('has-custom-cursor');
+    cursor.classList.remove('is-hovering');
+    cursor.style.opacity = '';
+  };
 }
 
 /* ─────────────────────────────────────────────────────────
    3. BARRA DE PROGRESSO DE SCROLL
    Largura proporcional ao progresso de scroll na página.
+   Com um elemento [data-reading-progress] visível (ex.: post
+   de insights), mede a leitura dele: 0% no início do texto,
+   100% quando o fim aparece na tela.
 ───────────────────────────────────────────────────────── */
-function initScrollProgress() {
+function initScrollProgress({ signal }) {
   const progressBar = $('#scrollProgress');
   if (!progressBar) return;
 
+  /** Progresso atual (0–100) da página ou do texto em leitura. */
+  function measure() {
+    const reading = $('[data-reading-progress]:not([hidden])');
+
+    if (reading) {
+      const rect = reading.getBoundingClientRect();
+      const start = rect.top + window.scrollY - getNavbarOffset();
+      const length = rect.height - window.innerHeight + getNavbarOffset();
+      return length > 0 ? ((window.scrollY - start) / length) * 100 : 100;
+    }
+
+    // Altura total scrollável = altura total - altura da viewport
+    const scrollableHeight = document.documentElement.scrollHeight - window.innerHeight;
+    return scrollableHeight > 0 ? (window.scrollY / scrollableHeight) * 100 : 0;
+  }
+
   /**
    * Atualiza a largura da barra baseada no progresso de scroll.
    * Usa requestAnimationFrame para performance.
    */
   let ticking = false;
 
-  window.addEventListener('scroll', () => {
+  const update = () => {
     if (!ticking) {
       requestAnimationFrame(() => {
-        // Altura total scrollável = altura total - altura da viewport
-        const scrollableHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const scrolled = window.scrollY;
-        const progress = scrollableHeight > 0 ? (scrolled / scrollableHeight) * 100 : 0;
-
-        progressBar.style.width = `${clamp(progress, 0, 100)}%`;
+        progressBar.style.width = `${clamp(measure(), 0, 100)}%`;
         ticking = false;
       });
       ticking = true;
     }
-  }, { passive: true });
+  };
+
+  window.addEventListener('scroll', update, { passive: true, signal });
+  document.addEventListener('projekt:viewchange', update, { signal });
+
+  return () => {
+    progressBar.style.width = '';
+  };
 }
 
 /* ─────────────────────────────────────────────────────────
    4. NAVBAR
    - Adiciona classe .scrolled após Y > 80px
-   - Menu mobile: abre/fecha com o hambúrguer
+   - Menu mobile: diálogo modal aberto pelo hambúrguer
    - Fecha o menu ao clicar em links âncora
 ───────────────────────────────────────────────────────── */
-function initNavbar() {
+function initNavbar({ signal }) {
   const navbar     = $('#navbar');
   const navToggle  = $('#navToggle');
   const mobileMenu = $('#mobileMenu');
@@ -206,54 +318,32 @@ function initNavbar() {
     }
   }
 
-  window.addEventListener('scroll', handleNavScroll, { passive: true });
+  window.addEventListener('scroll', handleNavScroll, { passive: true, signal });
   handleNavScroll(); // Checa estado inicial
 
-  // ── Menu mobile: abrir/fechar ──
+  // ── Menu mobile: diálogo modal (seção 25) ──
   if (!navToggle || !mobileMenu) return;
 
-  /**
-   * Abre ou fecha o menu mobile.
-   * Gerencia aria-expanded e aria-hidden para acessibilidade.
-   */
-  function toggleMobileMenu() {
-    const isOpen = mobileMenu.classList.contains('is-open');
-
-    if (isOpen) {
-      closeMobileMenu();
-    } else {
-      openMobileMenu();
-    }
-  }
-
-  function openMobileMenu() {
-    mobileMenu.classList.add('is-open');
-    navToggle.setAttribute('aria-expanded', 'true');
-    mobileMenu.setAttribute('aria-hidden', 'false');
-    // Previne scroll do body enquanto menu está aberto
-    document.body.style.overflow = 'hidden';
-  }
-
-  function closeMobileMenu() {
-    mobileMenu.classList.remove('is-open');
-    navToggle.setAttribute('aria-expanded', 'false');
-    mobileMenu.setAttribute('aria-hidden', 'true');
-    document.body.style.overflow = '';
-  }
+  const menu = createDialog(mobileMenu, {
+    signal,
+    keep: [navToggle],                       // Hambúrguer fecha o menu
+    closeWhen: MODULE_CONDITIONS.desktop,    // Viewport voltou para desktop
+    swipe: 'right',
+    onOpen: () => {
+      navbar.classList.add('menu-open'); // Navbar assume as cores do tema sobre o menu
+      navToggle.setAttribute('aria-expanded', 'true');
+    },
+    onClose: () => {
+      navbar.classList.remove('menu-open');
+      navToggle.setAttribute('aria-expanded', 'false');
+    },
+  });
 
-  navToggle.addEventListener('click', toggleMobileMenu);
+  navToggle.addEventListener('click', () => menu.toggle(navToggle), { signal });
 
-  // Fecha menu ao clicar em um link âncora
+  // Link âncora: fecha sem devolver o foco (o smooth scroll assume)
   $$('.mobile-nav-link, .mobile-nav-cta').forEach(link => {
-    link.addEventListener('click', closeMobileMenu);
-  });
-
-  // Fecha menu ao pressionar Escape
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && mobileMenu.classList.contains('is-open')) {
-      closeMobileMenu();
-      navToggle.focus(); // Retorna foco ao botão
-    }
+    link.addEventListener('click', () => menu.close({ returnFocus: false }), { signal });
   });
 }
 
@@ -262,11 +352,13 @@ function initNavbar() {
    Elementos com classe .reveal-up recebem .is-revealed
    quando entram na viewport. O CSS cuida da transição.
 ───────────────────────────────────────────────────────── */
-function initScrollAnimations() {
-  // Respeita preferência de acessibilidade
-  if (prefersReducedMotion()) {
-    // Revela todos imediatamente sem animação
-    $$('.reveal-up').forEach(el => el.classList.add('is-revealed'));
+function initScrollAnimations({ signal }) {
+  /** Revela todos imediatamente, sem animação. */
+  const revealAll = () => $$('.reveal-up').forEach(el => el.classList.add('is-revealed'));
+
+  // Respeita preferência de acessibilidade e o botão de pausa
+  if (!isMotionAllowed()) {
+    revealAll();
     return;
   }
 
@@ -295,20 +387,301 @@ function initScrollAnimations() {
 
   // Observa todos os elementos de reveal
   $$('.reveal-up').forEach(el => observer.observe(el));
+
+  document.addEventListener('projekt:motionchange', (e) => {
+    if (e.detail.allowed) return;
+    observer.disconnect();
+    revealAll();
+  }, { signal });
+
+  // Desligado: nada pode ficar invisível à espera do observer
+  return () => {
+    observer.disconnect();
+    revealAll();
+  };
 }
 
 /* ─────────────────────────────────────────────────────────
    6. PARTÍCULAS DO HERO
-   Cria partículas flutuantes no hero para dar profundidade.
+   Campo de partículas em <canvas> para dar profundidade:
+   centenas de pontos à deriva, linhas entre vizinhos próximos
+   (constelação) e repulsão em volta do mouse — a posição vem
+   do cursor personalizado (pointer, seção 2).
    Inspiração: Linear.app, Vercel.com.
+
+   Sem canvas 2D, cai nas partículas em DOM animadas por CSS.
+   Só com movimento permitido (condição "motion" — seção 23);
+   a quantidade acompanha o nível do dispositivo (seção 24).
 ───────────────────────────────────────────────────────── */
-function initHeroParticles() {
-  if (prefersReducedMotion()) return;
 
+// Limite de partículas por nível de desempenho
+const PARTICLE_LIMITS = { high: 320, medium: 160, low: 60 };
+
+const PARTICLE_AREA      = 5000; // px² por partícula (densidade)
+const PARTICLE_LINK      = 110;  // Distância máxima das linhas (px)
+const PARTICLE_REPULSION = 140;  // Raio de repulsão do mouse (px)
+
+function initHeroParticles({ signal }) {
   const container = $('#heroParticles');
   if (!container) return;
 
-  const PARTICLE_COUNT = 20; // Ajuste para mais/menos partículas
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext?.('2d');
+
+  if (!ctx) return initDomParticles(container, { signal });
+
+  canvas.className = 'hero-particles-canvas';
+  container.appendChild(canvas);
+
+  let particles = [];
+  let width = 0, height = 0;
+  let frame = null;
+  let visible = true;
+  let accent = '0, 102, 255';
+
+  /**
+   * Quantidade para a área atual, limitada pelo nível.
+   * @returns {number}
+   */
+  const targetCount = () =>
+    Math.min(PARTICLE_LIMITS[getMotionTier()], Math.round((width * height) / PARTICLE_AREA));
+
+  /** Cria uma partícula em posição e direção aleatórias. */
+  function createParticle() {
+    const angle = Math.random() * Math.PI * 2;
+    const speed = Math.random() * 0.25 + 0.05; // px por frame
+
+    return {
+      x: Math.random() * width,
+      y: Math.random() * height,
+      // Deriva própria (para onde volta depois de empurrada)
+      baseVx: Math.cos(angle) * speed,
+      baseVy: Math.sin(angle) * speed - 0.08, // Leve tendência de subir
+      vx: 0,
+      vy: 0,
+      radius: Math.random() * 1.5 + 0.5,
+      alpha: Math.random() * 0.4 + 0.15,
+    };
+  }
+
+  /** Ajusta a lista à quantidade alvo (mantendo as existentes). */
+  function syncCount() {
+    const count = targetCount();
+    while (particles.length < count) particles.push(createParticle());
+    particles.length = count;
+  }
+
+  /** Redimensiona o canvas para o hero, em pixels reais (DPR). */
+  function resize() {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    width  = container.clientWidth;
+    height = container.clientHeight;
+
+    canvas.width  = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    particles.forEach(particle => {
+      particle.x = Math.min(particle.x, width);
+      particle.y = Math.min(particle.y, height);
+    });
+    syncCount();
+  }
+
+  /** Cor de destaque do tema (linhas até o mouse). */
+  function readAccent() {
+    accent = getComputedStyle(container).getPropertyValue('--color-accent-rgb').trim() || accent;
+  }
+
+  /**
+   * Move as partículas: deriva, repulsão do mouse e volta.
+   * @param {{x: number, y: number}|null} mouse - Posição no canvas
+   */
+  function step(mouse) {
+    particles.forEach(particle => {
+      if (mouse) {
+        const dx = particle.x - mouse.x;
+        const dy = particle.y - mouse.y;
+        const distance = Math.hypot(dx, dy);
+
+        if (distance < PARTICLE_REPULSION && distance > 0) {
+          const force = (1 - distance / PARTICLE_REPULSION) * 0.6;
+          particle.vx += (dx / distance) * force;
+          particle.vy += (dy / distance) * force;
+        }
+      }
+
+      // Amortece até a deriva própria
+      particle.vx += (particle.baseVx - particle.vx) * 0.04;
+      particle.vy += (particle.baseVy - particle.vy) * 0.04;
+
+      particle.x += particle.vx;
+      particle.y += particle.vy;
+
+      // Sai por uma borda, entra pela oposta
+      if (particle.x < 0) particle.x += width;
+      else if (particle.x > width) particle.x -= width;
+      if (particle.y < 0) particle.y += height;
+      else if (particle.y > height) particle.y -= height;
+    });
+  }
+
+  /**
+   * Desenha linhas entre vizinhos. Grade espacial com células do
+   * tamanho da distância máxima: só células adjacentes são
+   * comparadas, em vez de todos os pares. As linhas são agrupadas
+   * em poucas faixas de opacidade (um stroke() por faixa).
+   */
+  function drawLinks() {
+    const BANDS = 4;
+    const grid  = new Map();
+    const bands = Array.from({ length: BANDS }, () => []);
+    const cellOf = value => Math.floor(value / PARTICLE_LINK);
+
+    particles.forEach(particle => {
+      const key = `${cellOf(particle.x)}:${cellOf(particle.y)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(particle);
+    });
+
+    particles.forEach(particle => {
+      const cx = cellOf(particle.x);
+      const cy = cellOf(particle.y);
+
+      for (let gx = cx - 1; gx <= cx + 1; gx++) {
+        for (let gy = cy - 1; gy <= cy + 1; gy++) {
+          (grid.get(`${gx}:${gy}`) || []).forEach(other => {
+            // Cada par uma vez só
+            if (other === particle || other.x < particle.x) return;
+
+            const distance = Math.hypot(particle.x - other.x, particle.y - other.y);
+            if (distance > PARTICLE_LINK) return;
+
+            const band = Math.min(BANDS - 1, Math.floor((1 - distance / PARTICLE_LINK) * BANDS));
+            bands[band].push(particle, other);
+          });
+        }
+      }
+    });
+
+    ctx.lineWidth = 0.6;
+
+    bands.forEach((points, band) => {
+      if (!points.length) return;
+
+      ctx.strokeStyle = `rgba(255, 255, 255, ${((band + 1) / BANDS) * 0.18})`;
+      ctx.beginPath();
+      for (let i = 0; i < points.length; i += 2) {
+        ctx.moveTo(points[i].x, points[i].y);
+        ctx.lineTo(points[i + 1].x, points[i + 1].y);
+      }
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Linhas em destaque do mouse até as partículas próximas.
+   * @param {{x: number, y: number}} mouse
+   */
+  function drawPointerLinks(mouse) {
+    particles.forEach(particle => {
+      const distance = Math.hypot(particle.x - mouse.x, particle.y - mouse.y);
+      if (distance > PARTICLE_REPULSION * 1.4) return;
+
+      ctx.strokeStyle = `rgba(${accent}, ${(1 - distance / (PARTICLE_REPULSION * 1.4)) * 0.5})`;
+      ctx.beginPath();
+      ctx.moveTo(mouse.x, mouse.y);
+      ctx.lineTo(particle.x, particle.y);
+      ctx.stroke();
+    });
+  }
+
+  /** Um frame do campo. */
+  function render() {
+    const rect = canvas.getBoundingClientRect();
+    const mouse = pointer.active
+      ? { x: pointer.x - rect.left, y: pointer.y - rect.top }
+      : null;
+    const mouseInside = mouse && mouse.x >= 0 && mouse.y >= 0 && mouse.x <= width && mouse.y <= height;
+
+    step(mouseInside ? mouse : null);
+
+    ctx.clearRect(0, 0, width, height);
+    drawLinks();
+    if (mouseInside) drawPointerLinks(mouse);
+
+    particles.forEach(particle => {
+      ctx.fillStyle = `rgba(255, 255, 255, ${particle.alpha})`;
+      ctx.beginPath();
+      ctx.arc(particle.x, particle.y, particle.radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    frame = requestAnimationFrame(render);
+  }
+
+  /** Liga ou desliga o loop: só com o hero visível e a aba ativa. */
+  function updateLoop() {
+    const shouldRun = visible && isMotionRunning();
+
+    if (shouldRun && frame === null) {
+      frame = requestAnimationFrame(render);
+    } else if (!shouldRun && frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    visible = entries.some(entry => entry.isIntersecting);
+    updateLoop();
+  });
+  observer.observe(container);
+
+  // Tamanho da janela (debounced — ver RESIZE HANDLER) e mudança
+  // de densidade de pixels (janela levada a outro monitor)
+  window.addEventListener('projekt:resize', resize, { signal });
+
+  let dprQuery = null;
+  function watchPixelRatio() {
+    dprQuery?.removeEventListener('change', onPixelRatioChange);
+    dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    dprQuery.addEventListener('change', onPixelRatioChange, { signal });
+  }
+  function onPixelRatioChange() {
+    resize();
+    watchPixelRatio();
+  }
+  watchPixelRatio();
+
+  // Aba em segundo plano pausa; nível mais baixo reduz a quantidade
+  document.addEventListener('projekt:motionchange', () => {
+    syncCount();
+    updateLoop();
+  }, { signal });
+
+  document.addEventListener('projekt:themechange', readAccent, { signal });
+
+  readAccent();
+  resize();
+  updateLoop();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    observer.disconnect();
+    canvas.remove();
+  };
+}
+
+/**
+ * Partículas em DOM animadas por CSS (browsers sem canvas 2D).
+ * @param {Element} container
+ * @param {ModuleContext} context
+ * @returns {Function} destroy
+ */
+function initDomParticles(container, { signal }) {
+  // Quantidade por nível de desempenho do dispositivo (seção 24)
+  const PARTICLE_COUNTS = { high: 20, medium: 12, low: 6 };
 
   /**
    * Cria uma única partícula com posição, tamanho e
@@ -343,180 +716,489 @@ function initHeroParticles() {
   }
 
   // Cria todas as partículas
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
+  for (let i = 0; i < PARTICLE_COUNTS[getMotionTier()]; i++) {
     createParticle();
   }
+
+  // Dispositivo mais lento que o estimado: remove o excedente
+  document.addEventListener('projekt:motionchange', (e) => {
+    [...$$('.particle', container)]
+      .slice(PARTICLE_COUNTS[e.detail.tier])
+      .forEach(particle => particle.remove());
+  }, { signal });
+
+  return () => {
+    $$('.particle', container).forEach(particle => particle.remove());
+  };
 }
 
 /* ─────────────────────────────────────────────────────────
    7. ANIMAÇÃO DE CONTADORES
-   Números nas métricas contam de 0 até o valor alvo
-   quando a seção do manifesto entra na viewport.
+   Números contam até o valor alvo quando entram na viewport.
+   Cada contador é observado sozinho e configurado no HTML:
+
+     data-target    Valor final (aceita decimais: "4.8")
+     data-from      Valor inicial (padrão 0)
+     data-decimals  Casas decimais (padrão: as do data-target)
+     data-duration  Duração em ms (padrão 2000)
+     data-easing    Nome em counterEasings (padrão "ease-out-cubic")
+     data-format    "number" | "currency" | "percent" | "compact"
+     data-currency  Moeda do formato currency (padrão "BRL")
+     data-prefix / data-suffix  Texto colado ao número
+     data-replay    "true" → conta de novo a cada entrada
+
+   Percentuais são escritos como no texto: data-target="98"
+   com data-format="percent" → "98%".
+
+   Fora do .stat-number, marque o elemento com data-counter.
+   Sem movimento (preferência do sistema ou botão de pausa),
+   o valor final aparece direto.
 ───────────────────────────────────────────────────────── */
-function initCounters() {
-  if (prefersReducedMotion()) return;
+const COUNTER_SELECTOR = '.stat-number[data-target], [data-counter][data-target]';
 
-  const counters = $$('.stat-number[data-target]');
-  if (!counters.length) return;
+// Intervalo entre contadores que entram juntos na viewport
+const COUNTER_STAGGER = 150;
+
+/**
+ * Curvas de easing por nome (progresso 0–1 → 0–1).
+ */
+const counterEasings = {
+  'linear':           t => t,
+  'ease-out-cubic':   t => 1 - Math.pow(1 - t, 3),   // Começa rápido, desacelera no final
+  'ease-in-out-cubic': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  'ease-out-expo':    t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+/**
+ * Lê a configuração de um contador dos data-attributes.
+ * @param {Element} el
+ * @returns {{target: number, from: number, decimals: number, duration: number,
+ *   easing: Function, format: string, currency: string, prefix: string,
+ *   suffix: string, replay: boolean}}
+ */
+function readCounterConfig(el) {
+  const ds = el.dataset;
+  const target = parseFloat(ds.target) || 0;
+  const inferredDecimals = (ds.target.split('.')[1] || '').length;
+
+  return {
+    target,
+    from:     parseFloat(ds.from) || 0,
+    decimals: ds.decimals !== undefined ? parseInt(ds.decimals, 10) || 0 : inferredDecimals,
+    duration: parseInt(ds.duration, 10) || 2000,
+    easing:   counterEasings[ds.easing] || counterEasings['ease-out-cubic'],
+    format:   ds.format || 'number',
+    currency: ds.currency || 'BRL',
+    prefix:   ds.prefix || '',
+    suffix:   ds.suffix || '',
+    replay:   ds.replay === 'true',
+  };
+}
+
+/**
+ * Formata o valor de um contador no idioma ativo.
+ * @param {number} value
+ * @param {ReturnType<typeof readCounterConfig>} config
+ * @returns {string}
+ */
+function formatCounterValue(value, config) {
+  const digits = { minimumFractionDigits: config.decimals, maximumFractionDigits: config.decimals };
+
+  const options = {
+    number:   digits,
+    currency: { style: 'currency', currency: config.currency, ...digits },
+    percent:  { style: 'percent', ...digits },
+    compact:  { notation: 'compact', maximumFractionDigits: config.decimals },
+  }[config.format] || digits;
+
+  const amount = config.format === 'percent' ? value / 100 : value;
+  return `${config.prefix}${formatNumber(amount, options)}${config.suffix}`;
+}
+
+/**
+ * Liga a animação de um conjunto de contadores. Usado pela página
+ * (initCounters) e por conteúdo inserido depois (ex.: métricas de
+ * um case aberto).
+ * @param {Iterable<Element>} elements
+ * @param {ModuleContext} context - signal remove os listeners
+ * @returns {Function} destroy — encerra e exibe os valores finais
+ */
+function observeCounters(elements, { signal }) {
+  const counters = [...elements];
+
+  // Estado por contador: configuração, valor exibido e animação
+  const states = new Map(counters.map(el => [el, {
+    config: readCounterConfig(el),
+    value: null,
+    frame: null,
+    timer: null,
+    done: false,
+  }]));
 
   /**
-   * Anima um contador de 0 até target em `duration` ms.
-   * Usa easing easeOutCubic para desaceleração natural.
-   *
-   * @param {Element} el - Elemento DOM do número
-   * @param {number} target - Valor final
-   * @param {number} duration - Duração em ms
+   * Exibe um valor no contador (reformatado na troca de idioma).
+   * @param {Element} el
+   * @param {number} value
    */
-  function animateCounter(el, target, duration = 2000) {
-    const start     = performance.now();
-    const startVal  = 0;
+  function show(el, value) {
+    const state = states.get(el);
+    state.value = value;
+    el.textContent = formatCounterValue(value, state.config);
+  }
 
-    /**
-     * Easing easeOutCubic: começa rápido, desacelera no final.
-     * @param {number} t - Progresso (0 a 1)
-     * @returns {number}
-     */
-    const easeOutCubic = t => 1 - Math.pow(1 - t, 3);
+  /** Cancela a animação pendente de um contador. */
+  function cancel(el) {
+    const state = states.get(el);
+    clearTimeout(state.timer);
+    cancelAnimationFrame(state.frame);
+    state.timer = state.frame = null;
+  }
 
-    function update(currentTime) {
-      const elapsed  = currentTime - start;
-      const progress = clamp(elapsed / duration, 0, 1);
-      const eased    = easeOutCubic(progress);
-      const current  = Math.round(startVal + (target - startVal) * eased);
+  /**
+   * Anima um contador de config.from até config.target.
+   * @param {Element} el
+   */
+  function animate(el) {
+    const state = states.get(el);
+    const { config } = state;
+    const start = performance.now();
 
-      el.textContent = current.toLocaleString('pt-BR');
+    function update(currentTime) {
+      const progress = clamp((currentTime - start) / config.duration, 0, 1);
+      const current  = config.from + (config.target - config.from) * config.easing(progress);
 
       if (progress < 1) {
-        requestAnimationFrame(update);
+        show(el, current);
+        state.frame = requestAnimationFrame(update);
       } else {
         // Garante que o valor final é exato
-        el.textContent = target.toLocaleString('pt-BR');
+        show(el, config.target);
+        state.frame = null;
+        state.done = true;
+        el.dataset.counted = 'true';
       }
     }
 
-    requestAnimationFrame(update);
+    show(el, config.from);
+    state.frame = requestAnimationFrame(update);
   }
 
-  // Observa quando a grade de stats entra na viewport
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          // Anima cada contador com delay escalonado
-          counters.forEach((counter, index) => {
-            const target = parseInt(counter.dataset.target, 10);
+  /** Interrompe tudo e exibe os valores finais. */
+  function showFinalValues() {
+    observer.disconnect();
+    counters.forEach(el => {
+      cancel(el);
+      show(el, states.get(el).config.target);
+      states.get(el).done = true;
+      el.dataset.counted = 'true';
+    });
+  }
 
-            setTimeout(() => {
-              animateCounter(counter, target);
-            }, index * 150); // 150ms de intervalo entre cada
-          });
+  const observer = new IntersectionObserver((entries) => {
+    // Contadores que entram juntos começam em cascata
+    entries
+      .filter(entry => entry.isIntersecting)
+      .forEach((entry, index) => {
+        const el = entry.target;
+        const state = states.get(el);
+        if (state.done || state.timer || state.frame) return;
+
+        show(el, state.config.from);
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          animate(el);
+        }, index * COUNTER_STAGGER);
+
+        if (!state.config.replay) observer.unobserve(el);
+      });
 
-          // Para de observar após disparar uma vez
-          observer.disconnect();
-        }
+    // Replay: ao sair da viewport, volta ao início para contar de novo
+    entries
+      .filter(entry => !entry.isIntersecting && states.get(entry.target).config.replay)
+      .forEach(entry => {
+        const state = states.get(entry.target);
+        cancel(entry.target);
+        state.done = false;
+        show(entry.target, state.config.from);
       });
-    },
-    { threshold: 0.5 }
-  );
+  }, { threshold: 0.5 });
+
+  if (!isMotionAllowed()) {
+    showFinalValues();
+  } else {
+    counters.forEach(el => observer.observe(el));
+  }
+
+  // Animações pausadas no meio da contagem → valores finais
+  document.addEventListener('projekt:motionchange', (e) => {
+    if (!e.detail.allowed) showFinalValues();
+  }, { signal });
+
+  // Valores exibidos acompanham o formato do idioma
+  document.addEventListener('projekt:languagechange', () => {
+    states.forEach((state, el) => {
+      if (state.value !== null) show(el, state.value);
+    });
+  }, { signal });
+
+  // Interrompido no meio da contagem: mostra os valores finais
+  return () => {
+    const pending = [...states.values()].some(state => !state.done);
+    if (pending) {
+      showFinalValues();
+    } else {
+      observer.disconnect();
+    }
+  };
+}
 
-  // Observa o primeiro stat-card (representativo do grupo)
-  const firstCard = $('.stat-card');
-  if (firstCard) observer.observe(firstCard);
+function initCounters({ signal }) {
+  const counters = $$(COUNTER_SELECTOR);
+  if (!counters.length) return;
+
+  return observeCounters(counters, { signal });
 }
 
 /* ─────────────────────────────────────────────────────────
    8. CARROSSEL DE DEPOIMENTOS
-   Navegação manual (botões e dots) + auto-play.
-   Totalmente acessível com ARIA e teclado.
+   Padrão "carrossel com abas" do WAI-ARIA APG:
+   - Cards viram tabpanels; os dots, tabs com tabindex móvel
+     (setas/Home/End só dentro da lista de dots)
+   - Cards fora da tela ficam inert (sem foco nem leitura)
+   - Botão de rotação automática; a rotação também pausa com
+     o mouse ou o foco dentro do carrossel e com o controlador
+     de movimento (seção 24)
+   - Navegação manual é anunciada numa região aria-live (durante
+     a rotação automática, não — para não interromper a leitura)
+   - Cards por vez vêm do CSS (--per-view no track)
+
+   Os cards podem ser trocados depois da inicialização (feed
+   JSON, filtros): basta disparar 'projekt:testimonials-change'
+   no #testimonialsTrack. Cards com [hidden] são ignorados.
+   'projekt:reveal' (com bubbles) disparado num card leva o
+   carrossel até ele — ex.: resultado da paleta (seção 29).
 ───────────────────────────────────────────────────────── */
-function initTestimonialsCarousel() {
-  const track   = $('#testimonialsTrack');
-  const prevBtn = $('#testimonialPrev');
-  const nextBtn = $('#testimonialNext');
+function initTestimonialsCarousel({ signal }) {
+  const carousel    = $('#testimonialsCarousel');
+  const track       = $('#testimonialsTrack');
+  const prevBtn     = $('#testimonialPrev');
+  const nextBtn     = $('#testimonialNext');
+  const rotationBtn = $('#testimonialRotation');
+  const status      = $('#testimonialStatus');
   const dotsContainer = $('#testimonialDots');
+  const empty       = $('#testimonialsEmpty');
 
-  if (!track || !prevBtn || !nextBtn) return;
-
-  const cards = $$('.testimonial-card', track);
-  if (cards.length === 0) return;
+  if (!carousel || !track || !prevBtn || !nextBtn || !dotsContainer) return;
 
+  let cards = [];
+  let dots  = [];
   let currentIndex = 0;
+  let perView = 1;
   let autoPlayTimer = null;
+  let rotationEnabled = true; // Escolha do visitante (botão de rotação)
+  let hovering = false;
+  let focusWithin = false;
+  let slideIds = 0;
   const AUTO_PLAY_INTERVAL = 6000; // 6 segundos entre slides
 
-  // ── Cria os dots indicadores ──
-  cards.forEach((_, index) => {
-    const dot = document.createElement('button');
-    dot.className = 'testimonial-dot';
-    dot.setAttribute('role', 'tab');
-    dot.setAttribute('aria-label', `Depoimento ${index + 1}`);
-    dot.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
+  /** @returns {number} Posições possíveis (uma por dot; 0 sem cards) */
+  const positionCount = () => (cards.length ? Math.max(1, cards.length - perView + 1) : 0);
 
-    dot.addEventListener('click', () => {
-      goToSlide(index);
-      resetAutoPlay();
+  /** Cards por vez, definido no CSS por breakpoint. */
+  function readPerView() {
+    const value = parseInt(getComputedStyle(track).getPropertyValue('--per-view'), 10);
+    return clamp(value || 1, 1, Math.max(1, cards.length));
+  }
+
+  /**
+   * (Re)cria os dots (tabs), um por posição do carrossel.
+   */
+  function buildDots() {
+    dotsContainer.innerHTML = '';
+    dots = [];
+    dotsContainer.hidden = true;
+
+    // Filtro sem resultado ou feed vazio: nenhum slide para controlar
+    if (cards.length === 0) return;
+
+    dots = Array.from({ length: positionCount() }, (_, index) => {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'testimonial-dot';
+      dot.id = `testimonial-tab-${index + 1}`;
+      dot.setAttribute('role', 'tab');
+      dot.setAttribute('aria-label', t('carousel.dot', { n: index + 1 }));
+      dot.setAttribute('aria-controls', cards[index].id);
+
+      dot.addEventListener('click', () => {
+        goToSlide(index, { announce: true });
+        trackEvent('testimonial_navigate', { method: 'dot', index });
+      });
+
+      dotsContainer.appendChild(dot);
+      return dot;
     });
 
-    dotsContainer.appendChild(dot);
-  });
+    dotsContainer.hidden = dots.length < 2;
+  }
 
-  const dots = $$('.testimonial-dot', dotsContainer);
+  /** Marca os cards como slides (ids estáveis para aria-controls). */
+  function labelSlides() {
+    cards.forEach((card, index) => {
+      if (!card.id) card.id = `testimonial-slide-${++slideIds}`;
+      card.setAttribute('role', 'tabpanel');
+      card.setAttribute('aria-roledescription', t('carousel.slide'));
+      card.setAttribute('aria-label', t('carousel.slideLabel', { n: index + 1, total: cards.length }));
+    });
+  }
+
+  /**
+   * Relê os cards visíveis do track e volta ao início.
+   */
+  function refresh() {
+    $$('.testimonial-card[hidden]', track).forEach(card => card.removeAttribute('inert'));
+    cards = [...$$('.testimonial-card:not([hidden])', track)];
+    perView = readPerView();
+    track.style.setProperty('--visible', perView);
+
+    labelSlides();
+    buildDots();
+
+    // Sem cards: some com as setas e mostra o estado vazio
+    prevBtn.hidden = cards.length === 0;
+    nextBtn.hidden = cards.length === 0;
+    if (empty) empty.hidden = cards.length > 0;
+
+    goToSlide(0);
+    updateRotation();
+  }
 
   /**
-   * Move o carrossel para o slide de índice `index`.
-   * Atualiza dots e aria-attributes.
+   * Move o carrossel para a posição `index`.
+   * Atualiza dots, slides inertes e aria-attributes.
    * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.announce=false] - Anuncia na região live
+   * @param {boolean} [options.focusTab=false] - Move o foco para o dot
    */
-  function goToSlide(index) {
-    currentIndex = (index + cards.length) % cards.length; // Ciclo infinito
-    track.style.transform = `translateX(-${currentIndex * 100}%)`;
+  function goToSlide(index, { announce = false, focusTab = false } = {}) {
+    if (cards.length === 0) return;
+
+    const total = positionCount();
+    currentIndex = (index + total) % total; // Ciclo infinito
+    track.style.setProperty('--index', currentIndex);
+
+    // Só os cards visíveis ficam acessíveis
+    cards.forEach((card, i) => {
+      card.inert = i < currentIndex || i >= currentIndex + perView;
+    });
 
-    // Atualiza dots
     dots.forEach((dot, i) => {
-      dot.classList.toggle('active', i === currentIndex);
-      dot.setAttribute('aria-selected', i === currentIndex ? 'true' : 'false');
+      const selected = i === currentIndex;
+      dot.classList.toggle('active', selected);
+      dot.setAttribute('aria-selected', selected ? 'true' : 'false');
+      dot.tabIndex = selected ? 0 : -1;
     });
 
-    // Atualiza aria-label dos botões de controle
-    prevBtn.setAttribute('aria-label', `Ver depoimento anterior`);
-    nextBtn.setAttribute('aria-label', `Ver próximo depoimento`);
-  }
+    if (focusTab) dots[currentIndex]?.focus();
 
-  // ── Navegação pelos botões ──
-  prevBtn.addEventListener('click', () => {
-    goToSlide(currentIndex - 1);
-    resetAutoPlay();
-  });
+    if (announce && status) {
+      const first = cards[currentIndex];
+      status.textContent = t('carousel.status', {
+        n: currentIndex + 1,
+        total: cards.length,
+        author: $('.author-name', first)?.textContent.trim() || '',
+      });
+    }
 
-  nextBtn.addEventListener('click', () => {
-    goToSlide(currentIndex + 1);
-    resetAutoPlay();
-  });
+    // Navegação manual reinicia a contagem da rotação
+    if (announce) startAutoPlay();
+  }
 
-  // ── Suporte a teclado (← →) ──
-  document.addEventListener('keydown', (e) => {
-    // Só aplica se o carrossel está na viewport
-    const rect = track.getBoundingClientRect();
-    if (rect.bottom < 0 || rect.top > window.innerHeight) return;
+  // ── Rotação automática ──
 
-    if (e.key === 'ArrowLeft')  { goToSlide(currentIndex - 1); resetAutoPlay(); }
-    if (e.key === 'ArrowRight') { goToSlide(currentIndex + 1); resetAutoPlay(); }
-  });
+  /** A rotação deve estar correndo agora? */
+  const shouldRotate = () =>
+    rotationEnabled && !hovering && !focusWithin && isMotionRunning() && positionCount() > 1;
 
-  // ── Auto-play ──
   function startAutoPlay() {
-    if (prefersReducedMotion()) return;
-    autoPlayTimer = setInterval(() => goToSlide(currentIndex + 1), AUTO_PLAY_INTERVAL);
+    clearInterval(autoPlayTimer);
+    autoPlayTimer = shouldRotate()
+      ? setInterval(() => goToSlide(currentIndex + 1), AUTO_PLAY_INTERVAL)
+      : null;
   }
 
-  function resetAutoPlay() {
-    clearInterval(autoPlayTimer);
+  /** Sincroniza botão de rotação, aria-live e o timer. */
+  function updateRotation() {
     startAutoPlay();
+
+    // Durante a rotação, nada de anúncios a cada troca de slide
+    status?.setAttribute('aria-live', autoPlayTimer ? 'off' : 'polite');
+
+    if (!rotationBtn) return;
+
+    // Sem movimento permitido, não há rotação para controlar
+    rotationBtn.hidden = !isMotionAllowed() || positionCount() < 2;
+
+    const label = t(rotationEnabled ? 'carousel.rotation.stop' : 'carousel.rotation.start');
+    rotationBtn.setAttribute('aria-label', label);
+    rotationBtn.title = label;
+
+    const icon = $('i', rotationBtn);
+    if (icon) icon.className = `fas ${rotationEnabled ? 'fa-pause' : 'fa-play'}`;
   }
 
-  // Pausa auto-play quando o usuário está interagindo
-  track.addEventListener('mouseenter', () => clearInterval(autoPlayTimer));
-  track.addEventListener('mouseleave', startAutoPlay);
+  rotationBtn?.addEventListener('click', () => {
+    rotationEnabled = !rotationEnabled;
+    updateRotation();
+    trackEvent('testimonial_rotation', { enabled: rotationEnabled });
+  }, { signal });
+
+  // Pausa enquanto o mouse ou o foco estão no carrossel
+  carousel.addEventListener('mouseenter', () => { hovering = true; updateRotation(); }, { signal });
+  carousel.addEventListener('mouseleave', () => { hovering = false; updateRotation(); }, { signal });
+  carousel.addEventListener('focusin', () => { focusWithin = true; updateRotation(); }, { signal });
+  carousel.addEventListener('focusout', (e) => {
+    if (carousel.contains(e.relatedTarget)) return;
+    focusWithin = false;
+    updateRotation();
+  }, { signal });
+
+  // Botão de animações, aba em segundo plano, redução de movimento
+  document.addEventListener('projekt:motionchange', updateRotation, { signal });
+
+  // Rótulos gerados aqui; os botões do HTML traduzem via data-i18n-attr
+  document.addEventListener('projekt:languagechange', () => {
+    dots.forEach((dot, i) => dot.setAttribute('aria-label', t('carousel.dot', { n: i + 1 })));
+    labelSlides();
+    updateRotation();
+  }, { signal });
+
+  // ── Navegação pelos botões ──
+  prevBtn.addEventListener('click', () => {
+    goToSlide(currentIndex - 1, { announce: true });
+    trackEvent('testimonial_navigate', { method: 'prev', index: currentIndex });
+  }, { signal });
+
+  nextBtn.addEventListener('click', () => {
+    goToSlide(currentIndex + 1, { announce: true });
+    trackEvent('testimonial_navigate', { method: 'next', index: currentIndex });
+  }, { signal });
+
+  // ── Teclado: só na lista de dots (padrão de tabs) ──
+  dotsContainer.addEventListener('keydown', (e) => {
+    const targets = {
+      ArrowLeft:  currentIndex - 1,
+      ArrowRight: currentIndex + 1,
+      Home:       0,
+      End:        dots.length - 1,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    goToSlide(targets[e.key], { announce: true, focusTab: true });
+    trackEvent('testimonial_navigate', { method: 'keyboard', index: currentIndex });
+  }, { signal });
 
   // ── Touch/swipe support ──
   let touchStartX = 0;
@@ -524,7 +1206,7 @@ function initTestimonialsCarousel() {
 
   track.addEventListener('touchstart', (e) => {
     touchStartX = e.changedTouches[0].screenX;
-  }, { passive: true });
+  }, { passive: true, signal });
 
   track.addEventListener('touchend', (e) => {
     touchEndX = e.changedTouches[0].screenX;
@@ -532,134 +1214,355 @@ function initTestimonialsCarousel() {
 
     // Limiar de 50px para considerar como swipe
     if (Math.abs(diff) > 50) {
-      if (diff > 0) goToSlide(currentIndex + 1); // Swipe left → próximo
-      else           goToSlide(currentIndex - 1); // Swipe right → anterior
-      resetAutoPlay();
+      if (diff > 0) goToSlide(currentIndex + 1, { announce: true }); // Swipe left → próximo
+      else           goToSlide(currentIndex - 1, { announce: true }); // Swipe right → anterior
+      trackEvent('testimonial_navigate', { method: 'swipe', index: currentIndex });
     }
-  }, { passive: true });
+  }, { passive: true, signal });
+
+  // Cards trocados por outro módulo (feed, filtros)
+  track.addEventListener('projekt:testimonials-change', refresh, { signal });
+
+  // Card pedido por outro módulo: vai até a posição que o mostra
+  track.addEventListener('projekt:reveal', (e) => {
+    const index = cards.indexOf(e.target.closest('.testimonial-card'));
+    if (index !== -1) goToSlide(Math.min(index, positionCount() - 1));
+  }, { signal });
+
+  // Breakpoint com outro número de cards por vez
+  window.addEventListener('projekt:resize', () => {
+    if (readPerView() !== perView) refresh();
+  }, { signal });
+
+  prevBtn.setAttribute('aria-controls', track.id);
+  nextBtn.setAttribute('aria-controls', track.id);
 
   // Inicializa estado
-  goToSlide(0);
-  startAutoPlay();
+  refresh();
+
+  return () => {
+    clearInterval(autoPlayTimer);
+    cards.forEach(card => { card.inert = false; });
+  };
 }
 
 /* ─────────────────────────────────────────────────────────
    9. FORMULÁRIO DE CONTATO
-   Validação client-side + feedback visual.
-   Para backend: substitua o bloco simulateFormSubmission()
-   por uma chamada fetch() real para sua API.
+   Validação client-side + feedback visual + envio real.
+   O transporte é escolhido por data-attributes no #contatoForm:
+
+     data-transport  "json" | "form" | "mailto"
+     data-endpoint   URL do backend (json) ou do Formspree (form)
+     data-mailto     Destinatário do fallback por e-mail
+     data-fallback   "mailto" → abre o e-mail se o envio falhar
+     data-timeout    Tempo máximo por tentativa (ms)
+     data-retries    Tentativas extras em falhas transitórias
+     data-backoff    Atraso base do backoff exponencial (ms)
+
+   Para testar localmente: node dev/mock-server.js
 ───────────────────────────────────────────────────────── */
-function initContactForm() {
-  const form     = $('#contatoForm');
-  const feedback = $('#formFeedback');
-
-  if (!form) return;
 
+/**
+ * Erro de envio do formulário. Carrega o status HTTP, se a
+ * falha vale uma nova tentativa e os erros por campo
+ * devolvidos pelo servidor ({ nome: 'mensagem', ... }).
+ */
+class SubmissionError extends Error {
   /**
-   * Valida os campos obrigatórios do formulário.
-   * @returns {{ valid: boolean, firstInvalidField: Element|null }}
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status=0] - Status HTTP (0 = rede/timeout)
+   * @param {boolean} [details.retryable=false]
+   * @param {Object<string, string>} [details.fieldErrors={}]
+   * @param {number} [details.retryAfter=0] - Atraso sugerido pelo servidor (ms)
+   * @param {boolean} [details.offline=false] - A requisição nem chegou ao servidor
    */
-  function validateForm() {
-    let valid = true;
-    let firstInvalidField = null;
+  constructor(message, { status = 0, retryable = false, fieldErrors = {}, retryAfter = 0, offline = false } = {}) {
+    super(message);
+    this.name        = 'SubmissionError';
+    this.status      = status;
+    this.retryable   = retryable;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter  = retryAfter;
+    this.offline     = offline;
+  }
+}
 
-    // Remove erros anteriores
-    $$('.form-input.has-error', form).forEach(el => {
-      el.classList.remove('has-error');
-    });
+/**
+ * Lê a configuração de envio a partir dos data-attributes do form.
+ * Sem data-endpoint, o único transporte possível é o mailto.
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+function readSubmissionConfig(form) {
+  const ds = form.dataset;
+  const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
 
-    // Valida nome
-    const nome = $('#nomeInput', form);
-    if (nome && nome.value.trim().length < 2) {
-      markInvalid(nome, 'Nome deve ter ao menos 2 caracteres');
-      if (!firstInvalidField) firstInvalidField = nome;
-      valid = false;
-    }
+  return {
+    transport: ds.endpoint ? (ds.transport || 'json') : 'mailto',
+    endpoint:  ds.endpoint || '',
+    mailto:    ds.mailto || 'contato@projekt.com.br',
+    fallback:  ds.fallback || '',
+    timeout:   toInt(ds.timeout, 10000),
+    retries:   toInt(ds.retries, 2),
+    backoff:   toInt(ds.backoff, 800),
+  };
+}
 
-    // Valida email com regex simples
-    const email = $('#emailInput', form);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (email && !emailRegex.test(email.value.trim())) {
-      markInvalid(email, 'E-mail inválido');
-      if (!firstInvalidField) firstInvalidField = email;
-      valid = false;
-    }
+/**
+ * fetch() com limite de tempo via AbortController.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} timeout - ms
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    // Timeout pode ter chegado ao servidor; falha de rede certamente não
+    const timedOut = error.name === 'AbortError';
+    const message = timedOut ? `Tempo esgotado após ${timeout}ms` : 'Falha de rede';
+    throw new SubmissionError(message, { retryable: true, offline: !timedOut });
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    // Valida mensagem
-    const mensagem = $('#mensagemInput', form);
-    if (mensagem && mensagem.value.trim().length < 10) {
-      markInvalid(mensagem, 'Mensagem deve ter ao menos 10 caracteres');
-      if (!firstInvalidField) firstInvalidField = mensagem;
-      valid = false;
-    }
+/**
+ * Normaliza os erros de campo devolvidos pelo servidor.
+ * Aceita o formato do nosso backend ({ errors: { campo: msg } })
+ * e o do Formspree ({ errors: [{ field, message }] }).
+ * @param {Object} body
+ * @returns {Object<string, string>}
+ */
+function parseFieldErrors(body) {
+  const errors = body?.errors;
+  if (!errors) return {};
+
+  if (Array.isArray(errors)) {
+    return errors.reduce((acc, err) => {
+      if (err.field) acc[err.field] = err.message;
+      return acc;
+    }, {});
+  }
+
+  return typeof errors === 'object' ? { ...errors } : {};
+}
+
+/**
+ * Converte uma Response HTTP em resultado ou SubmissionError.
+ *   2xx          → sucesso
+ *   400 / 422    → erros de validação (sem nova tentativa)
+ *   408/429/5xx  → falha transitória (nova tentativa)
+ *   demais 4xx   → falha definitiva
+ * @param {Response} response
+ * @returns {Promise<{success: true, data: Object}>}
+ */
+async function handleSubmissionResponse(response) {
+  const body = await response.json().catch(() => ({}));
+
+  if (response.ok) return { success: true, data: body };
+
+  const status = response.status;
+  const retryable = status === 408 || status === 429 || status >= 500;
+  const retryAfter = (parseInt(response.headers.get('Retry-After'), 10) || 0) * 1000;
+
+  throw new SubmissionError(body.message || body.error || `HTTP ${status}`, {
+    status,
+    retryable,
+    retryAfter,
+    fieldErrors: status === 400 || status === 422 ? parseFieldErrors(body) : {},
+  });
+}
+
+/**
+ * Transportes disponíveis. Cada um recebe os dados e a
+ * configuração e resolve { success: true, data } ou lança
+ * SubmissionError. data.via === 'mailto' indica que nada foi
+ * enviado: o visitante ainda precisa mandar o e-mail.
+ */
+const formTransports = {
+  /** POST JSON para um backend próprio (/api/contact). */
+  async json(data, config) {
+    const response = await fetchWithTimeout(config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(data),
+    }, config.timeout);
+
+    return handleSubmissionResponse(response);
+  },
+
+  /** POST multipart no estilo Formspree (endpoint de formulário). */
+  async form(data, config) {
+    const body = new FormData();
+    Object.entries(data).forEach(([key, value]) => body.append(key, value));
+
+    const response = await fetchWithTimeout(config.endpoint, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json' },
+      body,
+    }, config.timeout);
+
+    return handleSubmissionResponse(response);
+  },
+
+  /** Abre o cliente de e-mail do visitante com a mensagem preenchida. */
+  async mailto(data, config) {
+    window.location.href = buildMailtoUrl(data, config.mailto);
+    return { success: true, data: { via: 'mailto' } };
+  },
+};
+
+/**
+ * Perguntas de qualificação do wizard (seção 19) → rótulo usado
+ * no e-mail interno. Também define quais campos entram no payload.
+ */
+const QUALIFICATION_LABELS = {
+  tamanho_time:    'Tamanho do time',
+  prazo:           'Prazo para começar',
+  orcamento:       'Faixa de investimento',
+  maturidade:      'Maturidade ágil',
+  prontidao_dados: 'Prontidão de dados',
+};
+
+/**
+ * Lê as respostas de qualificação preenchidas. Etapas fora do
+ * fluxo ficam disabled e, como no FormData, não são enviadas.
+ * @param {HTMLFormElement} form
+ * @returns {Object<string, string>}
+ */
+function collectQualification(form) {
+  const data = {};
+  new FormData(form).forEach((value, name) => {
+    if (name in QUALIFICATION_LABELS && value) data[name] = value;
+  });
+  return data;
+}
+
+/**
+ * Monta um link mailto: com assunto e corpo a partir dos dados.
+ * @param {Object} data
+ * @param {string} address
+ * @returns {string}
+ */
+function buildMailtoUrl(data, address) {
+  const subject = `Contato pelo site — ${data.nome || 'Visitante'}`;
+  const body = [
+    `Nome: ${data.nome || ''}`,
+    `E-mail: ${data.email || ''}`,
+    `Empresa: ${data.empresa || '-'}`,
+    `Telefone: ${data.telefone || '-'}`,
+    `CNPJ: ${data.cnpj || '-'}`,
+    `CEP: ${data.cep || '-'}`,
+    `Área de interesse: ${data.servico || '-'}`,
+    ...Object.entries(QUALIFICATION_LABELS)
+      .filter(([name]) => data[name])
+      .map(([name, label]) => `${label}: ${data[name]}`),
+    '',
+    data.mensagem || '',
+    '',
+    // Atribuição (seção 30): first_utm_source, last_referrer…
+    ...Object.entries(data)
+      .filter(([name]) => /^(first|last)_/.test(name))
+      .map(([name, value]) => `${name}: ${value}`),
+  ].join('\n').trim();
+
+  return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
 
-    return { valid, firstInvalidField };
+/**
+ * Envia os dados pelo transporte configurado, repetindo falhas
+ * transitórias com backoff exponencial + jitter.
+ * @param {Object} data
+ * @param {Object} config - Resultado de readSubmissionConfig()
+ * @param {Object} [hooks]
+ * @param {(attempt: number) => Promise<Object>} [hooks.prepare] - Campos
+ *   extras de cada tentativa (ex.: token anti-spam de uso único)
+ * @returns {Promise<{success: true, data: Object}>}
+ */
+async function submitFormData(data, config, { prepare } = {}) {
+  const transport = formTransports[config.transport];
+  if (!transport) {
+    throw new SubmissionError(`Transporte desconhecido: ${config.transport}`);
   }
 
-  /**
-   * Marca um campo como inválido e cria o tooltip de erro.
-   * @param {Element} field - Campo de input
-   * @param {string} message - Mensagem de erro
-   */
-  function markInvalid(field, message) {
-    field.classList.add('has-error');
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const extra = prepare ? await prepare(attempt) : {};
+      return await transport({ ...data, ...extra }, config);
+    } catch (error) {
+      const canRetry = error instanceof SubmissionError
+        && error.retryable
+        && attempt < config.retries;
+      if (!canRetry) throw error;
+
+      const delay = Math.max(
+        error.retryAfter,
+        config.backoff * 2 ** attempt + Math.random() * config.backoff
+      );
+      console.warn(`Projekt: envio falhou (${error.message}). Nova tentativa em ${Math.round(delay)}ms.`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
 
-    // Remove erro anterior se existir
-    const existing = field.parentNode.querySelector('.field-error');
-    if (existing) existing.remove();
+function initContactForm({ signal }) {
+  const form     = $('#contatoForm');
+  const feedback = $('#formFeedback');
 
-    // Cria elemento de erro
-    const error = document.createElement('span');
-    error.className = 'field-error';
-    error.textContent = message;
-    error.style.cssText = `
-      font-size: 0.75rem;
-      color: var(--color-error);
-      display: block;
-      margin-top: 4px;
-    `;
+  if (!form) return;
 
-    field.parentNode.appendChild(error);
+  const submitBtn = form.querySelector('.form-submit');
+  let sending = false;
 
-    // Remove o estilo de erro quando o campo é corrigido
-    field.addEventListener('input', () => {
-      field.classList.remove('has-error');
-      error.remove();
-    }, { once: true });
+  /**
+   * Trava ou libera o envio (botão desabilitado + loading).
+   * @param {boolean} locked
+   */
+  function setSending(locked) {
+    sending = locked;
+    submitBtn.classList.toggle('is-loading', locked);
+    submitBtn.disabled = locked;
   }
 
   /**
-   * Simula o envio do formulário (substituir por fetch() real).
-   *
-   * ╔══════════════════════════════════════════════════════╗
-   * ║  INTEGRAÇÃO DE BACKEND                              ║
-   * ║  Substitua esta função por:                         ║
-   * ║                                                      ║
-   * ║  const response = await fetch('/api/contact', {      ║
-   * ║    method: 'POST',                                   ║
-   * ║    headers: { 'Content-Type': 'application/json' },  ║
-   * ║    body: JSON.stringify(formData)                    ║
-   * ║  });                                                 ║
-   * ║                                                      ║
-   * ║  Ou para Formspree/EmailJS/etc, consulte a docs.    ║
-   * ╚══════════════════════════════════════════════════════╝
-   *
-   * @param {Object} data - Dados do formulário
-   * @returns {Promise<{success: boolean}>}
+   * Valida o formulário (ou um trecho dele, como uma etapa do
+   * wizard) pelas regras data-validate — seção 20.
+   * @param {Element} [scope=form] - Elemento que contém os campos
+   * @returns {Promise<{ valid: boolean, firstInvalidField: Element|null }>}
    */
-  async function simulateFormSubmission(data) {
-    // Remove quando tiver backend real
-    console.log('Dados do formulário:', data);
+  const validateForm = (scope = form) => validateFields(scope);
 
-    // Simula delay de rede (1.5s)
-    return new Promise(resolve => {
-      setTimeout(() => resolve({ success: true }), 1500);
+  /**
+   * Exibe nos campos os erros de validação devolvidos pelo servidor.
+   * @param {Object<string, string>} fieldErrors - { name do campo: mensagem }
+   * @returns {Element|null} Primeiro campo marcado
+   */
+  function applyServerErrors(fieldErrors) {
+    let firstField = null;
+
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const field = form.elements.namedItem(name);
+      if (!field) return;
+      setFieldError(field, message);
+      if (!firstField) firstField = field;
     });
+
+    return firstField;
   }
 
   /**
-   * Mostra o feedback de resultado do envio.
-   * @param {'success'|'error'} type
+   * Mostra o feedback de resultado do envio ('queued' também vale
+   * para o que depende de uma ação do visitante, como o mailto).
+   * @param {'success'|'error'|'queued'} type
    * @param {string} message
    */
   function showFeedback(type, message) {
@@ -670,80 +1573,199 @@ function initContactForm() {
     feedback.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }
 
+  // Modo multi-etapas (data-mode="wizard") — seção 19
+  const wizard = form.dataset.mode === 'wizard'
+    ? initLeadWizard(form, validateForm, { signal })
+    : null;
+
   // ── Handler de submit ──
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
+    // Wizard: Enter/submit antes da última etapa apenas avança
+    if (wizard && !wizard.isLastStep()) {
+      wizard.next();
+      return;
+    }
+
+    // Trava já aqui: validação e duplicidade são assíncronas, e um
+    // duplo clique passaria duas vezes por elas
+    if (sending) return;
+    setSending(true);
+    feedback.className = 'form-feedback';
+
     // Valida antes de enviar
-    const { valid, firstInvalidField } = validateForm();
+    const { valid, firstInvalidField } = await validateForm();
     if (!valid) {
+      setSending(false);
+      trackEvent('lead_submit', { outcome: 'invalid', field: firstInvalidField?.name });
+      if (wizard && firstInvalidField) wizard.showStepOf(firstInvalidField);
       firstInvalidField?.focus();
       return;
     }
 
-    // Coleta dados do formulário
+    // Coleta dados do formulário (+ qualificação da etapa ativa)
     const formData = {
       nome:     $('#nomeInput',    form).value.trim(),
       email:    $('#emailInput',   form).value.trim(),
       empresa:  $('#empresaInput', form).value.trim(),
+      telefone: $('#telefoneInput',form).value.trim(),
+      cnpj:     $('#cnpjInput',    form).value.trim(),
+      cep:      $('#cepInput',     form).value.trim(),
       servico:  $('#servicoSelect',form).value,
       mensagem: $('#mensagemInput',form).value.trim(),
+      ...collectQualification(form),
     };
 
-    // Estado de loading
-    const submitBtn = form.querySelector('.form-submit');
-    submitBtn.classList.add('is-loading');
-    submitBtn.disabled = true;
-    feedback.className = 'form-feedback';
-
-    try {
-      const result = await simulateFormSubmission(formData);
+    // Anti-spam (seção 21): honeypot, tempo mínimo, limite e duplicidade
+    const guard = await checkSpamGuards(form, formData);
+    if (guard.blocked) {
+      setSending(false);
+      trackEvent('lead_submit', { outcome: 'blocked', reason: guard.blocked });
 
-      if (result.success) {
-        showFeedback('success', '✓ Mensagem enviada! Entraremos em contato em breve.');
+      if (guard.blocked === 'honeypot') {
+        // Bot: finge sucesso para não revelar a defesa
+        showFeedback('success', t('form.feedback.success'));
         form.reset();
       } else {
-        throw new Error('Resposta do servidor indicou falha');
+        showFeedback(guard.blocked === 'duplicate' ? 'success' : 'error', guard.message);
+      }
+      return;
+    }
+
+    // Origem do lead (seção 30). Fica fora do hash anti-spam:
+    // a mesma mensagem reenviada continua sendo duplicada
+    Object.assign(formData, getAttributionFields());
+
+    const config = readSubmissionConfig(form);
+
+    try {
+      // Sem conexão: guarda o lead na fila em vez de tentar enviar
+      if (!navigator.onLine && isQueueableTransport(config)) {
+        await queueLead(formData, config, readSpamConfig(form));
+        recordSubmission(form, guard.hash);
+        showFeedback('queued', t('form.feedback.queuedOffline'));
+        trackEvent('lead_submit', { outcome: 'queued', servico: formData.servico });
+        form.reset();
+        return;
+      }
+
+      // Desafio (ex.: proof-of-work) só no envio imediato: na fila,
+      // o token expiraria antes do reenvio. O servidor aceita cada
+      // token uma vez, então cada tentativa resolve um novo
+      const result = await submitFormData(formData, config, { prepare: () => solveSpamChallenge(form) });
+
+      // mailto só abre o app de e-mail: nada foi enviado ainda, então
+      // o formulário fica preenchido e o envio não conta no limite
+      if (result.data?.via === 'mailto') {
+        showFeedback('queued', t('form.feedback.mailtoOpened', { address: config.mailto }));
+        trackEvent('lead_submit', { outcome: 'mailto', servico: formData.servico, transport: config.transport });
+        return;
       }
+
+      recordSubmission(form, guard.hash);
+      showFeedback('success', t('form.feedback.success'));
+      trackEvent('lead_submit', { outcome: 'success', servico: formData.servico, transport: config.transport });
+      form.reset();
     } catch (error) {
       console.error('Erro ao enviar formulário:', error);
-      showFeedback('error', 'Ocorreu um erro. Por favor, tente pelo WhatsApp ou e-mail.');
+
+      const firstServerError = applyServerErrors(error.fieldErrors || {});
+      const canQueue = error.offline && isQueueableTransport(config);
+
+      let outcome = 'error';
+
+      if (firstServerError) {
+        outcome = 'server_invalid';
+        showFeedback('error', t('form.feedback.review'));
+        if (wizard) wizard.showStepOf(firstServerError);
+        firstServerError.focus();
+      } else if (canQueue && await queueLead(formData, config, readSpamConfig(form)).then(() => true, () => false)) {
+        outcome = 'queued';
+        recordSubmission(form, guard.hash);
+        showFeedback('queued', t('form.feedback.queuedUnstable'));
+        form.reset();
+      } else if (config.fallback === 'mailto' && config.transport !== 'mailto') {
+        // Último recurso: não perde o lead — abre o e-mail preenchido
+        outcome = 'mailto_fallback';
+        formTransports.mailto(formData, config);
+        showFeedback('error', t('form.feedback.mailto'));
+      } else {
+        showFeedback('error', t('form.feedback.error'));
+      }
+
+      trackEvent('lead_submit', { outcome, servico: formData.servico, status: error.status });
     } finally {
-      // Remove estado de loading independente do resultado
-      submitBtn.classList.remove('is-loading');
-      submitBtn.disabled = false;
+      // Libera o envio independente do resultado
+      setSending(false);
     }
-  });
+  }, { signal });
 
-  // Aplica estilo de erro em tempo real nos inputs
-  const inputs = $$('.form-input', form);
-  inputs.forEach(input => {
-    input.addEventListener('blur', () => {
-      // Minivalidação ao sair do campo (feedback imediato)
-      if (input.hasAttribute('required') && input.value.trim() === '') {
-        input.classList.add('has-error');
-      }
-    });
-  });
+  // Leads da fila offline enviados depois (pela página ou pelo SW)
+  form.addEventListener('projekt:lead-replayed', (e) => {
+    trackEvent('lead_replay', { outcome: e.detail.success ? 'success' : 'rejected' });
+
+    if (e.detail.success) {
+      showFeedback('success', t('form.feedback.replaySuccess'));
+    } else {
+      showFeedback('error', t('form.feedback.replayError'));
+    }
+  }, { signal });
+
+  // Máscaras e validação em tempo real (input/blur)
+  initLiveValidation(form, { signal });
 }
 
 /* ─────────────────────────────────────────────────────────
    10. GSAP SCROLL TRIGGER (EFEITOS AVANÇADOS)
    Efeitos que vão além do Intersection Observer simples.
-   Requer GSAP + ScrollTrigger carregados no HTML.
+   Requer GSAP + ScrollTrigger carregados no HTML. Só com
+   movimento permitido (condição "motion" — seção 23).
 ───────────────────────────────────────────────────────── */
-function initGSAP() {
+function initGSAP({ signal }) {
   // Verifica se GSAP está disponível
   if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
     console.warn('Projekt: GSAP não encontrado. Efeitos avançados desabilitados.');
     return;
   }
 
-  if (prefersReducedMotion()) return;
-
   // Registra o plugin ScrollTrigger
   gsap.registerPlugin(ScrollTrigger);
 
+  // Recalcula os gatilhos após resize (debounced — ver RESIZE HANDLER)
+  window.addEventListener('projekt:resize', () => ScrollTrigger.refresh(), { signal });
+
+  // Inicializa depois de um frame para garantir que o DOM está
+  // totalmente pintado (evita cálculos errados de offset). Os
+  // contextos revertem todos os tweens e gatilhos ao desligar.
+  let context  = null;
+  let parallax = null;
+
+  const frame = requestAnimationFrame(() => {
+    context = gsap.context(createScrollEffects);
+
+    // Parallax com scrub recalcula a cada frame de scroll: só
+    // em dispositivos de alto desempenho (seção 24)
+    if (getMotionTier() === 'high') parallax = gsap.context(createParallaxEffects);
+  });
+
+  document.addEventListener('projekt:motionchange', (e) => {
+    if (e.detail.tier === 'high' || !parallax) return;
+    parallax.revert();
+    parallax = null;
+  }, { signal });
+
+  return () => {
+    cancelAnimationFrame(frame);
+    parallax?.revert();
+    context?.revert();
+  };
+}
+
+/**
+ * Efeitos de parallax atrelados ao scroll (scrub).
+ */
+function createParallaxEffects() {
   // ── Efeito parallax no título do hero ──
   // O título sobe mais rápido que o scroll, criando profundidade
   gsap.to('.hero-content', {
@@ -757,24 +1779,6 @@ function initGSAP() {
     }
   });
 
-  // ── Efeito de escala nos números das stats ──
-  // Cada stat-card "entra" com uma leve escala
-  gsap.fromTo('.stat-card', {
-    scale: 0.92,
-    opacity: 0
-  }, {
-    scale: 1,
-    opacity: 1,
-    duration: 0.6,
-    stagger: 0.1, // Cada card com 100ms de atraso
-    ease: 'back.out(1.5)',
-    scrollTrigger: {
-      trigger: '.stats-grid',
-      start: 'top 80%',
-      once: true, // Só anima uma vez
-    }
-  });
-
   // ── Efeito parallax nas imagens de fundo dos painéis ──
   // Em mobile, background-attachment: fixed causa bugs — verificar
   const isMobile = window.matchMedia('(max-width: 1024px)').matches;
@@ -794,6 +1798,30 @@ function initGSAP() {
       });
     });
   }
+}
+
+/**
+ * Tweens e ScrollTriggers de entrada (executado dentro de um
+ * gsap.context — ver initGSAP).
+ */
+function createScrollEffects() {
+  // ── Efeito de escala nos números das stats ──
+  // Cada stat-card "entra" com uma leve escala
+  gsap.fromTo('.stat-card', {
+    scale: 0.92,
+    opacity: 0
+  }, {
+    scale: 1,
+    opacity: 1,
+    duration: 0.6,
+    stagger: 0.1, // Cada card com 100ms de atraso
+    ease: 'back.out(1.5)',
+    scrollTrigger: {
+      trigger: '.stats-grid',
+      start: 'top 80%',
+      once: true, // Só anima uma vez
+    }
+  });
 
   // ── Animação do manifesto-quote: linha por linha ──
   // Cada linha aparece com um leve deslocamento horizontal
@@ -852,13 +1880,55 @@ function initGSAP() {
    Intercepta cliques em links #hash e faz scroll suave,
    considerando a altura do navbar fixo.
 ───────────────────────────────────────────────────────── */
-function initSmoothScroll() {
+/**
+ * Altura ocupada pela navbar fixa + margem extra, usada para
+ * compensar a rolagem até âncoras.
+ * @returns {number}
+ */
+function getNavbarOffset() {
+  const navbar = $('#navbar');
+  return (navbar ? navbar.offsetHeight : 0) + 20; // 20px de margem extra
+}
+
+/**
+ * Rola até um elemento descontando a navbar fixa. Sem
+ * movimento permitido, a rolagem suave vira salto direto.
+ * @param {Element} target
+ * @param {ScrollBehavior} [behavior='smooth']
+ */
+function scrollToTarget(target, behavior = 'smooth') {
+  const targetPosition = target.getBoundingClientRect().top
+    + window.scrollY
+    - getNavbarOffset();
+
+  window.scrollTo({
+    top: targetPosition,
+    behavior: behavior === 'smooth' && !isMotionAllowed() ? 'instant' : behavior,
+  });
+}
+
+/**
+ * Id de um hash ("#sobre" → "sobre"). Hash com %-encoding
+ * malformado (ex.: #%E0) vira '' em vez de lançar URIError.
+ * @param {string} hash
+ * @returns {string}
+ */
+function decodeHash(hash) {
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch {
+    return '';
+  }
+}
+
+function initSmoothScroll({ signal }) {
   $$('a[href^="#"]').forEach(link => {
     link.addEventListener('click', (e) => {
       const href = link.getAttribute('href');
 
-      // Ignora links sem alvo válido (#, #!)
-      if (!href || href === '#' || href === '#!') return;
+      // Ignora links sem alvo válido (#, #!) e cliques já tratados
+      // por outro módulo (ex.: saída de um post de insights)
+      if (!href || href === '#' || href === '#!' || e.defaultPrevented) return;
 
       const target = document.querySelector(href);
       if (!target) return;
@@ -866,18 +1936,7 @@ function initSmoothScroll() {
       e.preventDefault();
 
       // Calcula offset considerando a navbar fixa
-      const navbar = $('#navbar');
-      const navbarHeight = navbar ? navbar.offsetHeight : 0;
-
-      const targetPosition = target.getBoundingClientRect().top
-        + window.scrollY
-        - navbarHeight
-        - 20; // 20px de margem extra
-
-      window.scrollTo({
-        top: targetPosition,
-        behavior: 'smooth'
-      });
+      scrollToTarget(target);
 
       // Atualiza a URL sem disparar o scroll padrão
       history.pushState(null, '', href);
@@ -885,7 +1944,7 @@ function initSmoothScroll() {
       // Foco acessível no elemento alvo
       target.setAttribute('tabindex', '-1');
       target.focus({ preventScroll: true });
-    });
+    }, { signal });
   });
 }
 
@@ -910,7 +1969,7 @@ function injectDynamicStyles() {
     /* Estado de erro em campos de formulário */
     .form-input.has-error {
       border-color: var(--color-error) !important;
-      box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.15) !important;
+      box-shadow: 0 0 0 3px rgba(var(--color-error-rgb), 0.15) !important;
     }
 
     /* Stat card: ajuste de layout flex para número + sufixo na mesma linha */
@@ -934,49 +1993,6343 @@ function injectDynamicStyles() {
     }
   `;
   document.head.appendChild(style);
+
+  return () => style.remove();
 }
 
 /* ─────────────────────────────────────────────────────────
-   PONTO DE ENTRADA — INIT
-   Aguarda o DOM estar completamente carregado.
+   14. FILA OFFLINE DE LEADS
+   Envios feitos sem conexão ficam no IndexedDB e são
+   reenviados pelo service worker (Background Sync) ou, em
+   browsers sem suporte, pela própria página no evento
+   'online'. Com Background Sync, cada visita (e cada
+   reconexão) reagenda o sync se a fila não estiver vazia.
+   O sw.js lê o mesmo banco — manter em sincronia.
 ───────────────────────────────────────────────────────── */
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('%c PROJEKT ', 'background: #0066ff; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold;', '— Site carregado');
+const LEAD_DB_NAME    = 'projekt';
+const LEAD_DB_VERSION = 1;
+const LEAD_STORE      = 'leadQueue';
+const LEAD_SYNC_TAG   = 'projekt-lead-queue';
 
-  // Inicializa cada módulo na ordem correta
-  injectDynamicStyles();    // 1. Estilos dinâmicos primeiro
-  initCursor();             // 2. Cursor personalizado
-  initScrollProgress();     // 3. Barra de progresso
-  initNavbar();             // 4. Navbar
-  initScrollAnimations();   // 5. Animações de reveal
-  initHeroParticles();      // 6. Partículas do hero
-  initCounters();           // 7. Contadores de métricas
-  initTestimonialsCarousel(); // 8. Carrossel
-  initContactForm();        // 9. Formulário
-  initSmoothScroll();       // 10. Smooth scroll
-  initFooterYear();         // 11. Ano do footer
-
-  // GSAP: inicializa depois de um micro-delay para garantir que
-  // o DOM está totalmente pintado (evita cálculos errados de offset)
-  requestAnimationFrame(() => {
-    initGSAP();
-  });
-
-  // Registra service worker para cache offline (se disponível)
-  // Para ativar, crie um sw.js na raiz do projeto
-  // if ('serviceWorker' in navigator) {
-  //   navigator.serviceWorker.register('/sw.js');
-  // }
-});
+/**
+ * Só transportes HTTP podem ser enfileirados (mailto não usa rede).
+ * @param {Object} config - Resultado de readSubmissionConfig()
+ * @returns {boolean}
+ */
+const isQueueableTransport = (config) =>
+  'indexedDB' in window && (config.transport === 'json' || config.transport === 'form');
+
+/**
+ * Abre (e cria, na primeira vez) o banco da fila de leads.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLeadDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LEAD_DB_NAME, LEAD_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(LEAD_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+/**
+ * Executa uma operação no object store da fila.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>} Resultado da requisição
+ */
+async function withLeadStore(mode, operation) {
+  const db = await openLeadDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LEAD_STORE, mode);
+    const request = operation(tx.objectStore(LEAD_STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror    = () => { db.close(); reject(tx.error); };
+  });
+}
+
+/**
+ * Guarda um lead na fila e agenda o Background Sync. O lead leva
+ * queued_at (o backend sabe que é um reenvio) e a configuração do
+ * desafio, resolvido só na hora de reenviar.
+ * @param {Object} data - Dados do formulário
+ * @param {Object} config - Configuração de envio
+ * @param {Object} [spamConfig] - readSpamConfig() do formulário
+ * @returns {Promise<number>} id do item na fila
+ */
+async function queueLead(data, config, { challenge = '', challengeEndpoint = '' } = {}) {
+  const { transport, endpoint, timeout } = config;
+  const createdAt = Date.now();
+  const id = await withLeadStore('readwrite', store => store.add({
+    data: { ...data, queued_at: new Date(createdAt).toISOString() },
+    config: { transport, endpoint, timeout, challenge, challengeEndpoint },
+    createdAt,
+  }));
+
+  // Background Sync (Chromium); nos demais, o evento 'online' cuida
+  if ('serviceWorker' in navigator) {
+    registerLeadSync().catch(() => { /* Sem suporte: fica para o flush da página */ });
+  }
+
+  return id;
+}
+
+/**
+ * Agenda o reenvio da fila pelo service worker (Background Sync).
+ * @returns {Promise<void>}
+ */
+const registerLeadSync = () =>
+  navigator.serviceWorker.ready.then(registration => registration.sync?.register(LEAD_SYNC_TAG));
+
+/**
+ * Reagenda o sync se ainda houver leads na fila. O Chromium
+ * desiste de uma tag depois de algumas falhas seguidas (ex.:
+ * backend respondendo 5xx); sem isso, os leads ficariam parados
+ * até o próximo envio offline.
+ */
+async function resumeLeadSync() {
+  const pending = await withLeadStore('readonly', store => store.count());
+  if (pending) await registerLeadSync();
+}
+
+/**
+ * Notifica o formulário sobre um lead da fila já processado.
+ * @param {boolean} success
+ */
+function notifyLeadReplayed(success) {
+  $('#contatoForm')?.dispatchEvent(
+    new CustomEvent('projekt:lead-replayed', { detail: { success } })
+  );
+}
+
+/**
+ * Reenvia pela página os leads da fila. Falhas de validação
+ * (4xx) descartam o item; falhas de rede mantêm para depois.
+ */
+async function flushLeadQueue() {
+  const leads = await withLeadStore('readonly', store => store.getAll());
+
+  for (const lead of leads) {
+    try {
+      await submitFormData(lead.data, { ...lead.config, retries: 0, backoff: 0 }, {
+        prepare: () => solveChallenge(lead.config),
+      });
+      await withLeadStore('readwrite', store => store.delete(lead.id));
+      notifyLeadReplayed(true);
+    } catch (error) {
+      if (error.retryable) return; // Ainda sem conexão estável
+      await withLeadStore('readwrite', store => store.delete(lead.id));
+      notifyLeadReplayed(false);
+    }
+  }
+}
+
+/**
+ * Registra o service worker e liga o reenvio da fila.
+ */
+function initOfflineQueue({ signal }) {
+  if (!('indexedDB' in window)) return;
+
+  const hasBackgroundSync = 'serviceWorker' in navigator && 'SyncManager' in window;
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Projekt: service worker não registrado.', error);
+    });
+
+    // O SW avisa quando reenviou um lead via Background Sync
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'lead-replayed') notifyLeadReplayed(e.data.success);
+    }, { signal });
+  }
+
+  // Ao abrir a página e ao reconectar: com Background Sync, reagenda
+  // o que sobrou na fila; sem ele, a própria página reenvia
+  const resume = hasBackgroundSync ? resumeLeadSync : flushLeadQueue;
+  window.addEventListener('online', () => resume().catch(console.error), { signal });
+  if (navigator.onLine) resume().catch(console.error);
+}
 
 /* ─────────────────────────────────────────────────────────
-   RESIZE HANDLER
-   Recalcula layouts que dependem do tamanho da janela.
-   Debounced para evitar chamadas excessivas.
+   15. INTERNACIONALIZAÇÃO (pt-BR / en / es)
+   Dicionários em js/i18n.js. O HTML continua sendo a fonte
+   do português: na inicialização, os textos originais dos
+   elementos marcados viram o dicionário pt-BR.
+
+   Marcação:
+     data-i18n="chave"            → textContent
+     data-i18n-html="chave"       → innerHTML (só texto confiável)
+     data-i18n-attr="attr:chave"  → atributos (vários com ";")
+
+   Módulos com textos gerados em JS usam t() e escutam o
+   evento 'projekt:languagechange' para se atualizar.
 ───────────────────────────────────────────────────────── */
-window.addEventListener('resize', debounce(() => {
-  // Recalcula ScrollTrigger após resize (se GSAP disponível)
-  if (typeof ScrollTrigger !== 'undefined') {
-    ScrollTrigger.refresh();
+const I18N_STORAGE_KEY = 'projekt-lang';
+const I18N_DEFAULT     = 'pt-BR';
+
+/** Idiomas suportados e seus formatos regionais. */
+const I18N_LOCALES = {
+  'pt-BR': { htmlLang: 'pt-BR', ogLocale: 'pt_BR', numberLocale: 'pt-BR' },
+  en:      { htmlLang: 'en',    ogLocale: 'en_US', numberLocale: 'en-US' },
+  es:      { htmlLang: 'es',    ogLocale: 'es_LA', numberLocale: 'es-419' },
+};
+
+// Idioma ativo — alterado somente por setLanguage()
+let currentLang = I18N_DEFAULT;
+
+/**
+ * Traduz uma chave no idioma ativo (fallback: pt-BR → a própria chave).
+ * @param {string} key
+ * @param {Object} [params] - Valores para {placeholders}
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const messages = typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : {};
+  const template = messages[currentLang]?.[key] ?? messages[I18N_DEFAULT]?.[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+/**
+ * Formata um número no padrão regional do idioma ativo.
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+const formatNumber = (value, options) =>
+  new Intl.NumberFormat(I18N_LOCALES[currentLang].numberLocale, options).format(value);
+
+/**
+ * Formata uma data no padrão regional do idioma ativo.
+ * @param {Date|number} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+const formatDate = (value, options) =>
+  new Intl.DateTimeFormat(I18N_LOCALES[currentLang].numberLocale, options).format(value);
+
+/**
+ * Idioma ativo (código de I18N_LOCALES).
+ * @returns {string}
+ */
+const getLanguage = () => currentLang;
+
+/**
+ * Resolve um código de idioma qualquer (ex.: "es-MX", "pt-PT")
+ * para um dos idiomas suportados.
+ * @param {string} code
+ * @returns {string|null}
+ */
+function matchLocale(code) {
+  if (!code) return null;
+  if (I18N_LOCALES[code]) return code;
+
+  const base = code.toLowerCase().split('-')[0];
+  return Object.keys(I18N_LOCALES).find(lang => lang.toLowerCase().split('-')[0] === base) || null;
+}
+
+/**
+ * Ordem de prioridade: ?lang= na URL → escolha salva → idiomas
+ * do navegador → pt-BR.
+ * @returns {string}
+ */
+function detectLanguage() {
+  const candidates = [
+    new URLSearchParams(window.location.search).get('lang'),
+    storage.get(I18N_STORAGE_KEY),
+    ...(navigator.languages || [navigator.language]),
+  ];
+
+  for (const candidate of candidates) {
+    const match = matchLocale(candidate);
+    if (match) return match;
   }
+  return I18N_DEFAULT;
+}
+
+/**
+ * Lê os pares "atributo:chave" de data-i18n-attr.
+ * @param {Element} el
+ * @returns {Array<[string, string]>}
+ */
+const parseI18nAttrs = (el) =>
+  el.dataset.i18nAttr
+    .split(';')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([attr, key]) => attr && key);
+
+/**
+ * Registra o texto original (português) dos elementos marcados
+ * como dicionário pt-BR, sem sobrescrever chaves já definidas.
+ * @param {ParentNode} [root=document]
+ */
+function snapshotDefaultMessages(root = document) {
+  if (typeof I18N_MESSAGES === 'undefined') return;
+  if (!I18N_MESSAGES[I18N_DEFAULT]) I18N_MESSAGES[I18N_DEFAULT] = {};
+  const messages = I18N_MESSAGES[I18N_DEFAULT];
+  const remember = (key, value) => {
+    if (!(key in messages)) messages[key] = value;
+  };
+
+  $$('[data-i18n]', root).forEach(el => remember(el.dataset.i18n, el.textContent));
+  $$('[data-i18n-html]', root).forEach(el => remember(el.dataset.i18nHtml, el.innerHTML));
+  $$('[data-i18n-attr]', root).forEach(el => {
+    parseI18nAttrs(el).forEach(([attr, key]) => remember(key, el.getAttribute(attr)));
+  });
+}
+
+/**
+ * Aplica as traduções do idioma ativo aos elementos marcados.
+ * @param {ParentNode} [root=document]
+ */
+function applyTranslations(root = document) {
+  $$('[data-i18n]', root).forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  $$('[data-i18n-html]', root).forEach(el => {
+    el.innerHTML = t(el.dataset.i18nHtml);
+  });
+  $$('[data-i18n-attr]', root).forEach(el => {
+    parseI18nAttrs(el).forEach(([attr, key]) => el.setAttribute(attr, t(key)));
+  });
+}
+
+/**
+ * Troca o idioma da página: textos, <html lang>, og:locale,
+ * estado dos seletores e formatação numérica.
+ * @param {string} lang - Código de I18N_LOCALES
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Salva a escolha
+ */
+function setLanguage(lang, { persist = true } = {}) {
+  const locale = I18N_LOCALES[lang];
+  if (!locale) return;
+
+  currentLang = lang;
+  document.documentElement.lang = locale.htmlLang;
+  $('meta[property="og:locale"]')?.setAttribute('content', locale.ogLocale);
+
+  applyTranslations();
+
+  $$('.lang-option').forEach(btn => {
+    btn.setAttribute('aria-pressed', btn.dataset.lang === lang ? 'true' : 'false');
+  });
+
+  if (persist) storage.set(I18N_STORAGE_KEY, lang);
+
+  document.dispatchEvent(new CustomEvent('projekt:languagechange', { detail: { lang } }));
+}
+
+/**
+ * Inicializa o i18n: guarda o português do HTML, liga os
+ * seletores de idioma e aplica o idioma detectado.
+ */
+function initI18n({ signal }) {
+  snapshotDefaultMessages();
+
+  $$('.lang-option').forEach(btn => {
+    btn.addEventListener('click', () => setLanguage(btn.dataset.lang), { signal });
+  });
+
+  const lang = detectLanguage();
+  if (lang === I18N_DEFAULT) {
+    // HTML já está em português: só sincroniza o estado dos botões
+    $$('.lang-option').forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.lang === lang ? 'true' : 'false');
+    });
+  } else {
+    setLanguage(lang, { persist: false });
+  }
+}
+
+/* ─────────────────────────────────────────────────────────
+   16. FEED DE DEPOIMENTOS (JSON)
+   Renderiza os cards do carrossel a partir de um JSON
+   (data-source no #testimonialsTrack). Os <blockquote> do
+   HTML são o fallback sem JS ou se o feed falhar.
+
+     data-source   URL do feed (arquivo local ou endpoint)
+     data-shuffle  "true" → ordem aleatória a cada visita
+
+   Formato: { version, testimonials: [{ id, quote, author,
+   role, company, logo, rating, tags }] }. quote e role
+   aceitam texto simples ou { "pt-BR": …, "en": …, "es": … }.
+   tags usam a mesma taxonomia do #servicoSelect.
+───────────────────────────────────────────────────────── */
+const TESTIMONIAL_AREAS = ['tecnologia', 'agile', 'ia'];
+
+/**
+ * Escolhe o texto no idioma ativo de um campo localizável.
+ * @param {string|Object<string, string>} value
+ * @returns {string}
+ */
+function localized(value) {
+  if (!value || typeof value === 'string') return value || '';
+  return value[getLanguage()] ?? value[I18N_DEFAULT] ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Embaralha uma cópia do array (Fisher–Yates).
+ * @param {Array} items
+ * @returns {Array}
+ */
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Monta o <blockquote> de um depoimento. Usa apenas textContent:
+ * o conteúdo do feed nunca é interpretado como HTML.
+ * @param {Object} item
+ * @returns {HTMLElement}
+ */
+function createTestimonialCard(item) {
+  const card = document.createElement('blockquote');
+  card.className = 'testimonial-card';
+  card.dataset.tags = (item.tags || []).join(' ');
+
+  const quote = document.createElement('p');
+  quote.className = 'testimonial-quote';
+  quote.textContent = `"${localized(item.quote)}"`;
+
+  const footer = document.createElement('footer');
+  footer.className = 'testimonial-author';
+
+  if (item.logo) {
+    const logo = document.createElement('img');
+    logo.className = 'author-logo';
+    logo.src = item.logo;
+    logo.alt = item.company || '';
+    logo.loading = 'lazy';
+    logo.decoding = 'async';
+    logo.width = 40;
+    logo.height = 40;
+    footer.appendChild(logo);
+  }
+
+  const info = document.createElement('div');
+  info.className = 'author-info';
+
+  const name = document.createElement('cite');
+  name.className = 'author-name';
+  name.textContent = item.author;
+
+  const role = document.createElement('span');
+  role.className = 'author-role';
+  role.textContent = [localized(item.role), item.company].filter(Boolean).join(' — ');
+
+  info.append(name, role);
+  footer.appendChild(info);
+
+  const rating = clamp(Math.round(item.rating || 0), 0, 5);
+  if (rating) {
+    card.dataset.rating = String(rating); // Lido pelos dados estruturados (seção 32)
+    const stars = document.createElement('span');
+    stars.className = 'testimonial-rating';
+    stars.setAttribute('role', 'img');
+    stars.setAttribute('aria-label', t('testimonials.rating', { n: rating }));
+    stars.textContent = '★'.repeat(rating) + '☆'.repeat(5 - rating);
+    footer.appendChild(stars);
+  }
+
+  card.append(quote, footer);
+
+  const tags = (item.tags || []).filter(tag => TESTIMONIAL_AREAS.includes(tag));
+  if (tags.length) {
+    const list = document.createElement('ul');
+    list.className = 'testimonial-tags';
+    tags.forEach(tag => {
+      const li = document.createElement('li');
+      li.className = 'testimonial-tag';
+      li.textContent = t(`form.servico.${tag}`);
+      list.appendChild(li);
+    });
+    card.appendChild(list);
+  }
+
+  return card;
+}
+
+/**
+ * Carrega o feed, renderiza os cards e liga os filtros por área.
+ * O fetch só acontece quando a seção se aproxima da viewport.
+ */
+function initTestimonialsFeed({ signal }) {
+  const track   = $('#testimonialsTrack');
+  const filters = $$('.testimonial-filter');
+  if (!track) return;
+
+  let items = null;       // Feed carregado (null = usando o HTML estático)
+  let activeFilter = '';  // '' = todas as áreas
+
+  /** Renderiza os itens do feed (respeitando o filtro ativo). */
+  function render() {
+    if (items) {
+      track.replaceChildren(...items
+        .filter(item => !activeFilter || (item.tags || []).includes(activeFilter))
+        .map(createTestimonialCard));
+    } else {
+      // Sem feed: filtra os cards estáticos pelo data-tags
+      $$('.testimonial-card', track).forEach(card => {
+        const tags = (card.dataset.tags || '').split(' ');
+        card.hidden = Boolean(activeFilter) && !tags.includes(activeFilter);
+      });
+    }
+
+    track.dispatchEvent(new CustomEvent('projekt:testimonials-change'));
+  }
+
+  /**
+   * Busca e valida o feed. Em erro, mantém os cards do HTML.
+   */
+  async function load() {
+    try {
+      const response = await fetch(track.dataset.source, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const feed = await response.json();
+      const list = (feed.testimonials || []).filter(item => item.quote && item.author);
+      if (!list.length) throw new Error('Feed sem depoimentos válidos');
+
+      items = track.dataset.shuffle === 'true' ? shuffle(list) : list;
+      render();
+    } catch (error) {
+      console.warn('Projekt: feed de depoimentos indisponível, mantendo o HTML.', error);
+    }
+  }
+
+  // ── Filtros por área ──
+  filters.forEach(btn => {
+    btn.addEventListener('click', () => {
+      activeFilter = btn.dataset.filter || '';
+      filters.forEach(other => other.setAttribute('aria-pressed', other === btn ? 'true' : 'false'));
+      render();
+      trackEvent('testimonial_filter', { area: activeFilter || 'todos' });
+    }, { signal });
+  });
+
+  // Textos do feed acompanham o idioma
+  document.addEventListener('projekt:languagechange', () => {
+    if (items) render();
+  }, { signal });
+
+  if (!track.dataset.source) return;
+
+  // ── Carregamento preguiçoso: só perto da viewport ──
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect();
+      load();
+    }
+  }, { rootMargin: '400px 0px' });
+
+  observer.observe(track);
+
+  return () => observer.disconnect();
+}
+
+/* ─────────────────────────────────────────────────────────
+   17. ANALYTICS E CONSENTIMENTO (LGPD)
+   Barramento de eventos independente de provedor. Nada é
+   enviado antes do opt-in no banner de consentimento; sem
+   consentimento, trackEvent() simplesmente descarta o evento.
+
+   Configuração no <body>:
+     data-analytics           Adaptadores: "datalayer plausible console local"
+     data-analytics-endpoint  URL estilo Plausible (/api/event)
+     data-analytics-domain    Domínio reportado ao Plausible
+
+   Outros módulos: chamar trackEvent(nome, props) e, para
+   respeitar a escolha do visitante, hasAnalyticsConsent() e
+   o evento 'projekt:consentchange'.
+───────────────────────────────────────────────────────── */
+const CONSENT_STORAGE_KEY = 'projekt-consent';
+const CONSENT_VERSION     = 1;   // Incrementar ao mudar a política → novo pedido
+const ANALYTICS_LOG_KEY   = 'projekt-analytics-log';
+const ANALYTICS_LOG_LIMIT = 100;
+
+/**
+ * Adaptadores de destino. Cada fábrica recebe a configuração
+ * e devolve { send(event), revoke?() }.
+ */
+const analyticsAdapters = {
+  /** GA4 / Google Tag Manager via window.dataLayer. */
+  datalayer() {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push({ event: 'consent_update', analytics_storage: 'granted' });
+
+    return {
+      send({ name, props }) {
+        window.dataLayer.push({ event: name, ...props });
+      },
+      revoke() {
+        window.dataLayer.push({ event: 'consent_update', analytics_storage: 'denied' });
+      },
+    };
+  },
+
+  /** Endpoint no formato da Events API do Plausible. */
+  plausible(config) {
+    return {
+      send({ name, props, url }) {
+        const body = JSON.stringify({
+          name: name === 'page_view' ? 'pageview' : name,
+          url,
+          domain: config.domain,
+          referrer: document.referrer || null,
+          props,
+        });
+
+        // sendBeacon sobrevive à navegação (cliques em links externos)
+        const blob = new Blob([body], { type: 'application/json' });
+        if (!navigator.sendBeacon?.(config.endpoint, blob)) {
+          fetch(config.endpoint, { method: 'POST', body, keepalive: true,
+            headers: { 'Content-Type': 'application/json' } }).catch(() => {});
+        }
+      },
+    };
+  },
+
+  /** Console do navegador — útil em desenvolvimento. */
+  console() {
+    return {
+      send({ name, props }) {
+        console.info('%c analytics ', 'background:#7c3aed;color:#fff;border-radius:3px', name, props);
+      },
+    };
+  },
+
+  /** Buffer local (últimos eventos) para depuração e testes. */
+  local() {
+    return {
+      send(event) {
+        const log = storage.get(ANALYTICS_LOG_KEY, []);
+        log.push(event);
+        storage.set(ANALYTICS_LOG_KEY, log.slice(-ANALYTICS_LOG_LIMIT));
+      },
+      revoke() {
+        storage.remove(ANALYTICS_LOG_KEY);
+      },
+    };
+  },
+};
+
+// Adaptadores ativos — preenchido só após o consentimento
+let activeAnalytics = [];
+
+/**
+ * Consentimento salvo, ou null se o visitante ainda não decidiu
+ * (ou se a política mudou desde a última decisão).
+ * @returns {{analytics: boolean, version: number, updatedAt: string}|null}
+ */
+function getConsent() {
+  const consent = storage.get(CONSENT_STORAGE_KEY);
+  return consent?.version === CONSENT_VERSION ? consent : null;
+}
+
+/**
+ * O visitante aceitou a coleta de métricas?
+ * @returns {boolean}
+ */
+const hasAnalyticsConsent = () => getConsent()?.analytics === true;
+
+/**
+ * Lê a configuração de analytics dos data-attributes do <body>.
+ * @returns {{providers: string[], endpoint: string, domain: string}}
+ */
+function readAnalyticsConfig() {
+  const ds = document.body.dataset;
+  return {
+    providers: (ds.analytics || '').split(/[\s,]+/).filter(Boolean),
+    endpoint:  ds.analyticsEndpoint || '/api/event',
+    domain:    ds.analyticsDomain || window.location.hostname,
+  };
+}
+
+/**
+ * Registra um evento em todos os adaptadores ativos.
+ * Sem consentimento, o evento é descartado.
+ * @param {string} name - snake_case (ex.: 'whatsapp_click')
+ * @param {Object} [props]
+ */
+function trackEvent(name, props = {}) {
+  if (!activeAnalytics.length) return;
+
+  const event = {
+    name,
+    props: { ...props, lang: getLanguage() },
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+  };
+
+  activeAnalytics.forEach(adapter => {
+    try {
+      adapter.send(event);
+    } catch (error) {
+      console.warn(`Projekt: adaptador de analytics falhou (${name}).`, error);
+    }
+  });
+}
+
+/**
+ * Liga ou desliga os adaptadores conforme o consentimento.
+ * @param {boolean} granted
+ */
+function applyAnalyticsConsent(granted) {
+  if (!granted) {
+    activeAnalytics.forEach(adapter => adapter.revoke?.());
+    activeAnalytics = [];
+    return;
+  }
+
+  if (activeAnalytics.length) return;
+
+  const config = readAnalyticsConfig();
+  activeAnalytics = config.providers
+    .filter(name => analyticsAdapters[name])
+    .map(name => analyticsAdapters[name](config));
+
+  trackEvent('page_view', { title: document.title });
+}
+
+/**
+ * Salva a escolha do visitante e avisa os demais módulos.
+ * @param {boolean} granted
+ */
+function setConsent(granted) {
+  storage.set(CONSENT_STORAGE_KEY, {
+    analytics: granted,
+    version: CONSENT_VERSION,
+    updatedAt: new Date().toISOString(),
+  });
+
+  applyAnalyticsConsent(granted);
+  document.dispatchEvent(new CustomEvent('projekt:consentchange', { detail: { analytics: granted } }));
+}
+
+/**
+ * Banner de consentimento: aparece até o visitante decidir;
+ * "Preferências de privacidade" no rodapé reabre a escolha.
+ */
+function initConsentBanner({ signal }) {
+  const banner = $('#consentBanner');
+  if (!banner) return;
+
+  const show = () => {
+    banner.hidden = false;
+    $('[data-consent="accept"]', banner)?.focus({ preventScroll: true });
+  };
+
+  $$('[data-consent]', banner).forEach(btn => {
+    btn.addEventListener('click', () => {
+      setConsent(btn.dataset.consent === 'accept');
+      banner.hidden = true;
+    }, { signal });
+  });
+
+  $$('[data-consent-open]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      show();
+    }, { signal });
+  });
+
+  if (getConsent() === null) banner.hidden = false;
+}
+
+/**
+ * Identifica onde um link foi clicado (seção, navbar, menu, footer).
+ * @param {Element} el
+ * @returns {string}
+ */
+function getClickLocation(el) {
+  if (el.closest('#whatsappDialog')) return 'whatsapp_qr';
+  if (el.closest('#mobileMenu')) return 'mobile_menu';
+  if (el.closest('#navbar'))     return 'navbar';
+  if (el.closest('.site-footer')) return 'footer';
+  return el.closest('section[id]')?.id || 'page';
+}
+
+/**
+ * Rastreia conversões (WhatsApp, e-mail) e seções visualizadas.
+ */
+function initAnalytics({ signal }) {
+  applyAnalyticsConsent(hasAnalyticsConsent());
+  initConsentBanner({ signal });
+
+  // ── Cliques em CTAs de conversão (delegado) ──
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    const props = { location: getClickLocation(link), label: link.className.split(' ')[0] };
+
+    if (href.startsWith('https://wa.me/'))  trackEvent('whatsapp_click', props);
+    else if (href.startsWith('mailto:'))    trackEvent('email_click', props);
+  }, { signal });
+
+  // ── Seções visualizadas (uma vez por carregamento) ──
+  const seen = new Set();
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      const id = entry.target.id;
+      if (!entry.isIntersecting || seen.has(id) || !activeAnalytics.length) return;
+      seen.add(id);
+      trackEvent('section_view', { section: id });
+    });
+  }, { threshold: 0.4 });
+
+  $$('main section[id]').forEach(section => observer.observe(section));
+
+  // Desligado: para de enviar, sem revogar o consentimento salvo
+  return () => {
+    observer.disconnect();
+    activeAnalytics = [];
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   18. SCROLL-SPY DA NAVEGAÇÃO
+   Destaca em .nav-link e .mobile-nav-link a seção em leitura
+   (.active + aria-current="location") e mantém o hash da URL
+   em sincronia durante a rolagem, via replaceState — rolar
+   não cria entradas no histórico.
+
+   Também corrige deep links (/#sobre): o salto nativo do
+   browser ignora a navbar fixa e deixa o título encoberto.
+───────────────────────────────────────────────────────── */
+function initScrollSpy({ signal }) {
+  const links = [...$$('.nav-link, .mobile-nav-link')];
+
+  // Seções monitoradas, na ordem em que aparecem no menu
+  const sections = new Map();
+  links.forEach(link => {
+    const id = decodeHash(link.hash);
+    const section = id && document.getElementById(id);
+    if (section) sections.set(id, section);
+  });
+
+  if (!sections.size) return;
+
+  const visible = new Set();
+  let activeId = null;
+
+  /**
+   * Marca os links da seção ativa (navbar e menu mobile).
+   * @param {string|null} id - null quando nenhuma seção do menu está em leitura
+   */
+  function setActive(id) {
+    if (id === activeId) return;
+    activeId = id;
+
+    links.forEach(link => {
+      const isActive = id !== null && link.hash === `#${id}`;
+      link.classList.toggle('active', isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  // Faixa de ativação: da base da navbar até 40% da viewport
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        visible.add(entry.target.id);
+      } else {
+        visible.delete(entry.target.id);
+      }
+    });
+
+    setActive([...sections.keys()].find(id => visible.has(id)) || null);
+  }, {
+    rootMargin: `-${getNavbarOffset()}px 0px -60% 0px`,
+  });
+
+  sections.forEach(section => observer.observe(section));
+
+  // Hash só é atualizado quando a rolagem assenta: durante o
+  // smooth scroll de um clique, as seções intermediárias não
+  // podem sobrescrever a entrada criada pelo pushState.
+  const syncHash = debounce(() => {
+    const current = decodeHash(location.hash);
+
+    // Preserva hashes que não são seções do menu (ex.: #depoimentos)
+    if (current && !sections.has(current)) return;
+    if (current === (activeId || '')) return;
+
+    const url = location.pathname + location.search + (activeId ? `#${activeId}` : '');
+    history.replaceState(history.state, '', url);
+  }, 150);
+
+  window.addEventListener('scroll', syncHash, { passive: true, signal });
+
+  /**
+   * Rola até o elemento do hash atual, se existir.
+   * @param {ScrollBehavior} behavior
+   */
+  function scrollToHash(behavior) {
+    const id = decodeHash(location.hash);
+    const target = id && document.getElementById(id);
+    if (target) scrollToTarget(target, behavior);
+  }
+
+  // Hash alterado fora dos links interceptados (barra de endereço,
+  // links externos para a própria página)
+  window.addEventListener('hashchange', () => scrollToHash('smooth'), { signal });
+
+  signal.addEventListener('abort', () => {
+    observer.disconnect();
+    setActive(null);
+  });
+
+  // Deep link: reposiciona após o load (fontes e imagens já no
+  // layout). Em reload/voltar o browser restaura o scroll sozinho.
+  const navigation = performance.getEntriesByType
+    ? performance.getEntriesByType('navigation')[0]
+    : null;
+  if (navigation && navigation.type !== 'navigate') return;
+
+  if (document.readyState === 'complete') {
+    scrollToHash('instant');
+  } else {
+    window.addEventListener('load', () => scrollToHash('instant'), { once: true, signal });
+  }
+}
+
+/* ─────────────────────────────────────────────────────────
+   19. WIZARD DE QUALIFICAÇÃO DE LEADS
+   Modo alternativo do formulário de contato (data-mode="wizard"):
+   cada <fieldset class="form-step"> vira uma etapa. Etapas com
+   data-when="campo:valor" só entram no fluxo quando o campo tem
+   aquele valor; fora dele ficam disabled (não são validadas nem
+   enviadas).
+
+   O rascunho fica no localStorage até o envio ou form.reset().
+───────────────────────────────────────────────────────── */
+const LEAD_DRAFT_KEY     = 'projekt-lead-draft';
+const LEAD_DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 dias
+
+/**
+ * Transforma o formulário em um fluxo de etapas.
+ * @param {HTMLFormElement} form
+ * @param {(scope: Element) => Promise<{ valid: boolean, firstInvalidField: Element|null }>} validate
+ *   Validação do formulário de contato, aplicada à etapa atual
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Ao abortar, o formulário volta ao modo plano
+ * @returns {{ next: Function, isLastStep: () => boolean, showStepOf: (field: Element) => void }|null}
+ */
+function initLeadWizard(form, validate, { signal }) {
+  const allSteps  = [...$$('.form-step', form)];
+  const submitBtn = $('.form-submit', form);
+
+  if (!allSteps.length || !submitBtn) return null;
+
+  // Estado original das etapas, restaurado ao desligar o wizard
+  const initialState = allSteps.map(step => ({ hidden: step.hidden, disabled: step.disabled }));
+
+  let steps   = [];
+  let current = 0;
+
+  // ── Progresso e navegação (sem JS, o formulário segue plano) ──
+  const progress = document.createElement('div');
+  progress.className = 'form-progress';
+  progress.innerHTML = `
+    <p class="form-progress-label" aria-live="polite"></p>
+    <div class="form-progress-track" role="progressbar" aria-valuemin="1">
+      <span class="form-progress-bar"></span>
+    </div>
+  `;
+
+  const header = $('.form-header', form);
+  if (header) {
+    header.after(progress);
+  } else {
+    form.prepend(progress);
+  }
+
+  const nav = document.createElement('div');
+  nav.className = 'form-wizard-nav';
+
+  const backBtn = document.createElement('button');
+  backBtn.type = 'button';
+  backBtn.className = 'btn-secondary form-wizard-back';
+
+  const nextBtn = document.createElement('button');
+  nextBtn.type = 'button';
+  nextBtn.className = 'btn-primary form-wizard-next';
+
+  nav.append(backBtn, nextBtn);
+  submitBtn.before(nav);
+
+  const progressLabel = $('.form-progress-label', progress);
+  const progressTrack = $('.form-progress-track', progress);
+
+  form.classList.add('is-wizard');
+
+  /**
+   * A etapa faz parte do fluxo com as respostas atuais?
+   * @param {Element} step
+   * @returns {boolean}
+   */
+  function stepMatches(step) {
+    const [name, value] = (step.dataset.when || '').split(':');
+    if (!name) return true;
+
+    const field = form.elements.namedItem(name);
+    return !!field && field.value === value;
+  }
+
+  /** Recalcula as etapas do fluxo mantendo a etapa atual. */
+  function updateSteps() {
+    const currentStep = steps[current];
+
+    allSteps.forEach(step => {
+      step.disabled = !stepMatches(step);
+    });
+
+    steps = allSteps.filter(step => !step.disabled);
+    current = Math.max(0, steps.indexOf(currentStep));
+  }
+
+  const isLastStep = () => current === steps.length - 1;
+
+  /** Exibe a etapa atual e atualiza progresso e botões. */
+  function render() {
+    allSteps.forEach(step => {
+      step.hidden = step !== steps[current];
+    });
+
+    const title = $('.form-step-title', steps[current])?.textContent.trim() || '';
+    const label = t('form.wizard.progress', { current: current + 1, total: steps.length, title });
+
+    progressLabel.textContent = label;
+    progressTrack.setAttribute('aria-valuemax', steps.length);
+    progressTrack.setAttribute('aria-valuenow', current + 1);
+    progressTrack.setAttribute('aria-valuetext', label);
+    progress.style.setProperty('--progress', (current + 1) / steps.length);
+
+    backBtn.textContent = t('form.wizard.back');
+    nextBtn.textContent = t('form.wizard.next');
+    backBtn.hidden   = current === 0;
+    nextBtn.hidden   = isLastStep();
+    submitBtn.hidden = !isLastStep();
+  }
+
+  /** Salva os campos preenchidos e a etapa atual. */
+  function saveDraft() {
+    const values = {};
+    [...form.elements].forEach(field => {
+      if (field.name && field.value) values[field.name] = field.value;
+    });
+
+    if (!Object.keys(values).length) {
+      storage.remove(LEAD_DRAFT_KEY);
+      return;
+    }
+
+    storage.set(LEAD_DRAFT_KEY, {
+      values,
+      step: steps[current]?.dataset.step,
+      savedAt: Date.now(),
+    });
+  }
+
+  /** Restaura o rascunho salvo, se ainda válido. */
+  function restoreDraft() {
+    const draft = storage.get(LEAD_DRAFT_KEY);
+    if (!draft) return;
+
+    if (!draft.values || Date.now() - draft.savedAt > LEAD_DRAFT_MAX_AGE) {
+      storage.remove(LEAD_DRAFT_KEY);
+      return;
+    }
+
+    Object.entries(draft.values).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (field && 'value' in field) field.value = value;
+    });
+
+    updateSteps();
+    current = Math.max(0, steps.findIndex(step => step.dataset.step === draft.step));
+  }
+
+  /**
+   * Vai para uma etapa do fluxo.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=true] - Foca o primeiro campo da etapa
+   */
+  function goTo(index, { focus = true } = {}) {
+    current = Math.min(Math.max(index, 0), steps.length - 1);
+    render();
+    saveDraft();
+
+    if (focus) $('.form-input', steps[current])?.focus();
+
+    trackEvent('lead_wizard_step', { step: steps[current].dataset.step, index: current + 1 });
+  }
+
+  /** Avança se a etapa atual for válida (mesmas regras do envio). */
+  async function next() {
+    const { valid, firstInvalidField } = await validate(steps[current]);
+    if (!valid) {
+      firstInvalidField?.focus();
+      return;
+    }
+    goTo(current + 1);
+  }
+
+  /**
+   * Exibe a etapa que contém o campo (erros no envio final).
+   * @param {Element} field
+   */
+  function showStepOf(field) {
+    const index = steps.findIndex(step => step.contains(field));
+    if (index !== -1 && index !== current) goTo(index, { focus: false });
+  }
+
+  backBtn.addEventListener('click', () => goTo(current - 1));
+  nextBtn.addEventListener('click', next);
+
+  // Enter avança (exceto em textarea, onde quebra linha)
+  form.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || isLastStep()) return;
+    if (!['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+
+    e.preventDefault();
+    next();
+  }, { signal });
+
+  // Respostas que abrem/fecham etapas condicionais
+  form.addEventListener('change', () => {
+    updateSteps();
+    render();
+  }, { signal });
+
+  form.addEventListener('input', debounce(saveDraft, 400), { signal });
+
+  // Envio concluído (form.reset) → limpa rascunho e volta ao início.
+  // O evento dispara antes de os campos serem limpos.
+  form.addEventListener('reset', () => {
+    storage.remove(LEAD_DRAFT_KEY);
+    setTimeout(() => {
+      updateSteps();
+      current = 0;
+      render();
+    }, 0);
+  }, { signal });
+
+  document.addEventListener('projekt:languagechange', render, { signal });
+
+  signal.addEventListener('abort', () => {
+    progress.remove();
+    nav.remove();
+    form.classList.remove('is-wizard');
+    submitBtn.hidden = false;
+    allSteps.forEach((step, index) => Object.assign(step, initialState[index]));
+  });
+
+  restoreDraft();
+  updateSteps();
+  render();
+
+  return { next, isLastStep, showStepOf };
+}
+
+/* ─────────────────────────────────────────────────────────
+   20. VALIDAÇÃO DECLARATIVA (data-validate)
+   Regras declaradas no próprio campo, aplicadas em ordem até a
+   primeira falha:
+
+     <input data-validate="required minlength:2"
+            data-validate-message="form.errors.nome">
+
+   Cada regra recebe (valor, argumento, campo) e devolve true ou
+   a chave i18n do erro — ou uma Promise disso (regras async).
+   Exceto "required", regras não se aplicam a campos vazios, o
+   que torna os campos opcionais. data-validate-message troca a
+   mensagem de qualquer regra do campo por uma chave específica.
+
+   Regras que consultam serviços de terceiros (SUBMIT_ONLY_RULES,
+   ex.: "cep-exists" → ViaCEP) só rodam no envio ou ao avançar
+   uma etapa do wizard — nunca ao sair do campo nem ao digitar.
+   O campo avisa o visitante da consulta (ex.: #cepHint).
+
+   data-mask="phone-br|cnpj|cep" formata enquanto o usuário digita.
+───────────────────────────────────────────────────────── */
+
+// DDDs válidos no Brasil (Anatel)
+const BR_AREA_CODES = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99,
+]);
+
+// Consulta de CEP (ViaCEP) — {cep} é substituído pelos 8 dígitos
+const CEP_LOOKUP_URL = 'https://viacep.com.br/ws/{cep}/json/';
+
+// Regras que enviam o valor a terceiros: fora da validação em tempo real
+const SUBMIT_ONLY_RULES = new Set(['cep-exists']);
+
+/** @param {string} value @returns {string} Somente dígitos */
+const onlyDigits = value => value.replace(/\D/g, '');
+
+/**
+ * Celular brasileiro: DDD válido + 9 + 8 dígitos (aceita +55).
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidBrMobile(value) {
+  let digits = onlyDigits(value);
+  if (digits.length === 13 && digits.startsWith('55')) digits = digits.slice(2);
+
+  return /^\d{2}9\d{8}$/.test(digits) && BR_AREA_CODES.has(Number(digits.slice(0, 2)));
+}
+
+/**
+ * Normaliza um CNPJ: maiúsculas, sem pontuação.
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeCnpj = value => value.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+/**
+ * Valida os dígitos verificadores do CNPJ (módulo 11). Aceita o
+ * formato alfanumérico da Receita Federal (letras nas 12 primeiras
+ * posições, valor = código ASCII − 48), que inclui o numérico.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidCnpj(value) {
+  const cnpj = normalizeCnpj(value);
+  if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj) || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+  const checkDigit = (base) => {
+    const sum = [...base].reduce((acc, char, index) => {
+      const weight = 2 + ((base.length - 1 - index) % 8); // 2..9 da direita p/ esquerda
+      return acc + (char.charCodeAt(0) - 48) * weight;
+    }, 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+
+  const first  = checkDigit(cnpj.slice(0, 12));
+  const second = checkDigit(cnpj.slice(0, 12) + first);
+
+  return cnpj.endsWith(`${first}${second}`);
+}
+
+// Consultas de CEP já feitas (evita repetir a chamada no blur/envio)
+const cepLookupCache = new Map();
+
+/**
+ * Regras disponíveis para data-validate. Para adicionar uma regra,
+ * basta incluir uma função aqui.
+ */
+const validationRules = {
+  required: value => value.trim() !== '' || 'form.errors.required',
+
+  minlength: (value, min) => value.trim().length >= Number(min) || 'form.errors.minlength',
+
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value.trim()) || 'form.errors.email',
+
+  'phone-br': value => isValidBrMobile(value) || 'form.errors.phone',
+
+  cnpj: value => isValidCnpj(value) || 'form.errors.cnpj',
+
+  cep: value => /^\d{8}$/.test(onlyDigits(value)) || 'form.errors.cep',
+
+  /**
+   * Confere se o CEP existe. Falha de rede não bloqueia o lead:
+   * nesse caso o CEP é aceito e o time valida depois.
+   * Só roda no envio (SUBMIT_ONLY_RULES): o CEP vai para o ViaCEP.
+   */
+  'cep-exists': async (value) => {
+    const cep = onlyDigits(value);
+    if (!cepLookupCache.has(cep)) {
+      const lookup = fetchWithTimeout(CEP_LOOKUP_URL.replace('{cep}', cep), {}, 4000)
+        .then(response => (response.ok ? response.json() : {}))
+        .then(body => !body.erro)
+        .catch(() => {
+          cepLookupCache.delete(cep);
+          return true;
+        });
+      cepLookupCache.set(cep, lookup);
+    }
+    return (await cepLookupCache.get(cep)) || 'form.errors.cepNotFound';
+  },
+};
+
+/**
+ * Máscaras para data-mask: recebem o valor digitado e devolvem
+ * o valor formatado.
+ */
+const inputMasks = {
+  'phone-br': (value) => {
+    let digits = onlyDigits(value);
+    if (digits.length > 11 && digits.startsWith('55')) digits = digits.slice(2); // +55 do autofill
+    digits = digits.slice(0, 11);
+
+    if (digits.length <= 2) return digits.replace(/^(\d+)/, '($1');
+    if (digits.length <= 7) return digits.replace(/^(\d{2})(\d+)/, '($1) $2');
+    return digits.replace(/^(\d{2})(\d{5})(\d+)/, '($1) $2-$3');
+  },
+
+  cnpj: (value) => normalizeCnpj(value)
+    .slice(0, 14)
+    .replace(/^(\w{2})(\w)/, '$1.$2')
+    .replace(/^(\w{2})\.(\w{3})(\w)/, '$1.$2.$3')
+    .replace(/\.(\w{3})(\w)/, '.$1/$2')
+    .replace(/(\w{4})(\w)/, '$1-$2'),
+
+  cep: value => onlyDigits(value).slice(0, 8).replace(/^(\d{5})(\d)/, '$1-$2'),
+};
+
+/**
+ * Lê as regras de um campo: "required minlength:2" →
+ * [{ name: 'required' }, { name: 'minlength', arg: '2' }].
+ * @param {Element} field
+ * @returns {Array<{ name: string, arg?: string }>}
+ */
+function parseValidationRules(field) {
+  return (field.dataset.validate || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => {
+      const [name, arg] = token.split(':');
+      return { name, arg };
+    });
+}
+
+/**
+ * Elemento de erro do campo, criado sob demanda e ligado ao
+ * campo via aria-describedby.
+ * @param {Element} field
+ * @returns {HTMLElement}
+ */
+function getFieldErrorElement(field) {
+  const id = `${field.id || field.name}-error`;
+  let error = document.getElementById(id);
+
+  if (!error) {
+    error = document.createElement('span');
+    error.id = id;
+    error.className = 'field-error';
+    error.hidden = true;
+    field.parentNode.appendChild(error);
+
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+  }
+
+  return error;
+}
+
+/**
+ * Marca um campo como inválido e exibe a mensagem.
+ * @param {Element} field
+ * @param {string} message
+ */
+function setFieldError(field, message) {
+  const error = getFieldErrorElement(field);
+  error.textContent = message;
+  error.hidden = false;
+
+  field.classList.add('has-error');
+  field.setAttribute('aria-invalid', 'true');
+}
+
+/**
+ * Remove o estado de erro de um campo.
+ * @param {Element} field
+ */
+function clearFieldError(field) {
+  const error = document.getElementById(`${field.id || field.name}-error`);
+  if (error) {
+    error.textContent = '';
+    error.hidden = true;
+  }
+
+  field.classList.remove('has-error');
+  field.removeAttribute('aria-invalid');
+}
+
+// Última validação iniciada por campo — descarta resultados async antigos
+const validationRuns = new WeakMap();
+
+/**
+ * Aplica as regras do campo e atualiza o estado de erro.
+ * @param {Element} field
+ * @param {Object} [options]
+ * @param {boolean} [options.live=false] - Validação em tempo real: pula SUBMIT_ONLY_RULES
+ * @returns {Promise<boolean>} true se válido (ou se uma validação mais nova já começou)
+ */
+async function validateField(field, { live = false } = {}) {
+  const run = {};
+  validationRuns.set(field, run);
+
+  const value = field.value || '';
+  let errorKey = null;
+  let errorArg;
+
+  for (const { name, arg } of parseValidationRules(field)) {
+    const rule = validationRules[name];
+    if (!rule) {
+      console.warn(`Projekt: regra de validação desconhecida "${name}".`);
+      continue;
+    }
+    if (name !== 'required' && value.trim() === '') continue;
+    if (live && SUBMIT_ONLY_RULES.has(name)) continue;
+
+    const result = await rule(value, arg, field);
+    if (result !== true) {
+      errorKey = result;
+      errorArg = arg;
+      break;
+    }
+  }
+
+  // Outra validação do mesmo campo começou enquanto esta aguardava
+  if (validationRuns.get(field) !== run) return true;
+
+  if (errorKey) {
+    setFieldError(field, t(field.dataset.validateMessage || errorKey, { arg: errorArg }));
+    return false;
+  }
+
+  clearFieldError(field);
+  return true;
+}
+
+/**
+ * Valida todos os campos com data-validate de um trecho do form.
+ * Campos desabilitados (ex.: etapas fora do fluxo) são ignorados.
+ * @param {Element} scope
+ * @returns {Promise<{ valid: boolean, firstInvalidField: Element|null }>}
+ */
+async function validateFields(scope) {
+  const fields = [...$$('[data-validate]:not(:disabled)', scope)];
+  const results = await Promise.all(fields.map(field => validateField(field)));
+
+  const firstInvalidField = fields[results.indexOf(false)] || null;
+  return { valid: !firstInvalidField, firstInvalidField };
+}
+
+/**
+ * Máscaras e validação em tempo real. O erro aparece ao sair do
+ * campo (blur); depois disso, é reavaliado a cada digitação.
+ * @param {HTMLFormElement} form
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Remove os listeners ao abortar
+ */
+function initLiveValidation(form, { signal }) {
+  const touched = new WeakSet();
+
+  $$('[data-mask]', form).forEach(field => {
+    const mask = inputMasks[field.dataset.mask];
+    if (!mask) return;
+
+    field.addEventListener('input', () => {
+      // Preserva o cursor contando os caracteres úteis antes dele
+      const caret = field.selectionStart ?? field.value.length;
+      const significant = field.value.slice(0, caret).replace(/[^0-9A-Za-z]/g, '').length;
+
+      field.value = mask(field.value);
+
+      let position = 0;
+      for (let count = 0; position < field.value.length && count < significant; position++) {
+        if (/[0-9A-Za-z]/.test(field.value[position])) count++;
+      }
+      field.setSelectionRange?.(position, position);
+    }, { signal });
+  });
+
+  $$('[data-validate]', form).forEach(field => {
+    const revalidate = debounce(() => validateField(field, { live: true }), 300);
+
+    field.addEventListener('blur', () => {
+      touched.add(field);
+      validateField(field, { live: true });
+    }, { signal });
+
+    field.addEventListener('input', () => {
+      if (touched.has(field) || field.getAttribute('aria-invalid') === 'true') revalidate();
+    }, { signal });
+  });
+
+  form.addEventListener('reset', () => {
+    $$('[data-validate]', form).forEach(field => {
+      touched.delete(field);
+      clearFieldError(field);
+    });
+  }, { signal });
+
+  // Mensagens visíveis acompanham a troca de idioma
+  document.addEventListener('projekt:languagechange', () => {
+    $$('[aria-invalid="true"]', form).forEach(field => validateField(field, { live: true }));
+  }, { signal });
+}
+
+/* ─────────────────────────────────────────────────────────
+   21. PROTEÇÃO ANTI-SPAM
+   Camadas aplicadas antes do envio do formulário de contato e
+   do agendamento (seção 26):
+     1. Honeypot: campo invisível (name="website") que só bots
+        preenchem — o envio é descartado fingindo sucesso
+     2. Tempo mínimo entre o carregamento e o envio
+     3. Limite de envios por janela de tempo (localStorage,
+        sobrevive a reloads)
+     4. Duplicidade: mesmo conteúdo (hash) dentro da janela
+     5. Desafio plugável (ex.: proof-of-work), anexado ao payload
+
+   Configuração no <form>:
+     data-min-submit-time    ms desde o carregamento (padrão 3000)
+     data-rate-limit         Envios por janela (padrão 3)
+     data-rate-window        Janela do limite, em minutos (padrão 60)
+     data-duplicate-window   Janela de duplicidade, em minutos (padrão 30)
+     data-challenge          Chave de spamChallenges ("pow") — opcional
+     data-challenge-endpoint URL que emite o desafio
+
+   O registro de envios (limite e duplicidade) é um só para os
+   dois formulários: o limite vale por visitante, não por form.
+
+   Tudo isso só filtra abuso casual: o backend deve repetir as
+   verificações (ver dev/mock-server.js). Com desafio ligado, o
+   token é obrigatório — inclusive nos leads da fila offline,
+   que levam queued_at e resolvem um desafio novo no reenvio.
+───────────────────────────────────────────────────────── */
+const SPAM_LOG_KEY = 'projekt-lead-log';
+
+// Carregamento da página — referência para o tempo mínimo
+const pageLoadedAt = Date.now();
+
+/**
+ * Lê a configuração anti-spam do formulário.
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+function readSpamConfig(form) {
+  const ds = form.dataset;
+  const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+  const MINUTE = 60 * 1000;
+
+  return {
+    minSubmitTime:     toInt(ds.minSubmitTime, 3000),
+    rateLimit:         toInt(ds.rateLimit, 3),
+    rateWindow:        toInt(ds.rateWindow, 60) * MINUTE,
+    duplicateWindow:   toInt(ds.duplicateWindow, 30) * MINUTE,
+    challenge:         ds.challenge || '',
+    challengeEndpoint: ds.challengeEndpoint || '',
+  };
+}
+
+/**
+ * SHA-256 (hex) de um texto. Sem crypto.subtle (contexto não
+ * seguro), cai para FNV-1a de 32 bits — suficiente para duplicidade.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+  if (window.crypto?.subtle) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash do conteúdo do lead, insensível a caixa e espaços extras.
+ * @param {Object} data
+ * @returns {Promise<string>}
+ */
+function hashLeadPayload(data) {
+  const normalized = Object.keys(data)
+    .sort()
+    .map(key => `${key}=${String(data[key]).trim().replace(/\s+/g, ' ').toLowerCase()}`)
+    .join('&');
+
+  return sha256Hex(normalized);
+}
+
+/**
+ * Envios recentes ({ at, hash }), já sem os expirados.
+ * @param {number} maxAge - ms
+ * @returns {Array<{ at: number, hash: string }>}
+ */
+function readSubmissionLog(maxAge) {
+  const log = storage.get(SPAM_LOG_KEY, []);
+  return Array.isArray(log) ? log.filter(entry => Date.now() - entry.at < maxAge) : [];
+}
+
+/**
+ * Registra um envio concluído (ou enfileirado) para o limite e
+ * a detecção de duplicidade.
+ * @param {HTMLFormElement} form
+ * @param {string} hash - De checkSpamGuards()
+ */
+function recordSubmission(form, hash) {
+  const config = readSpamConfig(form);
+  const log = readSubmissionLog(Math.max(config.rateWindow, config.duplicateWindow));
+
+  log.push({ at: Date.now(), hash });
+  storage.set(SPAM_LOG_KEY, log);
+}
+
+/**
+ * Aplica honeypot, tempo mínimo, limite e duplicidade.
+ * @param {HTMLFormElement} form
+ * @param {Object} data - Payload do lead
+ * @returns {Promise<{ blocked: string|null, message?: string, retryIn?: number, hash: string }>}
+ *   blocked: 'honeypot' | 'too_fast' | 'rate_limited' | 'duplicate'
+ *   retryIn: minutos até liberar o envio (só em 'rate_limited')
+ */
+async function checkSpamGuards(form, data) {
+  const config = readSpamConfig(form);
+  const hash = await hashLeadPayload(data);
+
+  const honeypot = form.elements.namedItem('website');
+  if (honeypot && honeypot.value) {
+    return { blocked: 'honeypot', hash };
+  }
+
+  if (Date.now() - pageLoadedAt < config.minSubmitTime) {
+    return { blocked: 'too_fast', message: t('form.feedback.tooFast'), hash };
+  }
+
+  const log = readSubmissionLog(Math.max(config.rateWindow, config.duplicateWindow));
+
+  if (log.some(entry => entry.hash === hash && Date.now() - entry.at < config.duplicateWindow)) {
+    return { blocked: 'duplicate', message: t('form.feedback.duplicate'), hash };
+  }
+
+  const recent = log.filter(entry => Date.now() - entry.at < config.rateWindow);
+  if (recent.length >= config.rateLimit) {
+    const retryIn = Math.ceil((recent[0].at + config.rateWindow - Date.now()) / 60000);
+    return { blocked: 'rate_limited', message: t('form.feedback.rateLimited', { minutes: retryIn }), retryIn, hash };
+  }
+
+  return { blocked: null, hash };
+}
+
+/**
+ * Desafios disponíveis para data-challenge. Cada um recebe a
+ * configuração anti-spam e devolve os campos a anexar ao payload.
+ * Para integrar outro serviço (Turnstile, hCaptcha...), basta
+ * incluir uma entrada aqui.
+ */
+const spamChallenges = {
+  /**
+   * Proof-of-work: o endpoint emite { challenge, difficulty } e o
+   * browser procura um nonce cujo SHA-256("challenge:nonce") comece
+   * com `difficulty` bits zerados. Custa ~1s para um visitante e
+   * encarece o envio em massa.
+   */
+  async pow(config) {
+    if (!window.crypto?.subtle) return {}; // Contexto não seguro: sem desafio
+
+    const response = await fetchWithTimeout(config.challengeEndpoint, {
+      headers: { 'Accept': 'application/json' },
+    }, 5000);
+    if (!response.ok) throw new Error(`Desafio indisponível (HTTP ${response.status})`);
+
+    const { challenge, difficulty } = await response.json();
+    return { pow: await solveProofOfWork(challenge, difficulty) }; // js/pow.js
+  },
+};
+
+/**
+ * Resolve um desafio a partir da configuração ({ challenge,
+ * challengeEndpoint }) — do formulário ou guardada com um lead
+ * da fila. Falhas não bloqueiam o lead: o envio segue sem o
+ * token e o backend o rejeita (o formulário cai no mailto).
+ * @param {{challenge: string, challengeEndpoint: string}} config
+ * @returns {Promise<Object>} Campos extras para o payload
+ */
+async function solveChallenge(config) {
+  const challenge = spamChallenges[config.challenge];
+  if (!challenge) return {};
+
+  try {
+    return await challenge(config);
+  } catch (error) {
+    console.warn('Projekt: desafio anti-spam não resolvido.', error);
+    return {};
+  }
+}
+
+/**
+ * Resolve o desafio configurado no formulário.
+ * @param {HTMLFormElement} form
+ * @returns {Promise<Object>} Campos extras para o payload
+ */
+const solveSpamChallenge = (form) => solveChallenge(readSpamConfig(form));
+
+/* ─────────────────────────────────────────────────────────
+   22. TEMAS (ESCURO / CLARO / ALTO CONTRASTE)
+   Preferência salva: 'system' (segue prefers-contrast e
+   prefers-color-scheme), 'light', 'dark' ou 'contrast'. O tema
+   resolvido vai em <html data-theme>; as cores de cada tema
+   estão na seção 1 do style.css.
+
+   O script inline no <head> aplica o tema antes do primeiro
+   paint — manter em sincronia com resolveTheme().
+───────────────────────────────────────────────────────── */
+const THEME_STORAGE_KEY = 'projekt-theme';
+const THEME_CYCLE       = ['system', 'light', 'dark', 'contrast'];
+
+const THEME_ICONS = {
+  system:   'fa-circle-half-stroke',
+  light:    'fa-sun',
+  dark:     'fa-moon',
+  contrast: 'fa-eye',
+};
+
+// <meta name="theme-color"> por tema resolvido
+const THEME_META_COLORS = {
+  dark:     '#000000',
+  light:    '#ffffff',
+  contrast: '#ffffff',
+};
+
+let themePreference = 'system';
+
+/**
+ * Tema efetivo para uma preferência.
+ * @param {string} preference
+ * @returns {'dark'|'light'|'contrast'}
+ */
+function resolveTheme(preference) {
+  if (preference !== 'system') return preference;
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+  if (window.matchMedia('(prefers-color-scheme: light)').matches) return 'light';
+  return 'dark';
+}
+
+/** @returns {string} Tema aplicado no momento */
+const getTheme = () => document.documentElement.dataset.theme || 'dark';
+
+/** Atualiza ícone e rótulo do botão (mostra a preferência atual e a próxima). */
+function updateThemeToggle() {
+  const toggle = $('#themeToggle');
+  if (!toggle) return;
+
+  const next  = THEME_CYCLE[(THEME_CYCLE.indexOf(themePreference) + 1) % THEME_CYCLE.length];
+  const label = t('theme.toggle', { theme: t(`theme.${themePreference}`), next: t(`theme.${next}`) });
+
+  toggle.setAttribute('aria-label', label);
+  toggle.title = label;
+
+  const icon = $('i', toggle);
+  if (icon) icon.className = `fas ${THEME_ICONS[themePreference]}`;
+}
+
+/** Aplica o tema da preferência atual e avisa os outros módulos. */
+function applyTheme() {
+  const theme   = resolveTheme(themePreference);
+  const changed = theme !== document.documentElement.dataset.theme;
+
+  document.documentElement.dataset.theme = theme;
+  $('meta[name="theme-color"]')?.setAttribute('content', THEME_META_COLORS[theme]);
+  updateThemeToggle();
+
+  if (changed) {
+    document.dispatchEvent(new CustomEvent('projekt:themechange', {
+      detail: { theme, preference: themePreference },
+    }));
+  }
+}
+
+/**
+ * Troca e persiste a preferência de tema.
+ * @param {string} preference - Um de THEME_CYCLE
+ */
+function setThemePreference(preference) {
+  if (!THEME_CYCLE.includes(preference)) return;
+
+  themePreference = preference;
+  if (preference === 'system') {
+    storage.remove(THEME_STORAGE_KEY);
+  } else {
+    storage.set(THEME_STORAGE_KEY, preference);
+  }
+
+  applyTheme();
+}
+
+function initTheme({ signal }) {
+  const saved = storage.get(THEME_STORAGE_KEY);
+  themePreference = THEME_CYCLE.includes(saved) ? saved : 'system';
+  applyTheme();
+
+  // Mudanças no sistema (ex.: modo noturno agendado) valem na hora
+  ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+    window.matchMedia(query).addEventListener('change', () => {
+      if (themePreference === 'system') applyTheme();
+    }, { signal });
+  });
+
+  $('#themeToggle')?.addEventListener('click', () => {
+    const next = THEME_CYCLE[(THEME_CYCLE.indexOf(themePreference) + 1) % THEME_CYCLE.length];
+    setThemePreference(next);
+    trackEvent('theme_change', { preference: next, theme: getTheme() });
+  }, { signal });
+
+  document.addEventListener('projekt:languagechange', updateThemeToggle, { signal });
+}
+
+/* ─────────────────────────────────────────────────────────
+   23. REGISTRO DE MÓDULOS (CICLO DE VIDA)
+   Cada funcionalidade é registrada com defineModule() e o
+   registro decide quando ligá-la ou desligá-la:
+
+     init(context)  Recebe { signal, name }. Listeners devem usar
+                    { signal } para saírem junto com o módulo.
+                    Pode devolver destroy() para o que não é
+                    listener (loops rAF, observers, DOM gerado).
+     deps           Módulos que precisam estar ativos antes.
+     when           Condições: "motion", "hover", "desktop" ou
+                    qualquer media query. Reavaliadas ao vivo
+                    ("motion" segue o controlador da seção 24).
+
+   Controle em runtime via window.Projekt (console, testes,
+   páginas que embutem seções):
+     Projekt.disable('cursor')   Projekt.enable('cursor')
+     Projekt.modules()           Projekt.define(name, spec)
+     Projekt.validateStructuredData()  (seção 32)
+
+   <body data-modules-disabled="cursor heroParticles"> desliga
+   módulos desde o carregamento.
+
+   Falhas de init()/destroy() ficam contidas e são avisadas com
+   'projekt:moduleerror' no document ({ module, init, phase,
+   error }) — o RUM (seção 35) as reporta.
+───────────────────────────────────────────────────────── */
+
+/**
+ * @typedef {Object} ModuleContext
+ * @property {AbortSignal} signal - Abortado ao desligar o módulo
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} ModuleSpec
+ * @property {(context: ModuleContext) => (Function|void)} init
+ * @property {string[]} [deps]
+ * @property {string[]} [when]
+ */
+
+// Apelidos das condições mais usadas: media query ou função
+// reavaliada a cada 'projekt:motionchange'
+const MODULE_CONDITIONS = {
+  motion:  () => isMotionAllowed(),
+  hover:   '(hover: hover)',
+  desktop: '(min-width: 1025px)',
+};
+
+// Módulos na ordem de registro (= ordem de inicialização)
+const moduleRegistry = new Map();
+
+// Media queries já observadas (uma vez cada)
+const watchedConditions = new Set();
+
+let modulesStarted = false;
+
+/**
+ * Avalia uma condição (apelido ou media query).
+ * @param {string} condition
+ * @returns {boolean}
+ */
+function matchesCondition(condition) {
+  const test = MODULE_CONDITIONS[condition] || condition;
+  return typeof test === 'function' ? test() : window.matchMedia(test).matches;
+}
+
+/**
+ * Registra um módulo. Se o registro já iniciou, ele é ligado
+ * na hora (quando as condições permitirem).
+ * @param {string} name
+ * @param {ModuleSpec} spec
+ */
+function defineModule(name, { init, deps = [], when = [] }) {
+  if (moduleRegistry.has(name)) {
+    console.warn(`Projekt: módulo "${name}" já registrado.`);
+    return;
+  }
+
+  moduleRegistry.set(name, {
+    name, init, deps, when,
+    enabled: true,
+    active: false,
+    controller: null,
+    destroy: null,
+  });
+
+  when.forEach(condition => {
+    const query = MODULE_CONDITIONS[condition] || condition;
+    if (typeof query === 'function' || watchedConditions.has(query)) return;
+
+    watchedConditions.add(query);
+    window.matchMedia(query).addEventListener('change', syncModules);
+  });
+
+  if (modulesStarted) syncModules();
+}
+
+/**
+ * Registra a falha de um módulo no console e avisa quem monitora.
+ * @param {Object} module - Entrada do moduleRegistry
+ * @param {'init'|'destroy'} phase
+ * @param {*} error
+ */
+function reportModuleError(module, phase, error) {
+  console.error(`Projekt: módulo "${module.name}" falhou ao ${phase === 'init' ? 'iniciar' : 'encerrar'}.`, error);
+  document.dispatchEvent(new CustomEvent('projekt:moduleerror', {
+    detail: { module: module.name, init: module.init.name || null, phase, error },
+  }));
+}
+
+/**
+ * Liga um módulo. Erros ficam contidos: o módulo é marcado
+ * como inativo e os demais seguem normalmente.
+ * @param {Object} module - Entrada do moduleRegistry
+ */
+function startModule(module) {
+  const controller = new AbortController();
+
+  try {
+    const destroy = module.init({ signal: controller.signal, name: module.name });
+    module.controller = controller;
+    module.destroy = typeof destroy === 'function' ? destroy : null;
+    module.active = true;
+  } catch (error) {
+    controller.abort();
+    reportModuleError(module, 'init', error);
+  }
+}
+
+/**
+ * Desliga um módulo: remove os listeners e chama o destroy().
+ * @param {Object} module - Entrada do moduleRegistry
+ */
+function stopModule(module) {
+  module.controller.abort();
+
+  try {
+    module.destroy?.();
+  } catch (error) {
+    reportModuleError(module, 'destroy', error);
+  }
+
+  module.controller = null;
+  module.destroy = null;
+  module.active = false;
+}
+
+/**
+ * Alinha os módulos ao estado desejado: habilitado, condições
+ * atendidas e dependências também desejadas. Desliga na ordem
+ * inversa (dependentes primeiro) e liga na ordem de registro.
+ */
+function syncModules() {
+  const modules = [...moduleRegistry.values()];
+  const wanted = new Set();
+
+  modules.forEach(module => {
+    const ready = module.enabled
+      && module.when.every(matchesCondition)
+      && module.deps.every(dep => wanted.has(dep));
+    if (ready) wanted.add(module.name);
+  });
+
+  modules.slice().reverse().forEach(module => {
+    if (module.active && !wanted.has(module.name)) stopModule(module);
+  });
+
+  modules.forEach(module => {
+    const depsActive = module.deps.every(dep => moduleRegistry.get(dep)?.active);
+    if (!module.active && wanted.has(module.name) && depsActive) startModule(module);
+  });
+}
+
+/**
+ * Habilita ou desabilita um módulo (e, por tabela, os que
+ * dependem dele).
+ * @param {string} name
+ * @param {boolean} enabled
+ * @returns {boolean} false se o módulo não existe
+ */
+function setModuleEnabled(name, enabled) {
+  const module = moduleRegistry.get(name);
+  if (!module) {
+    console.warn(`Projekt: módulo "${name}" não encontrado.`);
+    return false;
+  }
+
+  module.enabled = enabled;
+  if (modulesStarted) syncModules();
+  return true;
+}
+
+/**
+ * Reinicia módulos ativos, opcionalmente trocando o DOM entre o
+ * desligar e o religar (o destroy() ainda vê os elementos
+ * antigos; o init(), só os novos).
+ * @param {string[]} names
+ * @param {Function} [update] - Executado com os módulos desligados
+ * @returns {boolean} false se algum não estava ativo ou não voltou
+ */
+function restartModules(names, update) {
+  const modules = names.map(name => moduleRegistry.get(name)).filter(module => module?.active);
+
+  // Religa direto (sem syncModules): pode ser chamado de dentro
+  // de um destroy(), no meio de uma sincronização
+  modules.slice().reverse().forEach(stopModule);
+  update?.();
+  modules.forEach(startModule);
+
+  return modules.length === names.length && modules.every(module => module.active);
+}
+
+/**
+ * Liga os módulos registrados, exceto os listados em
+ * <body data-modules-disabled>.
+ */
+function startModules() {
+  (document.body.dataset.modulesDisabled || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach(name => setModuleEnabled(name, false));
+
+  document.addEventListener('projekt:motionchange', syncModules);
+
+  modulesStarted = true;
+  syncModules();
+}
+
+// API pública (console, testes e páginas que embutem seções)
+window.Projekt = {
+  define: defineModule,
+  enable:  name => setModuleEnabled(name, true),
+  disable: name => setModuleEnabled(name, false),
+
+  /**
+   * Reinicia um módulo ativo (ex.: depois de trocar o DOM).
+   * @param {string} name
+   */
+  restart: name => restartModules([name]),
+
+  /**
+   * Propriedades obrigatórias ausentes no JSON-LD publicado.
+   * @returns {Array<{ path: string, type: string, property: string }>}
+   */
+  validateStructuredData() {
+    const script = document.getElementById(STRUCTURED_DATA_ID);
+    return script ? validateStructuredData(JSON.parse(script.textContent)) : [];
+  },
+
+  /** @returns {Array<{name: string, enabled: boolean, active: boolean, deps: string[], when: string[]}>} */
+  modules: () => [...moduleRegistry.values()].map(({ name, enabled, active, deps, when }) => ({
+    name, enabled, active, deps: [...deps], when: [...when],
+  })),
+};
+
+/* ─────────────────────────────────────────────────────────
+   24. CONTROLADOR DE MOVIMENTO
+   Estado único de animação para todos os módulos:
+
+     reduced  prefers-reduced-motion do sistema (ao vivo)
+     paused   botão "Pausar animações" (WCAG 2.2.2), salvo
+     hidden   aba em segundo plano (visibilitychange)
+     tier     desempenho do dispositivo: 'low' | 'medium' | 'high'
+
+   isMotionAllowed() → pode animar (sem redução nem pausa).
+   isMotionRunning() → pode animar agora (e a aba está visível).
+   Cada mudança dispara 'projekt:motionchange' no document com
+   { allowed, running, tier } — módulos com when: ['motion']
+   são ligados/desligados pelo registro (seção 23).
+
+   O nível começa pelas dicas de hardware e pode cair depois
+   de medir o tempo real dos frames.
+───────────────────────────────────────────────────────── */
+const MOTION_STORAGE_KEY = 'projekt-motion';
+const MOTION_TIERS       = ['low', 'medium', 'high'];
+
+// Medição de frames: amostra e limite de tempo típico por frame
+const FRAME_SAMPLE_SIZE = 60;
+const FRAME_BUDGET_MS   = 1000 / 40; // Abaixo de ~40fps → rebaixa um nível
+
+/**
+ * Nível inicial pelas dicas do navegador (núcleos, memória e
+ * economia de dados).
+ * @returns {'low'|'medium'|'high'}
+ */
+function estimateMotionTier() {
+  const cores  = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 4;
+
+  if (navigator.connection?.saveData || cores <= 2 || memory <= 2) return 'low';
+  if (cores <= 4 || memory < 4) return 'medium';
+  return 'high';
+}
+
+const motionState = {
+  reduced: prefersReducedMotion(),
+  paused:  storage.get(MOTION_STORAGE_KEY) === 'paused',
+  hidden:  document.hidden,
+  tier:    estimateMotionTier(),
+};
+
+/** @returns {boolean} Animações permitidas (sem redução nem pausa) */
+const isMotionAllowed = () => !motionState.reduced && !motionState.paused;
+
+/** @returns {boolean} Animações permitidas e aba visível */
+const isMotionRunning = () => isMotionAllowed() && !motionState.hidden;
+
+/** @returns {'low'|'medium'|'high'} */
+const getMotionTier = () => motionState.tier;
+
+/**
+ * Atualiza o estado e avisa os módulos se algo mudou.
+ * @param {Partial<typeof motionState>} changes
+ */
+function setMotionState(changes) {
+  const changed = Object.keys(changes).some(key => motionState[key] !== changes[key]);
+  if (!changed) return;
+
+  Object.assign(motionState, changes);
+
+  // Animações CSS decorativas (seção 1 do style.css)
+  document.documentElement.classList.toggle('motion-paused', motionState.paused);
+  updateMotionToggle();
+
+  document.dispatchEvent(new CustomEvent('projekt:motionchange', {
+    detail: { allowed: isMotionAllowed(), running: isMotionRunning(), tier: motionState.tier },
+  }));
+}
+
+/**
+ * Pausa ou retoma as animações por escolha do visitante.
+ * @param {boolean} paused
+ */
+function setMotionPaused(paused) {
+  if (paused) {
+    storage.set(MOTION_STORAGE_KEY, 'paused');
+  } else {
+    storage.remove(MOTION_STORAGE_KEY);
+  }
+
+  setMotionState({ paused });
+}
+
+/** Sincroniza o botão de pausa com o estado atual. */
+function updateMotionToggle() {
+  const toggle = $('#motionToggle');
+  if (!toggle) return;
+
+  // Com redução de movimento no sistema, não há o que pausar
+  toggle.hidden = motionState.reduced;
+  toggle.setAttribute('aria-pressed', motionState.paused ? 'true' : 'false');
+
+  const icon = $('i', toggle);
+  if (icon) icon.className = `fas ${motionState.paused ? 'fa-play' : 'fa-pause'}`;
+}
+
+/**
+ * Mede o tempo típico entre frames por uma amostra curta. A
+ * mediana ignora picos isolados (GC, decodificação de imagem).
+ * @param {AbortSignal} signal - Cancela a medição
+ * @returns {Promise<number>} Mediana em ms
+ */
+function measureFrameTime(signal) {
+  return new Promise((resolve, reject) => {
+    const deltas = [];
+    let last = null;
+    let frame = null;
+
+    function sample(time) {
+      if (last !== null) deltas.push(time - last);
+      last = time;
+
+      if (deltas.length < FRAME_SAMPLE_SIZE) {
+        frame = requestAnimationFrame(sample);
+      } else {
+        deltas.sort((a, b) => a - b);
+        resolve(deltas[Math.floor(deltas.length / 2)]);
+      }
+    }
+
+    signal.addEventListener('abort', () => {
+      cancelAnimationFrame(frame);
+      reject(signal.reason);
+    });
+
+    frame = requestAnimationFrame(sample);
+  });
+}
+
+function initMotionControl({ signal }) {
+  document.documentElement.classList.toggle('motion-paused', motionState.paused);
+  updateMotionToggle();
+
+  window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (e) => {
+    setMotionState({ reduced: e.matches });
+  }, { signal });
+
+  document.addEventListener('visibilitychange', () => {
+    setMotionState({ hidden: document.hidden });
+  }, { signal });
+
+  $('#motionToggle')?.addEventListener('click', () => {
+    setMotionPaused(!motionState.paused);
+    trackEvent('motion_toggle', { paused: motionState.paused });
+  }, { signal });
+
+  // Medição só com a aba visível e animando (frames reais), e
+  // depois do load para não contar o trabalho da inicialização
+  if (!isMotionRunning() || motionState.tier === 'low') return;
+
+  const measure = () => measureFrameTime(signal)
+    .then(frameTime => {
+      if (frameTime <= FRAME_BUDGET_MS || motionState.hidden) return;
+
+      const lower = MOTION_TIERS[Math.max(0, MOTION_TIERS.indexOf(motionState.tier) - 1)];
+      console.info(`Projekt: ${Math.round(frameTime)}ms por frame — animações em nível "${lower}".`);
+      setMotionState({ tier: lower });
+    })
+    .catch(() => { /* Módulo desligado durante a medição */ });
+
+  if (document.readyState === 'complete') {
+    measure();
+  } else {
+    window.addEventListener('load', measure, { once: true, signal });
+  }
+}
+
+// Atalhos no console: Projekt.motion.pause() / resume() / state()
+window.Projekt.motion = {
+  pause:  () => setMotionPaused(true),
+  resume: () => setMotionPaused(false),
+  state:  () => ({ ...motionState, allowed: isMotionAllowed(), running: isMotionRunning() }),
+};
+
+/* ─────────────────────────────────────────────────────────
+   25. DIÁLOGOS ACESSÍVEIS (MENU MOBILE, MODAIS)
+   createDialog() transforma um elemento em diálogo modal:
+   - Foco vai para [data-autofocus] (ou o 1º focável) ao abrir
+     e volta para quem abriu ao fechar
+   - Tab/Shift+Tab circulam só dentro do diálogo
+   - O resto da página fica inert (fora do foco e da leitura)
+   - Scroll travado sem perder a posição (seguro no iOS)
+   - Fecha com Escape, clique fora, swipe e media query
+
+   Elementos de `keep` continuam acessíveis com o diálogo
+   aberto (ex.: o hambúrguer, que fica fora do menu).
+───────────────────────────────────────────────────────── */
+const FOCUSABLE_SELECTOR = [
+  'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+const SWIPE_CLOSE_THRESHOLD = 60; // px na direção do swipe
+
+/**
+ * Elementos focáveis (e visíveis) dentro de `roots`, na ordem
+ * do documento.
+ * @param {Element[]} roots
+ * @returns {HTMLElement[]}
+ */
+function getFocusable(roots) {
+  return roots
+    .flatMap(root => [root, ...$$(FOCUSABLE_SELECTOR, root)])
+    .filter(el => el.matches(FOCUSABLE_SELECTOR) && !el.closest('[hidden], [inert]'))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+}
+
+/**
+ * Marca como inert tudo o que não contém nem está dentro de `keep`.
+ * @param {Element[]} keep
+ * @returns {Function} Desfaz a marcação
+ */
+function inertOutside(keep) {
+  const ancestors = new Set();
+  keep.forEach(el => {
+    for (let node = el.parentElement; node && node !== document.documentElement; node = node.parentElement) {
+      ancestors.add(node);
+    }
+  });
+
+  const changed = [];
+  ancestors.forEach(parent => {
+    [...parent.children].forEach(child => {
+      if (ancestors.has(child) || keep.includes(child) || child.inert) return;
+      if (child.matches('script, style, link')) return;
+      child.inert = true;
+      changed.push(child);
+    });
+  });
+
+  return () => changed.forEach(el => { el.inert = false; });
+}
+
+// Trava de scroll compartilhada (diálogos podem se sobrepor)
+let scrollLockCount = 0;
+let scrollLockRestore = null;
+
+/**
+ * Trava o scroll da página. position: fixed no body é o único
+ * jeito confiável no iOS; o top negativo mantém a posição visual.
+ */
+function lockScroll() {
+  if (scrollLockCount++ > 0) return;
+
+  const { body } = document;
+  const scrollY = window.scrollY;
+  const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+  const previous = body.getAttribute('style');
+
+  Object.assign(body.style, {
+    position: 'fixed',
+    top: `-${scrollY}px`,
+    left: '0',
+    right: '0',
+    overflow: 'hidden',
+    paddingRight: scrollbar > 0 ? `${scrollbar}px` : '',
+  });
+
+  scrollLockRestore = () => {
+    if (previous === null) body.removeAttribute('style');
+    else body.setAttribute('style', previous);
+    window.scrollTo({ top: scrollY, behavior: 'instant' });
+  };
+}
+
+function unlockScroll() {
+  if (scrollLockCount === 0 || --scrollLockCount > 0) return;
+  scrollLockRestore?.();
+  scrollLockRestore = null;
+}
+
+/**
+ * Controlador de diálogo modal.
+ *
+ * @param {HTMLElement} dialog
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Ciclo de vida do módulo dono
+ * @param {Element[]} [options.keep=[]] - Fora do diálogo, mas acessíveis
+ * @param {string} [options.closeWhen] - Media query que fecha o diálogo
+ * @param {'left'|'right'|'up'|'down'} [options.swipe] - Swipe que fecha
+ * @param {Function} [options.onOpen]
+ * @param {Function} [options.onClose]
+ * @returns {{ open: Function, close: Function, toggle: Function, isOpen: Function }}
+ *
+ * @example
+ * const lightbox = createDialog($('#caseDialog'), { signal, swipe: 'down' });
+ * button.addEventListener('click', () => lightbox.open(button), { signal });
+ */
+function createDialog(dialog, { signal, keep = [], closeWhen, swipe, onOpen, onClose } = {}) {
+  let open = false;
+  let opener = null;
+  let restoreInert = null;
+
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-hidden', 'true');
+  dialog.inert = true; // Fechado: links do overlay fora do Tab
+
+  /**
+   * Abre o diálogo.
+   * @param {Element} [trigger=document.activeElement] - Recebe o foco ao fechar
+   */
+  function openDialog(trigger = document.activeElement) {
+    if (open) return;
+    open = true;
+    opener = trigger;
+
+    dialog.inert = false;
+    dialog.classList.add('is-open');
+    dialog.setAttribute('aria-hidden', 'false');
+    restoreInert = inertOutside([dialog, ...keep]);
+    lockScroll();
+
+    const initial = $('[data-autofocus]', dialog) || getFocusable([dialog])[0] || dialog;
+    if (initial === dialog && !dialog.hasAttribute('tabindex')) dialog.tabIndex = -1;
+    initial.focus({ preventScroll: true });
+
+    onOpen?.();
+  }
+
+  /**
+   * Fecha o diálogo.
+   * @param {Object} [options]
+   * @param {boolean} [options.returnFocus=true] - Devolve o foco a quem abriu
+   */
+  function closeDialog({ returnFocus = true } = {}) {
+    if (!open) return;
+    open = false;
+
+    dialog.classList.remove('is-open');
+    dialog.setAttribute('aria-hidden', 'true');
+    dialog.inert = true;
+    restoreInert?.();
+    restoreInert = null;
+    unlockScroll();
+
+    if (returnFocus && opener?.isConnected) opener.focus({ preventScroll: true });
+    opener = null;
+
+    onClose?.();
+  }
+
+  const toggle = (trigger) => (open ? closeDialog() : openDialog(trigger));
+
+  // ── Teclado: Escape fecha, Tab fica preso no diálogo ──
+  document.addEventListener('keydown', (e) => {
+    if (!open) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeDialog();
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable([dialog, ...keep]);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last  = focusable[focusable.length - 1];
+    const index = focusable.indexOf(document.activeElement);
+
+    if (index === -1) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && index === 0) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && index === focusable.length - 1) {
+      e.preventDefault();
+      first.focus();
+    }
+  }, { signal });
+
+  // ── Clique fora: no fundo do próprio overlay ou fora dele ──
+  document.addEventListener('click', (e) => {
+    if (!open) return;
+    const inside = e.target !== dialog && dialog.contains(e.target);
+    const kept = [...keep, opener].some(el => el?.contains(e.target));
+    if (!inside && !kept) closeDialog({ returnFocus: false });
+  }, { signal });
+
+  // ── Swipe para fechar ──
+  if (swipe) {
+    let start = null;
+
+    dialog.addEventListener('touchstart', (e) => {
+      const touch = e.changedTouches[0];
+      start = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true, signal });
+
+    dialog.addEventListener('touchend', (e) => {
+      if (!start) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - start.x;
+      const dy = touch.clientY - start.y;
+      start = null;
+
+      const distance = { left: -dx, right: dx, up: -dy, down: dy }[swipe];
+      const across   = swipe === 'left' || swipe === 'right' ? Math.abs(dy) : Math.abs(dx);
+
+      // Só conta se o gesto for predominantemente na direção pedida
+      if (distance > SWIPE_CLOSE_THRESHOLD && distance > across) closeDialog();
+    }, { passive: true, signal });
+  }
+
+  // ── Media query (ex.: viewport voltou para desktop) ──
+  if (closeWhen) {
+    const query = window.matchMedia(closeWhen);
+    query.addEventListener('change', (e) => {
+      if (e.matches) closeDialog({ returnFocus: false });
+    }, { signal });
+  }
+
+  // Dono desligado com o diálogo aberto: não deixa a página travada
+  signal.addEventListener('abort', () => {
+    closeDialog({ returnFocus: false });
+    dialog.inert = false;
+  });
+
+  return { open: openDialog, close: closeDialog, toggle, isOpen: () => open };
+}
+
+/* ─────────────────────────────────────────────────────────
+   26. AGENDAMENTO DE CONVERSA
+   Widget section.booking no #contato, configurado por
+   data-attributes:
+
+     data-availability  GET ?from=ISO&days=N → { slots: [{ start, end }] }
+     data-endpoint      POST JSON da reserva → { id, start, end }
+     data-days          Dias consultados a partir de hoje (padrão 10)
+     data-timeout       Tempo máximo por requisição (ms)
+
+   Horários em ISO 8601 (UTC) no servidor; na tela, no fuso do
+   visitante. Nome, e-mail e empresa já digitados no #contatoForm
+   são reaproveitados (e a área de interesse vai junto na reserva).
+   Depois de agendar, o visitante baixa o convite em .ics.
+
+   O #bookingForm tem o honeypot e os data-attributes anti-spam
+   do formulário de contato (seção 21), inclusive o desafio.
+
+   Para testar localmente: node dev/mock-server.js
+───────────────────────────────────────────────────────── */
+
+// Campos do formulário de contato copiados para o agendamento
+const BOOKING_SHARED_FIELDS = ['nome', 'email', 'empresa'];
+
+/** @returns {string} Fuso IANA do visitante (ex.: 'America/Sao_Paulo') */
+const getVisitorTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Lê a configuração do widget a partir dos data-attributes.
+ * @param {HTMLElement} widget
+ * @returns {Object}
+ */
+function readBookingConfig(widget) {
+  const ds = widget.dataset;
+  return {
+    availability: ds.availability || '',
+    endpoint:     ds.endpoint || '',
+    days:         parseInt(ds.days, 10) || 10,
+    timeout:      parseInt(ds.timeout, 10) || 10000,
+  };
+}
+
+/**
+ * Busca os horários livres. Horários já passados são descartados.
+ * @param {Object} config - Resultado de readBookingConfig()
+ * @returns {Promise<Array<{ start: Date, end: Date }>>}
+ */
+async function fetchAvailability(config) {
+  const url = new URL(config.availability, window.location.href);
+  url.searchParams.set('from', new Date().toISOString());
+  url.searchParams.set('days', config.days);
+
+  const response = await fetchWithTimeout(url, { headers: { 'Accept': 'application/json' } }, config.timeout);
+  const { data } = await handleSubmissionResponse(response);
+  const now = Date.now();
+
+  return (Array.isArray(data.slots) ? data.slots : [])
+    .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }))
+    .filter(slot => !Number.isNaN(slot.start.getTime()) && slot.end > slot.start && slot.start > now)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Agrupa horários por dia no fuso do visitante.
+ * @param {Array<{ start: Date }>} slots
+ * @returns {Map<string, Array>} 'AAAA-MM-DD' → horários do dia
+ */
+function groupSlotsByDay(slots) {
+  // en-CA formata datas como AAAA-MM-DD
+  const dayKey = new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  return slots.reduce((days, slot) => {
+    const key = dayKey.format(slot.start);
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(slot);
+    return days;
+  }, new Map());
+}
+
+/**
+ * Escapa texto para um valor de propriedade iCalendar (RFC 5545).
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeIcsText = text => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+/** @param {Date} date @returns {string} Data UTC no formato 20250101T120000Z */
+const formatIcsDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Monta um arquivo .ics com um único evento.
+ * Linhas longas são dobradas em 75 caracteres, como pede a RFC.
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.url]
+ * @returns {string}
+ */
+function buildIcs({ uid, start, end, summary, description = '', url = '' }) {
+  const fold = line => line.match(/.{1,74}/g).join('\r\n ');
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Projekt//Agendamento//PT',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    description && `DESCRIPTION:${escapeIcsText(description)}`,
+    url && `URL:${url}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean).map(fold).join('\r\n') + '\r\n';
+}
+
+function initBooking({ signal }) {
+  const widget    = $('#booking');
+  const daysEl    = $('#bookingDays');
+  const slotsEl   = $('#bookingSlots');
+  const timezone  = $('#bookingTimezone');
+  const status    = $('#bookingStatus');
+  const form      = $('#bookingForm');
+  const feedback  = $('#bookingFeedback');
+  const contact   = $('#contatoForm');
+
+  if (!widget || !daysEl || !slotsEl || !form) return;
+
+  const config = readBookingConfig(widget);
+  const visitorTimeZone = getVisitorTimeZone();
+
+  let days = new Map();
+  let selectedDay  = null;
+  let selectedSlot = null;
+  let icsUrl = null;
+
+  /**
+   * Mensagem de estado (carregando, vazio, erro). Com `retry`,
+   * acrescenta um botão para buscar os horários de novo.
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {boolean} [options.retry=false]
+   */
+  function setStatus(message, { retry = false } = {}) {
+    status.textContent = message;
+    if (!retry) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'booking-retry';
+    button.textContent = t('booking.retry');
+    button.addEventListener('click', loadSlots, { once: true, signal });
+    status.append(' ', button);
+  }
+
+  /** Botões de dia + horários do dia selecionado. */
+  function render() {
+    timezone.textContent = t('booking.timezone', { tz: visitorTimeZone.replace(/_/g, ' ') });
+
+    daysEl.innerHTML = '';
+    days.forEach((slots, key) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'booking-day';
+      button.textContent = formatDate(slots[0].start, { weekday: 'short', day: '2-digit', month: '2-digit' });
+      button.setAttribute('aria-pressed', key === selectedDay ? 'true' : 'false');
+      button.addEventListener('click', () => {
+        selectedDay = key;
+        selectedSlot = null;
+        form.hidden = true;
+        render();
+        slotsEl.querySelector('button')?.focus();
+      });
+      daysEl.appendChild(button);
+    });
+
+    slotsEl.innerHTML = '';
+    (days.get(selectedDay) || []).forEach(slot => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'booking-slot';
+      button.textContent = formatDate(slot.start, { hour: '2-digit', minute: '2-digit' });
+      button.setAttribute('aria-pressed', slot === selectedSlot ? 'true' : 'false');
+      button.setAttribute('aria-label', formatDate(slot.start, { dateStyle: 'full', timeStyle: 'short' }));
+      button.addEventListener('click', () => selectSlot(slot));
+      slotsEl.appendChild(button);
+    });
+  }
+
+  /** Busca a disponibilidade e seleciona o primeiro dia livre. */
+  async function loadSlots() {
+    setStatus(t('booking.loading'));
+    widget.classList.add('is-loading');
+
+    try {
+      days = groupSlotsByDay(await fetchAvailability(config));
+      selectedDay = days.has(selectedDay) ? selectedDay : days.keys().next().value || null;
+      selectedSlot = null;
+      form.hidden = true;
+      setStatus(days.size ? '' : t('booking.empty'));
+    } catch (error) {
+      console.error('Erro ao carregar horários:', error);
+      days = new Map();
+      setStatus(t('booking.loadError'), { retry: true });
+    } finally {
+      widget.classList.remove('is-loading');
+      if (!signal.aborted) render();
+    }
+  }
+
+  /**
+   * Copia do formulário de contato os campos ainda vazios aqui.
+   */
+  function prefillFromContact() {
+    if (!contact) return;
+    BOOKING_SHARED_FIELDS.forEach(name => {
+      const source = contact.elements.namedItem(name);
+      const target = form.elements.namedItem(name);
+      if (source && target && !target.value.trim()) target.value = source.value.trim();
+    });
+  }
+
+  /** @param {{ start: Date, end: Date }} slot */
+  function selectSlot(slot) {
+    selectedSlot = slot;
+    render();
+    prefillFromContact();
+    form.hidden = false;
+    feedback.className = 'form-feedback';
+    setStatus(t('booking.selected', { date: formatDate(slot.start, { dateStyle: 'full', timeStyle: 'short' }) }));
+
+    // Foco no primeiro campo obrigatório que falta preencher
+    const firstEmpty = [...form.elements].find(field => field.required && !field.value.trim());
+    (firstEmpty || form.querySelector('.form-submit')).focus();
+  }
+
+  /**
+   * Mostra a confirmação com o link do convite (.ics).
+   * @param {{ id: string, start: Date, end: Date }} booking
+   */
+  function showConfirmation(booking) {
+    if (icsUrl) URL.revokeObjectURL(icsUrl);
+
+    const ics = buildIcs({
+      uid: `${booking.id}@projekt.com.br`,
+      start: booking.start,
+      end: booking.end,
+      summary: t('booking.ics.summary'),
+      description: t('booking.ics.description'),
+      url: `${window.location.origin}${window.location.pathname}`,
+    });
+    icsUrl = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+
+    const link = document.createElement('a');
+    link.href = icsUrl;
+    link.download = 'projekt-conversa.ics';
+    link.className = 'booking-ics';
+    link.textContent = t('booking.ics.download');
+    link.addEventListener('click', () => trackEvent('booking_ics_download'), { signal });
+
+    feedback.className = 'form-feedback success';
+    feedback.textContent = t('booking.success', {
+      date: formatDate(booking.start, { dateStyle: 'full', timeStyle: 'short' }),
+    });
+    feedback.append(' ', link);
+  }
+
+  // ── Reserva ──
+  const submitBtn = form.querySelector('.form-submit');
+  let sending = false;
+
+  /** @param {boolean} locked */
+  function setSending(locked) {
+    sending = locked;
+    submitBtn.classList.toggle('is-loading', locked);
+    submitBtn.disabled = locked;
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    // Trava antes das etapas assíncronas: um duplo clique não reserva duas vezes
+    if (!selectedSlot || sending) return;
+    setSending(true);
+
+    const { valid, firstInvalidField } = await validateFields(form);
+    if (!valid) {
+      setSending(false);
+      firstInvalidField?.focus();
+      return;
+    }
+
+    feedback.className = 'form-feedback';
+
+    const data = {
+      ...Object.fromEntries(BOOKING_SHARED_FIELDS.map(name => [name, form.elements.namedItem(name).value.trim()])),
+      servico:  contact?.elements.namedItem('servico')?.value || '',
+      start:    selectedSlot.start.toISOString(),
+      end:      selectedSlot.end.toISOString(),
+      timezone: visitorTimeZone,
+      idioma:   currentLang,
+    };
+
+    // Anti-spam (seção 21), com a configuração do #bookingForm
+    const guard = await checkSpamGuards(form, data);
+    if (guard.blocked) {
+      setSending(false);
+      trackEvent('booking_submit', { outcome: 'blocked', reason: guard.blocked });
+
+      if (guard.blocked === 'honeypot') {
+        // Bot: finge a reserva para não revelar a defesa
+        showConfirmation({ id: Date.now().toString(36), start: selectedSlot.start, end: selectedSlot.end });
+        form.hidden = true;
+        selectedSlot = null;
+      } else if (guard.blocked === 'duplicate') {
+        feedback.className = 'form-feedback success';
+        feedback.textContent = t('booking.duplicate');
+      } else {
+        feedback.className = 'form-feedback error';
+        feedback.textContent = guard.blocked === 'rate_limited'
+          ? t('booking.rateLimited', { minutes: guard.retryIn })
+          : guard.message;
+      }
+      return;
+    }
+
+    try {
+      // Cada tentativa resolve um desafio novo (o token é de uso único)
+      const { data: result } = await submitFormData(data, {
+        transport: 'json',
+        endpoint:  config.endpoint,
+        timeout:   config.timeout,
+        retries:   1,
+        backoff:   800,
+      }, { prepare: () => solveSpamChallenge(form) });
+
+      recordSubmission(form, guard.hash);
+      showConfirmation({
+        id:    result.id || Date.now().toString(36),
+        start: selectedSlot.start,
+        end:   selectedSlot.end,
+      });
+      trackEvent('booking_submit', { outcome: 'success', servico: data.servico });
+
+      form.hidden = true;
+      selectedSlot = null;
+      loadSlots(); // O horário reservado sai da lista
+    } catch (error) {
+      console.error('Erro ao agendar:', error);
+
+      // 409: outra pessoa reservou o horário antes
+      if (error.status === 409) {
+        feedback.className = 'form-feedback error';
+        feedback.textContent = t('booking.taken');
+        trackEvent('booking_submit', { outcome: 'taken' });
+        loadSlots();
+        return;
+      }
+
+      Object.entries(error.fieldErrors || {}).forEach(([name, message]) => {
+        const field = form.elements.namedItem(name);
+        if (field) setFieldError(field, message);
+      });
+
+      feedback.className = 'form-feedback error';
+      feedback.textContent = t('booking.error');
+      trackEvent('booking_submit', { outcome: 'error', status: error.status });
+    } finally {
+      setSending(false);
+    }
+  }, { signal });
+
+  initLiveValidation(form, { signal });
+
+  // Datas e horários acompanham o idioma
+  document.addEventListener('projekt:languagechange', render, { signal });
+
+  if (config.availability) {
+    loadSlots();
+  } else {
+    setStatus(t('booking.loadError'));
+  }
+
+  return () => {
+    if (icsUrl) URL.revokeObjectURL(icsUrl);
+    daysEl.innerHTML = '';
+    slotsEl.innerHTML = '';
+    form.hidden = true;
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   27. QR CODE
+   Gerador mínimo de QR Code (ISO/IEC 18004), sem dependências:
+   modo byte, correção de erros nível M (~15%), versões 1–40
+   e máscara escolhida pela menor penalidade.
+
+   createQrMatrix(texto) → matriz de booleanos (true = escuro)
+   renderQrSvg(matriz)   → <svg> pronto para inserir na página
+───────────────────────────────────────────────────────── */
+
+// Nível M, por versão (índice 0 sem uso): codewords de correção
+// por bloco e número de blocos
+const QR_ECC_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+const QR_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+  16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+const QR_FORMAT_ECC_M = 0; // Bits do nível M na informação de formato
+
+const qrMasks = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x)    => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+/** @returns {boolean} Bit `i` de `value` */
+const qrBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/**
+ * Módulos disponíveis para dados + correção numa versão.
+ * @param {number} version
+ * @returns {number}
+ */
+function qrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/** @returns {number} Codewords de dados (sem correção) da versão */
+const qrDataCodewords = version =>
+  Math.floor(qrRawModules(version) / 8) - QR_ECC_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+
+/**
+ * Multiplicação no corpo GF(2^8) do QR (polinômio 0x11D).
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Codewords de correção Reed-Solomon de um bloco de dados.
+ * @param {number[]} data
+ * @param {number} degree - Quantidade de codewords de correção
+ * @returns {number[]}
+ */
+function qrReedSolomon(data, degree) {
+  // Polinômio gerador (x - 2^0)(x - 2^1)…, sem o termo líder
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = qrMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= qrMultiply(coef, factor); });
+  });
+  return result;
+}
+
+/**
+ * Codifica o texto em codewords (dados + correção, intercalados).
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @returns {number[]}
+ */
+function qrCodewords(bytes, version) {
+  const capacity = qrDataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(qrBit(value, i) ? 1 : 0);
+  };
+
+  push(0b0100, 4);                           // Modo byte
+  push(bytes.length, version <= 9 ? 8 : 16); // Contagem de caracteres
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length)); // Terminador
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  // Divide em blocos (os "curtos" primeiro) e calcula a correção de cada um
+  const numBlocks   = QR_ECC_BLOCKS[version];
+  const eccLength   = QR_ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(qrRawModules(version) / 8);
+  const shortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortLength = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const chunk = data.slice(k, k += length);
+    blocks.push({ data: chunk, ecc: qrReedSolomon(chunk, eccLength) });
+  }
+
+  // Intercala: 1º byte de cada bloco, 2º de cada bloco…
+  const result = [];
+  for (let i = 0; i <= shortLength - eccLength; i++) {
+    blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach(block => result.push(block.ecc[i]));
+  }
+  return result;
+}
+
+/**
+ * Posições dos padrões de alinhamento na versão.
+ * @param {number} version
+ * @returns {number[]}
+ */
+function qrAlignmentPositions(version) {
+  if (version === 1) return [];
+
+  const count = Math.floor(version / 7) + 2;
+  const step  = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+}
+
+/**
+ * Penalidade de uma matriz (regras N1–N4 da norma); a máscara
+ * com menor penalidade gera o código mais fácil de ler.
+ * @param {boolean[][]} modules
+ * @returns {number}
+ */
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  // Linhas e colunas lidas do mesmo jeito
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i], modules.map(row => row[i]));
+  }
+
+  lines.forEach(line => {
+    // N1: sequências de 5+ módulos da mesma cor
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // N3: padrão parecido com o localizador (1:1:3:1:1 + 4 claros)
+    const text = line.map(Number).join('');
+    for (const pattern of ['10111010000', '00001011101']) {
+      for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) penalty += 40;
+    }
+  });
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      // N2: blocos 2×2 da mesma cor
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  // N4: proporção de módulos escuros longe de 50%
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
+
+/**
+ * Gera a matriz do QR Code de um texto.
+ * @param {string} text
+ * @returns {boolean[][]} true = módulo escuro
+ * @throws {RangeError} Texto grande demais para a versão 40
+ */
+function createQrMatrix(text) {
+  const bytes = new TextEncoder().encode(text);
+
+  let version = 1;
+  while (version <= 40 && qrDataCodewords(version) * 8 < 4 + (version <= 9 ? 8 : 16) + bytes.length * 8) version++;
+  if (version > 40) throw new RangeError('Texto longo demais para um QR Code');
+
+  const size = version * 4 + 17;
+  const modules    = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // ── Padrões fixos: temporização, localizadores, alinhamento ──
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const alignment = qrAlignmentPositions(version);
+  alignment.forEach((cy, i) => alignment.forEach((cx, j) => {
+    const last = alignment.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // Cantos dos localizadores
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  /** Informação de formato (nível + máscara), em duas cópias. */
+  const drawFormat = (mask) => {
+    const data = (QR_FORMAT_ECC_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, qrBit(bits, i));
+    setFunction(8, 7, qrBit(bits, 6));
+    setFunction(8, 8, qrBit(bits, 7));
+    setFunction(7, 8, qrBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, qrBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, qrBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, qrBit(bits, i));
+    setFunction(8, size - 8, true); // Módulo escuro fixo
+  };
+
+  drawFormat(0); // Reserva a área; o valor real vem depois da máscara
+
+  // Informação de versão (7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, qrBit(bits, i));
+      setFunction(b, a, qrBit(bits, i));
+    }
+  }
+
+  // ── Dados em zigue-zague, colunas de 2 da direita para a esquerda ──
+  const codewords = qrCodewords(bytes, version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Pula a coluna de temporização
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = qrBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+        bitIndex++;
+      }
+    }
+  }
+
+  // ── Máscara: testa as 8 e fica com a de menor penalidade ──
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && qrMasks[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  qrMasks.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask); // Desfaz (XOR)
+  });
+
+  applyMask(bestMask);
+  drawFormat(bestMask);
+  return modules;
+}
+
+/**
+ * Desenha a matriz como SVG (escuro sobre claro, com a margem
+ * de 4 módulos exigida pela norma).
+ * @param {boolean[][]} modules
+ * @param {string} [label] - Texto alternativo (role="img")
+ * @returns {SVGSVGElement}
+ */
+function renderQrSvg(modules, label = '') {
+  const size = modules.length + 8;
+  const path = modules
+    .flatMap((row, y) => row.map((isDark, x) => (isDark ? `M${x + 4},${y + 4}h1v1h-1z` : '')))
+    .join('');
+
+  const template = document.createElement('template');
+  template.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+
+  const svg = template.content.firstElementChild;
+  if (label) {
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', label);
+  } else {
+    svg.setAttribute('aria-hidden', 'true');
+  }
+  return svg;
+}
+
+/* ─────────────────────────────────────────────────────────
+   28. WHATSAPP CONTEXTUAL
+   Todos os links com [data-whatsapp] usam o número de
+   body[data-whatsapp] e uma mensagem montada na hora:
+
+     saudação (no idioma ativo)
+     Área de interesse: <opção do #servicoSelect, se escolhida>
+     Origem: <seção do clique> · <origem/mídia> · <campanha>
+
+   A origem é o último toque da atribuição (seção 30).
+
+   Assim o comercial sabe o assunto antes de responder.
+   [data-whatsapp="texto"] troca a saudação por uma chave i18n.
+
+   Em computadores (mouse + tela larga), o clique abre um
+   diálogo com QR Code (seção 27) para continuar no celular.
+───────────────────────────────────────────────────────── */
+const WHATSAPP_DESKTOP_QUERY = '(hover: hover) and (pointer: fine) and (min-width: 1025px)';
+
+/**
+ * Monta a URL wa.me com a mensagem.
+ * @param {string} phone - Somente dígitos, com DDI
+ * @param {string} [message]
+ * @returns {string}
+ */
+function buildWhatsAppUrl(phone, message = '') {
+  const base = `https://wa.me/${phone.replace(/\D/g, '')}`;
+  return message ? `${base}?text=${encodeURIComponent(message)}` : base;
+}
+
+/**
+ * Mensagem pré-preenchida para um link.
+ * @param {Object} context
+ * @param {string} [context.greeting='whatsapp.greeting'] - Chave i18n da saudação
+ * @param {string} [context.location] - Onde o link foi clicado
+ * @param {string} [context.service] - Rótulo da área de interesse
+ * @param {string} [context.campaign] - Origem do visitante (describeTouch)
+ * @returns {string}
+ */
+function buildWhatsAppMessage({ greeting = 'whatsapp.greeting', location, service, campaign }) {
+  const origin = [location, campaign].filter(Boolean).join(' · ');
+
+  return [
+    t(greeting),
+    service && t('whatsapp.service', { service }),
+    origin && t('whatsapp.origin', { origin }),
+  ].filter(Boolean).join('\n');
+}
+
+function initWhatsApp({ signal }) {
+  const phone = document.body.dataset.whatsapp;
+  if (!phone) return;
+
+  const links   = [...$$('a[data-whatsapp]')];
+  const service = $('#servicoSelect');
+  const dialogEl = $('#whatsappDialog');
+
+  // Origem do visitante (seção 30)
+  const campaign = describeTouch(getAttribution().last);
+
+  /** @returns {string} Rótulo da área escolhida no formulário ('' se nenhuma) */
+  const selectedService = () => (service?.value ? service.selectedOptions[0].textContent.trim() : '');
+
+  /** @param {HTMLAnchorElement} link @returns {string} */
+  const messageFor = link => buildWhatsAppMessage({
+    greeting: link.dataset.whatsapp || undefined,
+    location: getClickLocation(link),
+    service:  selectedService(),
+    campaign,
+  });
+
+  const urlFor = link => buildWhatsAppUrl(phone, messageFor(link));
+
+  /** Atualiza os hrefs (copiar link e abrir em nova aba também ficam certos). */
+  const refresh = () => links.forEach(link => { link.href = urlFor(link); });
+
+  service?.addEventListener('change', refresh, { signal });
+  document.addEventListener('projekt:languagechange', refresh, { signal });
+  refresh();
+
+  // Desligado: links voltam ao número sem mensagem
+  const restore = () => links.forEach(link => { link.href = buildWhatsAppUrl(phone); });
+
+  // ── Desktop: QR Code para continuar no celular ──
+  if (!dialogEl) return restore;
+
+  const qr      = $('#whatsappQr', dialogEl);
+  const preview = $('#whatsappPreview', dialogEl);
+  const openHere = $('#whatsappDialogLink', dialogEl);
+  const desktop = window.matchMedia(WHATSAPP_DESKTOP_QUERY);
+  const dialog  = createDialog(dialogEl, { signal, swipe: 'down' });
+
+  $$('[data-dialog-close]', dialogEl).forEach(button => {
+    button.addEventListener('click', () => dialog.close(), { signal });
+  });
+
+  // Abriu no computador: o diálogo já cumpriu o papel
+  openHere?.addEventListener('click', () => dialog.close({ returnFocus: false }), { signal });
+
+  links.forEach(link => {
+    link.addEventListener('click', (e) => {
+      // Ctrl/Cmd+clique, botão do meio: respeita a intenção do visitante
+      if (!desktop.matches || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+      const message = messageFor(link);
+      const url = buildWhatsAppUrl(phone, message);
+      let code;
+      try {
+        code = renderQrSvg(createQrMatrix(url), t('whatsapp.qrLabel'));
+      } catch (error) {
+        console.warn('Projekt: QR Code não gerado, abrindo o WhatsApp direto.', error);
+        return;
+      }
+
+      e.preventDefault();
+      qr.replaceChildren(code);
+      preview.textContent = message;
+      if (openHere) openHere.href = url;
+
+      dialog.open(link);
+      trackEvent('whatsapp_qr_open', { location: getClickLocation(link), servico: service?.value || '' });
+    }, { signal });
+  });
+
+  return restore;
+}
+
+/* ─────────────────────────────────────────────────────────
+   29. PALETA DE COMANDOS (CTRL/CMD+K)
+   Busca no conteúdo da própria página + ações rápidas.
+
+   O índice é lido do DOM ao iniciar (e refeito ao trocar o
+   idioma, o conteúdo, os depoimentos, os cases, os insights
+   ou a view): uma entrada por seção e por card das fontes em
+   SEARCH_SOURCES.
+   A busca ignora acentos e maiúsculas; o título aceita letras
+   salteadas ("gvnc" → "Governança"), o texto exige as
+   palavras digitadas.
+
+   Escolher um resultado rola até ele com o mesmo desconto da
+   navbar do smooth scroll (seção 11). Antes, o alvo recebe
+   'projekt:reveal' (com bubbles): quem esconde conteúdo, como
+   o carrossel de depoimentos (seção 8), o traz à vista.
+───────────────────────────────────────────────────────── */
+const SEARCH_SOURCES = [
+  { selector: '.service-panel',      title: '.panel-title',      body: '.panel-eyebrow, .panel-description, .panel-features' },
+  { selector: '.diferencial-card',   title: '.diferencial-title', body: '.diferencial-body' },
+  { selector: '.process-step',       title: '.step-title',       body: '.step-body' },
+  { selector: '.testimonial-card:not([hidden])', title: '.author-name', body: '.testimonial-quote, .author-role' },
+  { selector: '.case-card',          title: '.case-card-title',  body: '.case-meta, .case-card-summary' },
+  { selector: '.insight-card',       title: '.insight-card-title', body: '.insight-card-summary, .case-tag' },
+];
+const SEARCH_MAX_RESULTS = 8;
+
+/**
+ * Texto de um elemento com espaços normalizados (<br> vira espaço,
+ * para "Projetos de<br>IA" não virar "Projetos deIA").
+ * @param {Element|null} el
+ * @returns {string}
+ */
+function textOf(el) {
+  if (!el) return '';
+  let text = '';
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) text += node.data;
+    else if (node.tagName === 'BR') text += ' ';
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Versão comparável do texto (sem acentos, minúsculas), com o
+ * mesmo comprimento do original — os índices servem para destacar.
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = text => text.replace(/[\s\S]/g, ch => {
+  const folded = ch.normalize('NFD').charAt(0).toLowerCase();
+  return folded.length === 1 ? folded : ch;
+});
+
+/**
+ * Casa as letras da busca em ordem dentro do texto, dando mais
+ * pontos a letras seguidas e a inícios de palavra.
+ * @param {string} query - Já normalizada por foldText()
+ * @param {string} text - Original
+ * @returns {{ score: number, indices: number[] }|null}
+ */
+function fuzzyMatch(query, text) {
+  const folded = foldText(text);
+  const compact = query.replace(/\s+/g, '');
+  if (!compact) return null;
+
+  // Trecho exato vale mais que qualquer casamento salteado
+  const exact = folded.indexOf(query);
+  if (exact !== -1) {
+    const wordStart = exact === 0 || /\W/.test(folded[exact - 1]);
+    return {
+      score: 100 + query.length * 4 + (wordStart ? 20 : 0),
+      indices: Array.from({ length: query.length }, (_, i) => exact + i),
+    };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of compact) {
+    const index = folded.indexOf(ch, from);
+    if (index === -1) return null;
+    const previous = indices[indices.length - 1];
+    score += 1
+      + (previous === index - 1 ? 5 : 0)
+      + (index === 0 || /\W/.test(folded[index - 1]) ? 8 : 0);
+    indices.push(index);
+    from = index + 1;
+  }
+
+  // Letras muito espalhadas não são um resultado útil
+  return score >= compact.length * 3 ? { score, indices } : null;
+}
+
+/**
+ * Todas as palavras da busca aparecem no texto? Devolve o trecho
+ * em volta da primeira ocorrência, para mostrar no resultado.
+ * @param {string} query - Já normalizada por foldText()
+ * @param {string} text - Original
+ * @returns {{ score: number, snippet: string, indices: number[] }|null}
+ */
+function matchWords(query, text) {
+  const folded = foldText(text);
+  const words = query.split(/\s+/).filter(word => word.length > 1);
+  if (!words.length || !words.every(word => folded.includes(word))) return null;
+
+  const first = folded.indexOf(words[0]);
+  const start = Math.max(0, folded.lastIndexOf(' ', Math.max(0, first - 40)) + 1);
+  const end   = Math.min(text.length, start + 120);
+  const snippetFolded = folded.slice(start, end);
+
+  const indices = words.flatMap(word => {
+    const at = snippetFolded.indexOf(word);
+    return at === -1 ? [] : Array.from({ length: word.length }, (_, i) => at + i);
+  });
+
+  return {
+    score: 40 + words.length * 10,
+    snippet: (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : ''),
+    indices: indices.map(i => i + (start > 0 ? 1 : 0)),
+  };
+}
+
+/**
+ * Texto com os trechos casados dentro de <mark>.
+ * @param {string} text
+ * @param {number[]} [indices=[]]
+ * @returns {DocumentFragment}
+ */
+function highlightText(text, indices = []) {
+  const fragment = document.createDocumentFragment();
+  const marked = new Set(indices);
+  let buffer = '';
+  let bufferMarked = false;
+
+  const flush = () => {
+    if (!buffer) return;
+    if (bufferMarked) {
+      const mark = document.createElement('mark');
+      mark.textContent = buffer;
+      fragment.appendChild(mark);
+    } else {
+      fragment.appendChild(document.createTextNode(buffer));
+    }
+    buffer = '';
+  };
+
+  text.split('').forEach((ch, i) => {
+    if (marked.has(i) !== bufferMarked) {
+      flush();
+      bufferMarked = marked.has(i);
+    }
+    buffer += ch;
+  });
+  flush();
+
+  return fragment;
+}
+
+/**
+ * Nome curto da seção de um elemento (texto do link na navbar
+ * ou o aria-label da seção).
+ * @param {Element} el
+ * @returns {string}
+ */
+function getSectionName(el) {
+  const section = el.closest('section[id]');
+  if (!section) return '';
+  return textOf($(`.nav-link[href="#${section.id}"]`)) || section.getAttribute('aria-label') || section.id;
+}
+
+/**
+ * Monta o índice da página.
+ * @returns {Array<{ title: string, body: string, group: string, target: Element }>}
+ */
+function buildSearchIndex() {
+  const entries = [];
+
+  // Seções: título pelo nome na navbar, texto pelos títulos e parágrafos
+  $$('main section[id]').forEach(section => {
+    if (section.closest('[hidden]')) return;
+    entries.push({
+      title:  getSectionName(section),
+      body:   [...$$('h1, h2, .section-eyebrow, p', section)].slice(0, 8).map(textOf).join(' '),
+      group:  t('search.group.section'),
+      target: section,
+    });
+  });
+
+  SEARCH_SOURCES.forEach(source => {
+    $$(source.selector).forEach(el => {
+      const title = textOf($(source.title, el));
+      if (!title || el.closest('[hidden]')) return;
+      entries.push({
+        title,
+        body:   [...$$(source.body, el)].map(textOf).join(' '),
+        group:  getSectionName(el),
+        target: el,
+      });
+    });
+  });
+
+  return entries;
+}
+
+function initCommandPalette({ signal }) {
+  const dialogEl = $('#commandPalette');
+  const input    = $('#commandInput');
+  const list     = $('#commandResults');
+  const empty    = $('#commandEmpty');
+  const toggle   = $('#searchToggle');
+
+  if (!dialogEl || !input || !list) return;
+
+  let index = buildSearchIndex();
+  let results = [];
+  let active = 0;
+
+  /** Ações rápidas: aparecem com a busca vazia e também são buscáveis. */
+  const actions = [
+    {
+      title: () => t('search.action.whatsapp'),
+      icon:  'fab fa-whatsapp',
+      run:   () => $('a[data-whatsapp]')?.click(),
+    },
+    {
+      title: () => t('search.action.email'),
+      icon:  'fas fa-envelope',
+      run:   () => { const mail = $('a[href^="mailto:"]'); if (mail) window.location.href = mail.href; },
+    },
+    {
+      title: () => t('search.action.contact'),
+      icon:  'fas fa-arrow-down',
+      run:   () => goTo($('#contato')),
+    },
+  ];
+
+  const dialog = createDialog(dialogEl, {
+    signal,
+    swipe: 'down',
+    onOpen: () => {
+      input.value = '';
+      search();
+    },
+  });
+
+  /**
+   * Rola até um resultado e move o foco para ele (leitores de tela
+   * continuam a leitura dali).
+   * @param {Element|null} target
+   */
+  function goTo(target) {
+    if (!target) return;
+    // Card fora da tela no carrossel fica inert: foco não entraria
+    target.dispatchEvent(new CustomEvent('projekt:reveal', { bubbles: true }));
+    scrollToTarget(target);
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
+
+  /** Executa o resultado escolhido. */
+  function choose(result) {
+    if (!result) return;
+    dialog.close({ returnFocus: false });
+    trackEvent('search_select', { kind: result.action ? 'action' : 'content', query: input.value.trim().slice(0, 40) });
+
+    if (result.action) result.action.run();
+    else goTo(result.entry.target);
+  }
+
+  /** Marca a opção ativa (aria-activedescendant) e a mantém visível. */
+  function setActive(i) {
+    const options = [...list.children];
+    if (!options.length) {
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    active = (i + options.length) % options.length;
+    options.forEach((option, n) => option.setAttribute('aria-selected', n === active ? 'true' : 'false'));
+    input.setAttribute('aria-activedescendant', options[active].id);
+    options[active].scrollIntoView({ block: 'nearest' });
+  }
+
+  /** Busca e desenha os resultados. */
+  function search() {
+    const query = foldText(input.value.trim().replace(/\s+/g, ' '));
+
+    const actionResults = actions
+      .map(action => {
+        const title = action.title();
+        const match = query ? fuzzyMatch(query, title) : { score: 0, indices: [] };
+        return match && { action, title, icon: action.icon, titleIndices: match.indices, score: match.score };
+      })
+      .filter(Boolean);
+
+    const contentResults = query
+      ? index
+        .map(entry => {
+          const inTitle = fuzzyMatch(query, entry.title);
+          const inBody  = matchWords(query, entry.body);
+          if (!inTitle && !inBody) return null;
+          return {
+            entry,
+            title: entry.title,
+            titleIndices: inTitle?.indices || [],
+            snippet: inBody?.snippet || '',
+            snippetIndices: inBody?.indices || [],
+            score: Math.max((inTitle?.score || 0) * 2, inBody?.score || 0),
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+      : [];
+
+    // Sem busca: só as ações; com busca, conteúdo primeiro
+    results = [...contentResults, ...actionResults]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, SEARCH_MAX_RESULTS);
+
+    list.innerHTML = '';
+    results.forEach((result, i) => {
+      const option = document.createElement('li');
+      option.id = `command-option-${i}`;
+      option.className = 'command-option';
+      option.setAttribute('role', 'option');
+
+      const icon = document.createElement('i');
+      icon.className = result.icon || 'fas fa-hashtag';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const text = document.createElement('span');
+      text.className = 'command-option-text';
+
+      const title = document.createElement('span');
+      title.className = 'command-option-title';
+      title.appendChild(highlightText(result.title, result.titleIndices));
+      text.appendChild(title);
+
+      if (result.entry?.group) {
+        const group = document.createElement('span');
+        group.className = 'command-option-group';
+        group.textContent = result.entry.group;
+        text.appendChild(group);
+      }
+
+      if (result.snippet) {
+        const snippet = document.createElement('span');
+        snippet.className = 'command-option-snippet';
+        snippet.appendChild(highlightText(result.snippet, result.snippetIndices));
+        text.appendChild(snippet);
+      }
+
+      option.append(icon, text);
+      option.addEventListener('click', () => choose(result));
+      option.addEventListener('mousemove', () => { if (active !== i) setActive(i); });
+      list.appendChild(option);
+    });
+
+    if (empty) empty.hidden = results.length > 0;
+    setActive(0);
+  }
+
+  input.addEventListener('input', search, { signal });
+
+  // ── Teclado no campo: setas navegam, Enter escolhe ──
+  input.addEventListener('keydown', (e) => {
+    const moves = { ArrowDown: active + 1, ArrowUp: active - 1, Home: 0, End: results.length - 1 };
+
+    if (e.key in moves && (e.key.startsWith('Arrow') || e.ctrlKey)) {
+      e.preventDefault();
+      setActive(moves[e.key]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(results[active]);
+    }
+  }, { signal });
+
+  // ── Atalho global: Ctrl+K (Windows/Linux) ou Cmd+K (macOS) ──
+  document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() !== 'k' || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    e.preventDefault();
+    if (dialog.isOpen()) {
+      dialog.close();
+    } else {
+      dialog.open();
+      trackEvent('search_open', { method: 'shortcut' });
+    }
+  }, { signal });
+
+  toggle?.addEventListener('click', () => {
+    dialog.open(toggle);
+    trackEvent('search_open', { method: 'button' });
+  }, { signal });
+
+  // Conteúdo mudou: refaz o índice
+  const reindex = () => {
+    index = buildSearchIndex();
+    if (dialog.isOpen()) search();
+  };
+  document.addEventListener('projekt:languagechange', reindex, { signal });
+  document.addEventListener('projekt:contentchange', reindex, { signal });
+  $('#testimonialsTrack')?.addEventListener('projekt:testimonials-change', reindex, { signal });
+  $('#casesGrid')?.addEventListener('projekt:cases-change', reindex, { signal });
+  $('#insightsList')?.addEventListener('projekt:insights-change', reindex, { signal });
+  document.addEventListener('projekt:viewchange', reindex, { signal });
+
+  return () => { list.innerHTML = ''; };
+}
+
+/* ─────────────────────────────────────────────────────────
+   30. ATRIBUIÇÃO DE ORIGEM (UTM, CLICK IDS, REFERRER)
+   De onde veio o visitante, em dois momentos:
+     first — primeira visita (nunca muda até expirar)
+     last  — última visita com origem identificável (campanha,
+             gclid/fbclid ou outro site); acessos diretos e
+             navegação interna não sobrescrevem
+
+   Cada toque guarda utm_*, gclid, fbclid, referrer (só origem +
+   caminho), página de entrada e touch_at. O registro vale
+   ATTRIBUTION_TTL_DAYS desde o último toque.
+
+   LGPD: só é salvo no localStorage com consentimento de
+   métricas (seção 17); sem ele, vale apenas para a visita
+   atual. Os campos vão no payload do formulário de contato
+   (first_utm_source, last_referrer…) e a origem resumida vai
+   nos links de WhatsApp (seção 28) e de e-mail.
+
+   Depuração: ?debug=attribution mostra um painel com os dados.
+───────────────────────────────────────────────────────── */
+const ATTRIBUTION_STORAGE_KEY = 'projekt-attribution';
+const ATTRIBUTION_VERSION     = 1;
+const ATTRIBUTION_TTL_DAYS    = 90;
+const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+const ATTRIBUTION_MAX_LENGTH  = 200;
+
+// Registro da visita atual — montado na primeira leitura
+let currentAttribution = null;
+
+/**
+ * Origem desta visita, a partir da URL e do document.referrer.
+ * @returns {Object<string, string>}
+ */
+function readTouch() {
+  const params = new URLSearchParams(window.location.search);
+  const touch = {};
+
+  ATTRIBUTION_PARAMS.forEach(name => {
+    const value = params.get(name)?.trim();
+    if (value) touch[name] = value.slice(0, ATTRIBUTION_MAX_LENGTH);
+  });
+
+  // Sem query string: pode carregar dados pessoais de outro site
+  try {
+    const referrer = new URL(document.referrer);
+    if (referrer.hostname !== window.location.hostname) touch.referrer = referrer.origin + referrer.pathname;
+  } catch { /* Sem referrer (acesso direto) */ }
+
+  touch.landing_page = window.location.pathname;
+  touch.touch_at = new Date().toISOString();
+  return touch;
+}
+
+/**
+ * O toque tem origem identificável (não é acesso direto)?
+ * @param {Object<string, string>} touch
+ * @returns {boolean}
+ */
+const hasTouchSource = touch => Boolean(touch.referrer) || ATTRIBUTION_PARAMS.some(name => touch[name]);
+
+/**
+ * Salva (ou apaga) o registro conforme o consentimento.
+ */
+function persistAttribution() {
+  if (currentAttribution && hasAnalyticsConsent()) {
+    storage.set(ATTRIBUTION_STORAGE_KEY, currentAttribution);
+  } else {
+    storage.remove(ATTRIBUTION_STORAGE_KEY);
+  }
+}
+
+/**
+ * Atribuição atual (primeiro e último toque).
+ * @returns {{ version: number, first: Object<string, string>, last: Object<string, string>, expiresAt: string }}
+ */
+function getAttribution() {
+  if (currentAttribution) return currentAttribution;
+
+  const stored = storage.get(ATTRIBUTION_STORAGE_KEY);
+  const valid = stored?.version === ATTRIBUTION_VERSION && Date.parse(stored.expiresAt) > Date.now();
+  const touch = readTouch();
+  const expiresAt = new Date(Date.now() + ATTRIBUTION_TTL_DAYS * 864e5).toISOString();
+
+  if (!valid) {
+    currentAttribution = { version: ATTRIBUTION_VERSION, first: touch, last: touch, expiresAt };
+  } else if (hasTouchSource(touch)) {
+    currentAttribution = { ...stored, last: touch, expiresAt };
+  } else {
+    currentAttribution = stored;
+  }
+
+  persistAttribution();
+  return currentAttribution;
+}
+
+/**
+ * Campos planos para o payload do lead: first_utm_source,
+ * last_referrer, first_touch_at… (funcionam em JSON, FormData
+ * e no corpo do mailto).
+ * @returns {Object<string, string>}
+ */
+function getAttributionFields() {
+  const { first, last } = getAttribution();
+  const fields = {};
+
+  Object.entries({ first, last }).forEach(([prefix, touch]) => {
+    Object.entries(touch).forEach(([key, value]) => { fields[`${prefix}_${key}`] = value; });
+  });
+  return fields;
+}
+
+/**
+ * Resumo legível de um toque: "google/cpc · lancamento-ia".
+ * Sem UTM, deduz a origem do click ID ou do referrer.
+ * @param {Object<string, string>} touch
+ * @returns {string} '' para acesso direto
+ */
+function describeTouch(touch) {
+  let host = '';
+  try {
+    host = touch.referrer ? new URL(touch.referrer).hostname.replace(/^www\./, '') : '';
+  } catch { /* Referrer salvo inválido */ }
+
+  const source = touch.utm_source || (touch.gclid && 'google') || (touch.fbclid && 'facebook') || host;
+  const medium = touch.utm_medium || (touch.gclid && 'cpc') || (touch.fbclid && 'social') || (host && 'referral');
+
+  return [[source, medium].filter(Boolean).join('/'), touch.utm_campaign].filter(Boolean).join(' · ');
+}
+
+/**
+ * Painel de depuração (?debug=attribution): o registro atual,
+ * se está salvo e um botão para recomeçar.
+ * @param {AbortSignal} signal
+ * @returns {Function} Remove o painel
+ */
+function renderAttributionDebug(signal) {
+  const panel = document.createElement('aside');
+  panel.className = 'attribution-debug';
+  panel.setAttribute('aria-label', 'Atribuição (depuração)');
+
+  const title = document.createElement('strong');
+  const output = document.createElement('pre');
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.textContent = 'Limpar e recapturar';
+
+  const render = () => {
+    const data = getAttribution();
+    title.textContent = `Atribuição — ${hasAnalyticsConsent() ? 'salva' : 'só nesta visita (sem consentimento)'}`;
+    output.textContent = JSON.stringify({
+      first: data.first,
+      last: data.last,
+      expiresAt: data.expiresAt,
+      resumo: describeTouch(data.last),
+    }, null, 2);
+  };
+
+  reset.addEventListener('click', () => {
+    storage.remove(ATTRIBUTION_STORAGE_KEY);
+    currentAttribution = null;
+    render();
+  }, { signal });
+  document.addEventListener('projekt:consentchange', render, { signal });
+
+  render();
+  panel.append(title, output, reset);
+  document.body.appendChild(panel);
+  return () => panel.remove();
+}
+
+function initAttribution({ signal }) {
+  const attribution = getAttribution();
+
+  // Consentimento mudou: salva o registro ou apaga o que havia
+  document.addEventListener('projekt:consentchange', persistAttribution, { signal });
+
+  // Links de e-mail: origem no fim do corpo, se houver
+  const origin = describeTouch(attribution.last);
+  const mailLinks = origin ? [...$$('a[href^="mailto:"]')] : [];
+  const baseHrefs = mailLinks.map(link => link.getAttribute('href'));
+
+  const refreshMailLinks = () => mailLinks.forEach((link, i) => {
+    const [address, query = ''] = baseHrefs[i].split('?');
+    const params = new URLSearchParams(query);
+    const body = [params.get('body'), t('attribution.mailOrigin', { origin })].filter(Boolean).join('\n\n');
+    params.set('body', body);
+
+    // URLSearchParams codifica espaço como "+", que clientes de e-mail não decodificam
+    link.href = `${address}?${params.toString().replace(/\+/g, '%20')}`;
+  });
+
+  document.addEventListener('projekt:languagechange', refreshMailLinks, { signal });
+  refreshMailLinks();
+
+  const params = new URLSearchParams(window.location.search);
+  const removeDebug = params.get('debug') === 'attribution' ? renderAttributionDebug(signal) : null;
+
+  return () => {
+    mailLinks.forEach((link, i) => link.setAttribute('href', baseHrefs[i]));
+    removeDebug?.();
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   31. CONTEÚDO GERENCIADO (JSON VERSIONADO)
+   Painéis de serviço, diferenciais, etapas da metodologia e
+   métricas do manifesto vêm de um único JSON
+   (body[data-content-source]). O HTML estático continua sendo
+   o fallback sem JS, com JSON inválido ou se o fetch falhar.
+
+   Formato (versão CONTENT_VERSION): { version, stats, services,
+   diferenciais, steps } — campos em CONTENT_SCHEMA. Textos
+   aceitam string simples ou { "pt-BR": …, "en": …, "es": … };
+   "\n" nos títulos vira quebra de linha.
+
+   Problemas no JSON geram avisos no console; itens sem campo
+   obrigatório são descartados e uma lista sem itens válidos
+   mantém o HTML daquela seção. Depois de renderizar, reinicia
+   scroll reveal, contadores e GSAP e dispara
+   'projekt:contentchange' no document.
+───────────────────────────────────────────────────────── */
+const CONTENT_VERSION = 1;
+
+/**
+ * Campos por lista: "text" (localizável), "text[]", "string",
+ * "number"; "?" no início = opcional.
+ */
+const CONTENT_SCHEMA = {
+  stats:        { value: 'number', label: 'text', suffix: '?string', format: '?string', decimals: '?number' },
+  services:     { id: 'string', label: 'text', eyebrow: 'text', title: 'text', description: 'text',
+                  features: 'text[]', image: '?string', variant: '?string' },
+  diferenciais: { icon: 'string', title: 'text', body: 'text' },
+  steps:        { title: 'text', body: 'text' },
+};
+
+/**
+ * Confere um valor contra o tipo do schema.
+ * @param {*} value
+ * @param {string} type - Sem o "?"
+ * @returns {string|null} Problema encontrado, ou null
+ */
+function checkContentType(value, type) {
+  if (type === 'text[]') {
+    if (!Array.isArray(value)) return 'deveria ser uma lista';
+    return value.map(entry => checkContentType(entry, 'text')).find(Boolean) || null;
+  }
+
+  if (type === 'text') {
+    if (typeof value === 'string') return value.trim() ? null : 'texto vazio';
+    if (!value || typeof value !== 'object') return 'deveria ser texto ou { idioma: texto }';
+
+    const missing = Object.keys(I18N_LOCALES).filter(lang => typeof value[lang] !== 'string');
+    return missing.length === Object.keys(I18N_LOCALES).length ? 'nenhum idioma preenchido' : null;
+  }
+
+  return typeof value === type ? null : `deveria ser ${type}`;
+}
+
+/**
+ * Valida o documento de conteúdo contra o CONTENT_SCHEMA.
+ * @param {Object} doc
+ * @returns {{ content: Object<string, Object[]>, warnings: string[] }}
+ *   content só com os itens válidos de cada lista
+ */
+function validateContent(doc) {
+  const warnings = [];
+  const content = {};
+
+  if (doc?.version !== CONTENT_VERSION) {
+    warnings.push(`version ${doc?.version} não suportada (esperado ${CONTENT_VERSION})`);
+    return { content, warnings };
+  }
+
+  Object.entries(CONTENT_SCHEMA).forEach(([list, fields]) => {
+    if (doc[list] === undefined) return;
+    if (!Array.isArray(doc[list])) {
+      warnings.push(`${list}: deveria ser uma lista`);
+      return;
+    }
+
+    content[list] = doc[list].filter((item, index) => {
+      let valid = true;
+
+      Object.entries(fields).forEach(([field, spec]) => {
+        const optional = spec.startsWith('?');
+        const type = spec.replace('?', '');
+        const path = `${list}[${index}].${field}`;
+
+        if (item?.[field] === undefined || item[field] === null) {
+          if (!optional) {
+            warnings.push(`${path}: campo obrigatório ausente`);
+            valid = false;
+          }
+          return;
+        }
+
+        const problem = checkContentType(item[field], type);
+        if (problem) {
+          warnings.push(`${path}: ${problem}`);
+          valid = false;
+          return;
+        }
+
+        // Tradução faltando não descarta o item (cai no pt-BR)
+        [].concat(item[field]).forEach((value, i) => {
+          if (!value || typeof value !== 'object') return;
+          const at = Array.isArray(item[field]) ? `${path}[${i}]` : path;
+          Object.keys(I18N_LOCALES)
+            .filter(lang => typeof value[lang] !== 'string')
+            .forEach(lang => warnings.push(`${at}: sem texto em "${lang}"`));
+        });
+      });
+
+      return valid;
+    });
+
+    if (!content[list].length) warnings.push(`${list}: nenhum item válido, mantendo o HTML`);
+  });
+
+  return { content, warnings };
+}
+
+/**
+ * Texto com quebras de linha ("\n" → <br>), sem interpretar HTML.
+ * @param {Element} el
+ * @param {string} text
+ */
+function setTextLines(el, text) {
+  const parts = [];
+  text.split('\n').forEach((line, i) => {
+    if (i) parts.push(document.createElement('br'));
+    parts.push(document.createTextNode(line));
+  });
+  el.replaceChildren(...parts);
+}
+
+/**
+ * URL de imagem aceita no conteúdo (http/https ou relativa).
+ * @param {string} url
+ * @returns {string|null} URL absoluta ou null
+ */
+function safeContentUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cria um elemento com classes (atalho dos renderizadores abaixo).
+ * @param {string} tag
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createContentElement(tag, className = '') {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  return el;
+}
+
+/**
+ * Renderizadores: (item, índice, total, bind) → elemento.
+ * bind(el, valor, opções) registra o texto localizável para ser
+ * reaplicado na troca de idioma.
+ */
+const contentRenderers = {
+  stats(item, index, total, bind) {
+    const card = createContentElement('div', 'stat-card');
+
+    const number = createContentElement('span', 'stat-number');
+    number.dataset.target = String(item.value);
+    if (item.format) number.dataset.format = item.format;
+    if (item.decimals !== undefined) number.dataset.decimals = String(item.decimals);
+    number.textContent = formatCounterValue(item.value, readCounterConfig(number));
+    card.appendChild(number);
+
+    if (item.suffix) {
+      const suffix = createContentElement('span', 'stat-suffix');
+      suffix.textContent = item.suffix;
+      card.appendChild(suffix);
+    }
+
+    card.appendChild(bind(createContentElement('span', 'stat-label'), item.label));
+    return card;
+  },
+
+  services(item, index, total, bind) {
+    const right = index % 2 === 1;
+    const ai = item.variant === 'ai';
+    const image = item.image && safeContentUrl(item.image);
+
+    const panel = createContentElement('article', `service-panel panel-align-bottom${ai ? ' service-panel-ai' : ''}`);
+    panel.dataset.service = item.id;
+    if (image) panel.style.setProperty('--panel-bg', `url(${JSON.stringify(image)})`);
+    bind(panel, item.label, { attr: 'aria-label' });
+
+    const overlay = createContentElement('div', `panel-overlay${right ? ' panel-overlay-right' : ''}`);
+    overlay.setAttribute('aria-hidden', 'true');
+
+    const content = createContentElement('div', 'panel-content container');
+    const inner = createContentElement('div', `panel-inner ${right ? 'align-right' : 'align-left'}`);
+
+    const features = createContentElement('ul', 'panel-features reveal-up');
+    item.features.forEach(feature => {
+      const li = document.createElement('li');
+      const check = createContentElement('i', 'fas fa-check');
+      check.setAttribute('aria-hidden', 'true');
+      li.append(check, ' ', bind(document.createElement('span'), feature));
+      features.appendChild(li);
+    });
+
+    // Mesmo CTA do HTML: texto da interface, traduzido pelo i18n
+    const cta = createContentElement('a', `panel-cta reveal-up${ai ? ' panel-cta-ai' : ''}`);
+    cta.href = '#contato';
+    const ctaLabel = document.createElement('span');
+    ctaLabel.dataset.i18n = 'solucoes.cta';
+    ctaLabel.textContent = t('solucoes.cta');
+    const arrow = createContentElement('i', 'fas fa-arrow-right');
+    arrow.setAttribute('aria-hidden', 'true');
+    cta.append(ctaLabel, ' ', arrow);
+
+    inner.append(
+      bind(createContentElement('span', `panel-eyebrow reveal-up${ai ? ' panel-eyebrow-ai' : ''}`), item.eyebrow),
+      bind(createContentElement('h2', 'panel-title reveal-up'), item.title, { lines: true }),
+      bind(createContentElement('p', 'panel-description reveal-up'), item.description),
+      features,
+      cta,
+    );
+    content.appendChild(inner);
+    panel.append(overlay, content);
+    return panel;
+  },
+
+  diferenciais(item, index, total, bind) {
+    const card = createContentElement('div', 'diferencial-card reveal-up');
+    const icon = createContentElement('div', 'diferencial-icon');
+    const glyph = createContentElement('i', item.icon);
+    glyph.setAttribute('aria-hidden', 'true');
+    icon.appendChild(glyph);
+
+    card.append(
+      icon,
+      bind(createContentElement('h3', 'diferencial-title'), item.title),
+      bind(createContentElement('p', 'diferencial-body'), item.body),
+    );
+    return card;
+  },
+
+  steps(item, index, total, bind) {
+    const step = createContentElement('div', 'process-step reveal-up');
+    step.setAttribute('role', 'listitem');
+
+    const number = createContentElement('div', 'step-number');
+    number.setAttribute('aria-hidden', 'true');
+    number.textContent = String(index + 1).padStart(2, '0');
+
+    const connector = createContentElement('div', `step-connector${index === total - 1 ? ' last-step' : ''}`);
+    connector.setAttribute('aria-hidden', 'true');
+
+    const content = createContentElement('div', 'step-content');
+    content.append(
+      bind(createContentElement('h3', 'step-title'), item.title),
+      bind(createContentElement('p', 'step-body'), item.body),
+    );
+
+    step.append(number, connector, content);
+    return step;
+  },
+};
+
+// Onde cada lista é renderizada
+const CONTENT_TARGETS = {
+  stats:        '#manifesto .stats-grid',
+  services:     '#solucoes',
+  diferenciais: '.diferenciais-grid',
+  steps:        '.process-timeline',
+};
+
+// Módulos que leem esses elementos ao iniciar
+const CONTENT_DEPENDENT_MODULES = ['scrollAnimations', 'counters', 'gsap'];
+
+function initContent({ signal }) {
+  const source = document.body.dataset.contentSource;
+  if (!source) return;
+
+  const bindings = [];   // { el, value, attr, lines } — textos localizáveis
+  const originals = new Map();  // container → filhos do HTML estático
+
+  /** @returns {Element} o próprio el, para encadear */
+  const bind = (el, value, { attr, lines = false } = {}) => {
+    bindings.push({ el, value, attr, lines });
+    return el;
+  };
+
+  /** Aplica os textos no idioma ativo. */
+  const applyBindings = () => bindings.forEach(({ el, value, attr, lines }) => {
+    const text = localized(value);
+    if (attr) el.setAttribute(attr, text);
+    else if (lines) setTextLines(el, text);
+    else el.textContent = text;
+  });
+
+  /**
+   * Troca o conteúdo dos containers com os módulos dependentes
+   * desligados (voltam já vendo os elementos novos).
+   * @param {Function} swap
+   */
+  const replaceContent = swap => {
+    restartModules(CONTENT_DEPENDENT_MODULES, swap);
+    document.dispatchEvent(new CustomEvent('projekt:contentchange'));
+  };
+
+  async function load() {
+    let doc;
+    try {
+      const response = await fetch(source, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      doc = await response.json();
+    } catch (error) {
+      console.warn('Projekt: conteúdo indisponível, mantendo o HTML.', error);
+      return;
+    }
+    if (signal.aborted) return;
+
+    const { content, warnings } = validateContent(doc);
+    if (warnings.length) {
+      console.warn(`Projekt: ${source} com ${warnings.length} problema(s):\n- ${warnings.join('\n- ')}`);
+    }
+
+    const lists = Object.keys(content).filter(list => content[list].length && $(CONTENT_TARGETS[list]));
+    if (!lists.length) return;
+
+    replaceContent(() => {
+      lists.forEach(list => {
+        const container = $(CONTENT_TARGETS[list]);
+        const items = content[list];
+        originals.set(container, [...container.children]);
+        container.replaceChildren(...items.map((item, index) => (
+          contentRenderers[list](item, index, items.length, bind)
+        )));
+      });
+      applyBindings();
+    });
+  }
+
+  document.addEventListener('projekt:languagechange', applyBindings, { signal });
+  load();
+
+  // Desligado: volta o HTML estático (no idioma ativo)
+  return () => {
+    if (!originals.size) return;
+    replaceContent(() => {
+      originals.forEach((children, container) => {
+        container.replaceChildren(...children);
+        applyTranslations(container);
+      });
+    });
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   32. DADOS ESTRUTURADOS (JSON-LD)
+   Um <script type="application/ld+json"> no <head> com um
+   @graph Schema.org montado a partir da própria página —
+   nunca diverge do que o visitante vê:
+
+     ProfessionalService  meta (author, description, canonical,
+                          og:image), .contato-address[data-*],
+                          WhatsApp (body[data-whatsapp]), e-mail
+                          (primeiro mailto:) e LinkedIn
+     Service              cada .service-panel
+     Review / AggregateRating  cada .testimonial-card (nota só
+                          nos cards do feed, data-rating)
+     HowTo                etapas do #metodologia
+
+   Refeito ao trocar idioma, conteúdo (seção 31) ou depoimentos.
+   Projekt.validateStructuredData() lista as propriedades
+   obrigatórias que faltam (STRUCTURED_DATA_REQUIRED).
+───────────────────────────────────────────────────────── */
+const STRUCTURED_DATA_ID = 'structuredData';
+
+/**
+ * Propriedades obrigatórias por @type (base: requisitos de
+ * rich results do Google e do Schema.org). "a|b" = basta uma.
+ */
+const STRUCTURED_DATA_REQUIRED = {
+  ProfessionalService: ['name', 'url', 'address', 'telephone'],
+  PostalAddress:       ['addressLocality', 'addressRegion', 'addressCountry'],
+  ContactPoint:        ['contactType', 'telephone|email'],
+  Service:             ['name'],
+  Review:              ['author', 'reviewBody', 'itemReviewed'],
+  Rating:              ['ratingValue', 'bestRating'],
+  AggregateRating:     ['ratingValue', 'reviewCount', 'bestRating'],
+  Person:              ['name'],
+  HowTo:               ['name', 'step'],
+  HowToStep:           ['name', 'text', 'position'],
+};
+
+/**
+ * Endereço da página sem hash nem query (canonical, se houver).
+ * @returns {string}
+ */
+function getCanonicalUrl() {
+  // Num post de insights o canonical é o do post (?insight=): o site é a base dele
+  const url = new URL($('link[rel="canonical"]')?.href || window.location.href);
+  return url.origin + url.pathname;
+}
+
+/**
+ * Texto de um depoimento sem as aspas decorativas.
+ * @param {string} text
+ * @returns {string}
+ */
+const stripQuotes = text => text.replace(/^["“”]+|["“”]+$/g, '').trim();
+
+/**
+ * Monta o @graph a partir do DOM atual.
+ * @returns {Object} Documento JSON-LD
+ */
+function buildStructuredData() {
+  const url = getCanonicalUrl();
+  const orgId = `${url}#organization`;
+  const meta = name => $(`meta[name="${name}"], meta[property="${name}"]`)?.getAttribute('content') || '';
+
+  // ── Organização ──
+  const address = $('.contato-address');
+  const phone = document.body.dataset.whatsapp;
+  const email = $('a[href^="mailto:"]')?.getAttribute('href').replace(/^mailto:/, '').split('?')[0];
+  const sameAs = [...$$('a.channel-linkedin, a[rel~="me"]')].map(link => link.href);
+
+  const organization = {
+    '@type': 'ProfessionalService',
+    '@id': orgId,
+    name: meta('author'),
+    description: meta('description'),
+    url,
+    image: meta('og:image') || undefined,
+    telephone: phone ? `+${phone.replace(/\D/g, '')}` : undefined,
+    email: email || undefined,
+    address: address ? {
+      '@type': 'PostalAddress',
+      streetAddress:   address.dataset.street || undefined,
+      postalCode:      address.dataset.postalCode || undefined,
+      addressLocality: address.dataset.locality,
+      addressRegion:   address.dataset.region,
+      addressCountry:  address.dataset.country,
+    } : undefined,
+    areaServed: address?.dataset.country || undefined,
+    contactPoint: [
+      phone && {
+        '@type': 'ContactPoint',
+        contactType: 'sales',
+        telephone: `+${phone.replace(/\D/g, '')}`,
+        url: buildWhatsAppUrl(phone),
+        availableLanguage: Object.values(I18N_LOCALES).map(locale => locale.htmlLang),
+      },
+      email && {
+        '@type': 'ContactPoint',
+        contactType: 'customer support',
+        email,
+        availableLanguage: Object.values(I18N_LOCALES).map(locale => locale.htmlLang),
+      },
+    ].filter(Boolean),
+    sameAs: sameAs.length ? sameAs : undefined,
+  };
+
+  // ── Depoimentos ──
+  const reviews = [...$$('.testimonial-card')].map(card => {
+    const rating = parseInt(card.dataset.rating, 10);
+    return {
+      '@type': 'Review',
+      author: { '@type': 'Person', name: textOf($('.author-name', card)) },
+      reviewBody: stripQuotes(textOf($('.testimonial-quote', card))),
+      itemReviewed: { '@id': orgId },
+      reviewRating: rating ? { '@type': 'Rating', ratingValue: rating, bestRating: 5, worstRating: 1 } : undefined,
+    };
+  }).filter(review => review.author.name && review.reviewBody);
+
+  const rated = reviews.filter(review => review.reviewRating);
+  if (reviews.length) organization.review = reviews;
+  if (rated.length) {
+    const average = rated.reduce((sum, review) => sum + review.reviewRating.ratingValue, 0) / rated.length;
+    organization.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round(average * 10) / 10,
+      reviewCount: rated.length,
+      bestRating: 5,
+      worstRating: 1,
+    };
+  }
+
+  // ── Serviços ──
+  const services = [...$$('.service-panel')].map((panel, index) => ({
+    '@type': 'Service',
+    '@id': `${url}#service-${panel.dataset.service || index + 1}`,
+    name: panel.getAttribute('aria-label') || textOf($('.panel-title', panel)),
+    description: textOf($('.panel-description', panel)),
+    serviceType: textOf($('.panel-title', panel)),
+    provider: { '@id': orgId },
+    areaServed: organization.areaServed,
+    hasOfferCatalog: {
+      '@type': 'OfferCatalog',
+      name: textOf($('.panel-title', panel)),
+      itemListElement: [...$$('.panel-features li', panel)].map(feature => ({
+        '@type': 'Offer',
+        itemOffered: { '@type': 'Service', name: textOf(feature) },
+      })),
+    },
+  }));
+
+  // ── Metodologia ──
+  const methodology = $('#metodologia');
+  const steps = methodology ? [...$$('.process-step', methodology)] : [];
+  const howTo = steps.length ? {
+    '@type': 'HowTo',
+    '@id': `${url}#metodologia`,
+    name: textOf($('.section-title', methodology)),
+    description: textOf($('.section-subtitle', methodology)) || undefined,
+    inLanguage: I18N_LOCALES[getLanguage()].htmlLang,
+    step: steps.map((step, index) => ({
+      '@type': 'HowToStep',
+      position: index + 1,
+      name: textOf($('.step-title', step)),
+      text: textOf($('.step-body', step)),
+    })),
+  } : null;
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [organization, ...services, howTo].filter(Boolean),
+  };
+}
+
+/**
+ * Lista as propriedades obrigatórias ausentes em cada nó com
+ * @type (percorre o documento inteiro).
+ * @param {Object} data - Documento JSON-LD
+ * @returns {Array<{ path: string, type: string, property: string }>}
+ */
+function validateStructuredData(data) {
+  const problems = [];
+  const isEmpty = value => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && !value.length);
+
+  const visit = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => visit(child, `${path}[${index}]`));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    (STRUCTURED_DATA_REQUIRED[node['@type']] || []).forEach(property => {
+      if (property.split('|').every(name => isEmpty(node[name]))) {
+        problems.push({ path, type: node['@type'], property });
+      }
+    });
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (!key.startsWith('@')) visit(value, `${path}.${key}`);
+    });
+  };
+
+  visit(data['@graph'] || data, '@graph');
+  return problems;
+}
+
+function initStructuredData({ signal }) {
+  let script = document.getElementById(STRUCTURED_DATA_ID);
+  const created = !script;
+
+  if (created) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = STRUCTURED_DATA_ID;
+    document.head.appendChild(script);
+  }
+
+  const update = () => {
+    const data = buildStructuredData();
+    // "</" fechado dentro de texto não pode encerrar o <script>
+    script.textContent = JSON.stringify(data).replace(/<\//g, '<\\/');
+
+    const problems = validateStructuredData(data);
+    if (problems.length) {
+      console.warn('Projekt: dados estruturados incompletos.',
+        problems.map(({ path, property }) => `${path}.${property}`));
+    }
+  };
+
+  // Vários eventos juntos (troca de idioma refaz tudo) → um só rebuild
+  const scheduleUpdate = debounce(update, 100);
+  document.addEventListener('projekt:languagechange', scheduleUpdate, { signal });
+  document.addEventListener('projekt:contentchange', scheduleUpdate, { signal });
+  $('#testimonialsTrack')?.addEventListener('projekt:testimonials-change', scheduleUpdate, { signal });
+  update();
+
+  return () => {
+    if (created) script.remove();
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   33. CASES (PORTFÓLIO FILTRÁVEL + ROTAS #case/<id>)
+   Grid de cases a partir de um JSON (data-source no
+   #casesGrid), filtrável por área (taxonomia do
+   #servicoSelect) e por setor (#caseIndustry).
+
+   Cada card aponta para #case/<id>, e o detalhe abre no
+   #caseDialog sempre que o hash vira uma rota de case:
+   clique, link compartilhado, reload, voltar/avançar.
+   Fechar o diálogo desfaz a rota — volta no histórico se ela
+   foi aberta na própria página, ou troca por #cases se a
+   visita chegou direto pelo link.
+
+   Formato: { version, industries: { id: texto }, cases: [{
+   id, client, industry, areas, year, title, summary,
+   challenge, approach, results, metrics: [{ value, label,
+   format, decimals, prefix, suffix }] }] }. Textos aceitam
+   string simples ou { "pt-BR": …, "en": …, "es": … }; as
+   métricas usam a animação de contadores (seção 7).
+───────────────────────────────────────────────────────── */
+const CASES_VERSION = 1;
+const CASE_ROUTE = /^#case\/([\w-]+)$/;
+const CASE_TEXT_FIELDS = ['title', 'summary', 'challenge', 'approach', 'results'];
+
+/**
+ * Id do case na rota do hash (null se não for rota de case).
+ * @param {string} [hash=location.hash]
+ * @returns {string|null}
+ */
+function getCaseRoute(hash = window.location.hash) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(hash);
+  } catch {
+    return null;
+  }
+  const match = CASE_ROUTE.exec(decoded);
+  return match ? match[1] : null;
+}
+
+/**
+ * Valida o arquivo de cases. Cases sem id ou sem algum texto
+ * do detalhe são descartados; áreas fora de TESTIMONIAL_AREAS
+ * são ignoradas.
+ * @param {Object} doc
+ * @returns {{ industries: Object, cases: Object[], warnings: string[] }}
+ */
+function parseCases(doc) {
+  const warnings = [];
+  if (doc?.version !== CASES_VERSION) {
+    warnings.push(`version ${doc?.version} não suportada (esperado ${CASES_VERSION})`);
+    return { industries: {}, cases: [], warnings };
+  }
+
+  const industries = doc.industries || {};
+  const seen = new Set();
+
+  const cases = (doc.cases || []).filter((item, index) => {
+    const id = item?.id;
+    if (typeof id !== 'string' || !CASE_ROUTE.test(`#case/${id}`) || seen.has(id)) {
+      warnings.push(`cases[${index}].id: ausente, repetido ou com caracteres fora de [a-z0-9_-]`);
+      return false;
+    }
+
+    const missing = CASE_TEXT_FIELDS.filter(field => checkContentType(item[field], 'text'));
+    if (missing.length) {
+      warnings.push(`cases[${index}] (${id}): ${missing.join(', ')} inválido(s)`);
+      return false;
+    }
+
+    seen.add(id);
+    return true;
+  }).map(item => ({
+    ...item,
+    areas:   (item.areas || []).filter(area => TESTIMONIAL_AREAS.includes(area)),
+    metrics: (item.metrics || []).filter(metric => typeof metric.value === 'number' && metric.label),
+  }));
+
+  return { industries, cases, warnings };
+}
+
+/**
+ * Elemento de uma métrica: valor (contador) + rótulo, já com o
+ * valor final formatado.
+ * @param {Object} metric
+ * @returns {HTMLElement} <div> com <dt> e <dd> (válido dentro de <dl>)
+ */
+function createCaseMetric(metric) {
+  const wrapper = createContentElement('div', 'case-metric');
+
+  const label = createContentElement('dt', 'case-metric-label');
+  label.textContent = localized(metric.label);
+
+  const value = createContentElement('dd', 'case-metric-value');
+  value.dataset.counter = '';
+  value.dataset.target = String(metric.value);
+  if (metric.format) value.dataset.format = metric.format;
+  if (metric.decimals !== undefined) value.dataset.decimals = String(metric.decimals);
+  if (metric.prefix) value.dataset.prefix = metric.prefix;
+  if (metric.suffix) value.dataset.suffix = metric.suffix;
+  value.textContent = formatCounterValue(metric.value, readCounterConfig(value));
+
+  wrapper.append(label, value);
+  return wrapper;
+}
+
+/**
+ * "Cliente · Setor · Ano" de um case.
+ * @param {Object} item
+ * @param {Object} industries
+ * @returns {string}
+ */
+function describeCase(item, industries) {
+  return [item.client, localized(industries[item.industry]), item.year].filter(Boolean).join(' · ');
+}
+
+/**
+ * Lista de áreas de um case (rótulos do #servicoSelect).
+ * @param {string[]} areas
+ * @returns {HTMLElement[]}
+ */
+function createCaseTags(areas) {
+  return areas.map(area => {
+    const li = createContentElement('li', 'case-tag');
+    li.textContent = t(`form.servico.${area}`);
+    return li;
+  });
+}
+
+/**
+ * Card do grid. O título é o link da rota; o CSS estende a área
+ * clicável para o card inteiro.
+ * @param {Object} item
+ * @param {Object} industries
+ * @returns {HTMLElement}
+ */
+function createCaseCard(item, industries) {
+  const card = createContentElement('article', 'case-card');
+  card.setAttribute('role', 'listitem');
+  card.dataset.areas = item.areas.join(' ');
+  card.dataset.industry = item.industry || '';
+
+  const meta = createContentElement('p', 'case-meta');
+  meta.textContent = describeCase(item, industries);
+
+  const title = createContentElement('h3', 'case-card-title');
+  const link = createContentElement('a', 'case-card-link');
+  link.href = `#case/${item.id}`;
+  link.dataset.case = item.id;
+  link.textContent = localized(item.title);
+  title.appendChild(link);
+
+  const summary = createContentElement('p', 'case-card-summary');
+  summary.textContent = localized(item.summary);
+
+  card.append(meta, title, summary);
+
+  // Métrica de destaque (a primeira) direto no card
+  if (item.metrics.length) {
+    const highlight = createContentElement('dl', 'case-card-metric');
+    highlight.appendChild(createCaseMetric(item.metrics[0]));
+    card.appendChild(highlight);
+  }
+
+  if (item.areas.length) {
+    const tags = createContentElement('ul', 'case-tags');
+    tags.append(...createCaseTags(item.areas));
+    card.appendChild(tags);
+  }
+
+  return card;
+}
+
+function initCases({ signal }) {
+  const section  = $('#cases');
+  const grid     = $('#casesGrid');
+  const dialogEl = $('#caseDialog');
+  if (!section || !grid?.dataset.source || !dialogEl) return;
+
+  const filters  = $$('.case-filter', section);
+  const industry = $('#caseIndustry');
+  const empty    = $('#casesEmpty');
+  const status   = $('#casesStatus');
+
+  const view = {
+    meta:      $('#caseDialogMeta', dialogEl),
+    title:     $('#caseDialogTitle', dialogEl),
+    summary:   $('#caseDialogSummary', dialogEl),
+    areas:     $('#caseDialogAreas', dialogEl),
+    metrics:   $('#caseDialogMetrics', dialogEl),
+    challenge: $('#caseDialogChallenge', dialogEl),
+    approach:  $('#caseDialogApproach', dialogEl),
+    results:   $('#caseDialogResults', dialogEl),
+  };
+
+  let data = null;         // { industries, cases } — null até carregar
+  let loading = null;      // Promise do carregamento (um fetch só)
+  let activeArea = '';     // '' = todas as áreas
+  let current = null;      // Case aberto no diálogo
+  let ownEntry = false;    // A rota aberta criou entrada no histórico desta página
+  let routeClosing = false; // Fechamento pedido pelo próprio hash (nada a desfazer)
+  let counters = null;     // { controller, destroy } dos contadores do case aberto
+
+  const dialog = createDialog(dialogEl, { signal, swipe: 'down', onClose: handleClose });
+
+  // ── Carregamento ──
+
+  /**
+   * Busca e valida os cases (uma vez). Sem cases, a seção some:
+   * não há HTML estático de fallback.
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const response = await fetch(grid.dataset.source, { headers: { 'Accept': 'application/json' } });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+          const parsed = parseCases(await response.json());
+          if (parsed.warnings.length) {
+            console.warn(`Projekt: ${grid.dataset.source} com ${parsed.warnings.length} problema(s):\n- ${parsed.warnings.join('\n- ')}`);
+          }
+          if (!parsed.cases.length) throw new Error('Arquivo sem cases válidos');
+          if (signal.aborted) return;
+
+          data = parsed;
+          fillIndustries();
+          render();
+        } catch (error) {
+          console.warn('Projekt: cases indisponíveis, seção oculta.', error);
+          section.hidden = true;
+        }
+      })();
+    }
+    return loading;
+  }
+
+  // ── Grid e filtros ──
+
+  /** Opções do filtro de setor: só setores com algum case. */
+  function fillIndustries() {
+    if (!industry) return;
+    const selected = industry.value;
+    const ids = [...new Set(data.cases.map(item => item.industry).filter(Boolean))];
+
+    const options = ids
+      .map(id => ({ id, label: localized(data.industries[id]) || id }))
+      .sort((a, b) => a.label.localeCompare(b.label, I18N_LOCALES[getLanguage()].htmlLang))
+      .map(({ id, label }) => new Option(label, id, false, id === selected));
+
+    industry.replaceChildren(industry.options[0], ...options);
+  }
+
+  /**
+   * Renderiza os cards que passam nos filtros.
+   * @param {boolean} [announce=false] - Anuncia a contagem (troca de filtro)
+   */
+  function render(announce = false) {
+    const sector = industry?.value || '';
+    const visible = data.cases.filter(item => (
+      (!activeArea || item.areas.includes(activeArea)) && (!sector || item.industry === sector)
+    ));
+
+    grid.replaceChildren(...visible.map(item => createCaseCard(item, data.industries)));
+    if (empty) empty.hidden = visible.length > 0;
+    if (announce && status) status.textContent = t('cases.count', { n: visible.length });
+
+    grid.dispatchEvent(new CustomEvent('projekt:cases-change'));
+  }
+
+  filters.forEach(btn => {
+    btn.addEventListener('click', () => {
+      activeArea = btn.dataset.area || '';
+      filters.forEach(other => other.setAttribute('aria-pressed', other === btn ? 'true' : 'false'));
+      if (!data) return;
+      render(true);
+      trackEvent('case_filter', { area: activeArea || 'todos', setor: industry?.value || 'todos' });
+    }, { signal });
+  });
+
+  industry?.addEventListener('change', () => {
+    if (!data) return;
+    render(true);
+    trackEvent('case_filter', { area: activeArea || 'todos', setor: industry.value || 'todos' });
+  }, { signal });
+
+  // ── Detalhe ──
+
+  /** Interrompe a contagem das métricas (exibe os valores finais). */
+  function stopCounters() {
+    if (!counters) return;
+    counters.destroy();
+    counters.controller.abort();
+    counters = null;
+  }
+
+  /**
+   * Preenche o diálogo com um case no idioma ativo (métricas já
+   * com os valores finais).
+   * @param {Object} item
+   */
+  function fill(item) {
+    stopCounters();
+
+    view.meta.textContent      = describeCase(item, data.industries);
+    view.title.textContent     = localized(item.title);
+    view.summary.textContent   = localized(item.summary);
+    view.challenge.textContent = localized(item.challenge);
+    view.approach.textContent  = localized(item.approach);
+    view.results.textContent   = localized(item.results);
+    view.areas.replaceChildren(...createCaseTags(item.areas));
+    view.metrics.replaceChildren(...item.metrics.map(createCaseMetric));
+    view.metrics.hidden = !item.metrics.length;
+  }
+
+  /** Métricas do diálogo contam do zero (com o diálogo visível). */
+  function animateCounters() {
+    stopCounters();
+    const controller = new AbortController();
+    counters = {
+      controller,
+      destroy: observeCounters($$(COUNTER_SELECTOR, view.metrics), { signal: controller.signal }),
+    };
+  }
+
+  /**
+   * Abre o detalhe de um case.
+   * @param {Object} item
+   * @param {'link'|'url'} origin - Clique na página ou visita direta
+   */
+  function show(item, origin) {
+    const card = $(`[data-case="${item.id}"]`, grid);
+
+    // Visita direta: o grid fica por baixo, para quem fechar o detalhe
+    if (origin === 'url') scrollToTarget(section, 'instant');
+
+    // Preenchido antes de abrir: o leitor de tela anuncia o título
+    current = item;
+    fill(item);
+    // Foco volta ao card ao fechar (ou ao elemento da página, sem card)
+    dialog.open(card || document.activeElement);
+    animateCounters();
+    trackEvent('case_open', { case: item.id, origin });
+  }
+
+  /** Diálogo fechado (botão, Escape, clique fora, swipe ou rota). */
+  function handleClose() {
+    stopCounters();
+    current = null;
+
+    const fromRoute = routeClosing;
+    routeClosing = false;
+    if (fromRoute || signal.aborted || !getCaseRoute()) return;
+
+    // Desfaz a rota: a entrada anterior é desta página → voltar;
+    // visita direta → troca o hash sem sair do site
+    if (ownEntry) {
+      history.back();
+    } else {
+      history.replaceState(history.state, '', `${location.pathname}${location.search}#${section.id}`);
+    }
+  }
+
+  // Botão "fechar" e CTA: o CTA segue para #contato (smooth scroll) e
+  // mantém a rota no histórico — voltar reabre o case
+  $$('[data-dialog-close]', dialogEl).forEach(button => {
+    button.addEventListener('click', () => dialog.close(), { signal });
+  });
+
+  $('[data-case-cta]', dialogEl)?.addEventListener('click', () => {
+    routeClosing = true;
+    dialog.close({ returnFocus: false });
+  }, { signal });
+
+  // ── Rotas ──
+
+  /**
+   * Abre, troca ou fecha o detalhe conforme o hash atual.
+   * @param {boolean} fromPage - Hash mudou com a página aberta
+   */
+  async function route(fromPage) {
+    const id = getCaseRoute();
+
+    if (!id) {
+      if (dialog.isOpen()) {
+        routeClosing = true;
+        dialog.close();
+      }
+      return;
+    }
+
+    if (current?.id === id) return;
+
+    await load();
+    // Rota mudou durante o fetch, ou outro evento já abriu este case
+    if (signal.aborted || !data || getCaseRoute() !== id || current?.id === id) return;
+
+    const item = data.cases.find(entry => entry.id === id);
+    if (!item) {
+      console.warn(`Projekt: case "${id}" não encontrado em ${grid.dataset.source}.`);
+      return;
+    }
+
+    ownEntry = fromPage;
+    show(item, fromPage ? 'link' : 'url');
+  }
+
+  // Cliques nos cards, links colados e voltar/avançar
+  window.addEventListener('hashchange', () => route(true), { signal });
+
+  // Textos do grid e do diálogo acompanham o idioma
+  document.addEventListener('projekt:languagechange', () => {
+    if (!data) return;
+    fillIndustries();
+    render();
+    if (current) fill(current);
+  }, { signal });
+
+  // ── Carregamento: já na entrada com rota, senão perto da viewport ──
+  let observer = null;
+  if (getCaseRoute()) {
+    route(false);
+  } else {
+    observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        load();
+      }
+    }, { rootMargin: '400px 0px' });
+    observer.observe(section);
+  }
+
+  return () => {
+    observer?.disconnect();
+    stopCounters();
+    section.hidden = false;
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   34. INSIGHTS (POSTS EM MARKDOWN + ROTAS ?insight=<slug>)
+   Lista os posts de um índice local (data-source no
+   #insightsList) e abre cada um no #insightPost, com URL
+   própria via History API: ?insight=<slug>. Query string em
+   vez de caminho (/insights/<slug>) para funcionar em
+   hospedagem estática e sem quebrar os caminhos relativos de
+   CSS e JS. Reload, voltar e avançar reabrem a mesma view.
+
+   Índice: { version, posts: ["slug", …] } → <slug>.md na
+   mesma pasta. Cada post começa com front-matter:
+
+     ---
+     title: Título do post
+     date: 2025-10-14
+     author: Equipe Projekt
+     tags: [ia, governança]
+     readingTime: 8          (opcional: calculado pelas palavras)
+     description: Resumo     (opcional: 1º parágrafo)
+     image: https://…        (opcional: og:image)
+     lang: pt-BR             (opcional: padrão I18N_DEFAULT)
+     draft: true             (opcional: fora da lista)
+     ---
+
+   O Markdown vira DOM com createElement/textContent — HTML
+   cru no texto aparece como texto, nunca é interpretado.
+   Links só http(s)/mailto; imagens só http(s). Suporta
+   títulos, parágrafos, ênfase, código (inline e em bloco),
+   listas (aninhadas), citações, tabelas com alinhamento,
+   linhas horizontais, links e imagens.
+
+   Com um post aberto: title, description, canonical e as
+   tags og: e twitter: passam a ser as do post, e a barra de
+   progresso (seção 3) mede a leitura do artigo. O feed Atom
+   é estático (feed.xml, gerado por dev/build-feed.js).
+───────────────────────────────────────────────────────── */
+const INSIGHTS_VERSION = 1;
+const INSIGHT_PARAM = 'insight';   // Mesmo nome em dev/build-feed.js
+const INSIGHT_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/; // Mesmo padrão em dev/build-feed.js
+const READING_WORDS_PER_MINUTE = 200;
+
+// Data do post = meio-dia de Brasília, o mesmo instante do feed
+// (toTimestamp em dev/build-feed.js); exibida nesse fuso para
+// o dia não mudar para quem lê de outro lugar
+const INSIGHT_TIME_ZONE = 'America/Sao_Paulo';
+const INSIGHT_TIME      = 'T12:00:00-03:00';
+
+/**
+ * Lê o front-matter (subconjunto de YAML: "chave: valor",
+ * listas [a, b] ou com "- item", aspas opcionais).
+ * @param {string} source
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(source) {
+  const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+  if (!match) return { data: {}, body: source };
+
+  /** @param {string} raw @returns {string|number|boolean} */
+  const scalar = (raw) => {
+    const value = raw.trim();
+    if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  };
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(scalar(item[1]));
+      return;
+    }
+
+    const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!pair) return;
+    const [, key, raw] = pair;
+
+    listKey = raw.trim() ? null : key;
+    if (listKey) {
+      data[key] = [];
+    } else if (/^\[.*\]$/.test(raw.trim())) {
+      data[key] = raw.trim().slice(1, -1).split(',').map(scalar).filter(value => value !== '');
+    } else {
+      data[key] = scalar(raw);
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * URL aceita em links do Markdown: http(s), mailto ou relativa.
+ * @param {string} href
+ * @returns {string|null} URL absoluta ou null
+ */
+function safeLinkUrl(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Regras inline, testadas em ordem na posição atual do texto.
+ * render(match) devolve o nó (ou null para tratar como texto).
+ */
+const MARKDOWN_INLINE = [
+  // Escape: \* vira * literal
+  { pattern: /^\\([!-/:-@[-`{-~])/, render: m => document.createTextNode(m[1]) },
+  { pattern: /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/, render: m => markdownElement('code', m[2].trim()) },
+  { pattern: /^!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/, render: m => renderMarkdownImage(m[2], m[1], m[3]) },
+  { pattern: /^\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/, render: m => renderMarkdownLink(m[2], m[1], m[3]) },
+  { pattern: /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/, render: m => renderMarkdownLink(m[1], m[1].replace(/^mailto:/, '')) },
+  { pattern: /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/, render: m => markdownElement('strong', parseInlineMarkdown(m[2])) },
+  { pattern: /^~~(?=\S)([\s\S]*?\S)~~/, render: m => markdownElement('del', parseInlineMarkdown(m[1])) },
+  { pattern: /^([*_])(?=\S)([\s\S]*?\S)\1/, render: m => markdownElement('em', parseInlineMarkdown(m[2])) },
+  // Quebra de linha: dois espaços ou \ no fim da linha
+  { pattern: /^(?: {2,}|\\)\n/, render: () => document.createElement('br') },
+];
+
+/**
+ * Elemento com texto ou filhos.
+ * @param {string} tag
+ * @param {string|Node} content
+ * @returns {HTMLElement}
+ */
+function markdownElement(tag, content) {
+  const el = document.createElement(tag);
+  if (typeof content === 'string') el.textContent = content;
+  else el.appendChild(content);
+  return el;
+}
+
+/**
+ * Link do Markdown. Externos abrem em nova aba; URL recusada
+ * vira só o texto.
+ * @param {string} href
+ * @param {string} label - Markdown inline
+ * @param {string} [title]
+ * @returns {Node}
+ */
+function renderMarkdownLink(href, label, title) {
+  const url = safeLinkUrl(href);
+  if (!url) return parseInlineMarkdown(label);
+
+  const link = markdownElement('a', parseInlineMarkdown(label));
+  link.href = url;
+  if (title) link.title = title;
+  if (!url.startsWith('mailto:') && new URL(url).origin !== window.location.origin) {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+  }
+  return link;
+}
+
+/**
+ * Imagem do Markdown (só http/https). URL recusada vira o alt.
+ * @param {string} src
+ * @param {string} alt
+ * @param {string} [title]
+ * @returns {Node}
+ */
+function renderMarkdownImage(src, alt, title) {
+  const url = safeContentUrl(src);
+  if (!url) return document.createTextNode(alt);
+
+  const img = document.createElement('img');
+  img.src = url;
+  img.alt = alt;
+  img.loading = 'lazy';
+  img.decoding = 'async';
+  if (title) img.title = title;
+  return img;
+}
+
+/**
+ * Converte o Markdown inline de um bloco em nós.
+ * @param {string} text
+ * @returns {DocumentFragment}
+ */
+function parseInlineMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) fragment.appendChild(document.createTextNode(buffer.replace(/\n/g, ' ')));
+    buffer = '';
+  };
+
+  let rest = text;
+  while (rest) {
+    let matched = null;
+
+    // "_" no meio de palavra (snake_case) não é ênfase
+    const intraword = rest[0] === '_' && /\w/.test(buffer.slice(-1));
+
+    if (!intraword && /[\\`!\[<*_~ ]/.test(rest[0])) {
+      for (const rule of MARKDOWN_INLINE) {
+        const m = rule.pattern.exec(rest);
+        const node = m && rule.render(m);
+        if (node) {
+          matched = { node, length: m[0].length };
+          break;
+        }
+      }
+    }
+
+    if (matched) {
+      flush();
+      fragment.appendChild(matched.node);
+      rest = rest.slice(matched.length);
+    } else {
+      buffer += rest[0];
+      rest = rest.slice(1);
+    }
+  }
+
+  flush();
+  return fragment;
+}
+
+const MD_FENCE   = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_RULE    = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_QUOTE   = /^ {0,3}>\s?/;
+const MD_LIST    = /^( {0,3})([-*+]|\d{1,9}[.)])\s+/;
+const MD_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * A linha abre uma tabela (cabeçalho seguido de |---|)?
+ * @param {string} line
+ * @param {string} [next]
+ * @returns {boolean}
+ */
+const isMarkdownTable = (line, next) => line.includes('|') && next !== undefined && next.includes('-') && MD_TABLE_DIVIDER.test(next);
+
+/**
+ * A linha começa um bloco que não seja parágrafo?
+ * @param {string} line
+ * @param {string} [next]
+ * @returns {boolean}
+ */
+const startsMarkdownBlock = (line, next) => [MD_FENCE, MD_HEADING, MD_RULE, MD_QUOTE, MD_LIST]
+  .some(pattern => pattern.test(line)) || isMarkdownTable(line, next);
+
+/**
+ * Células de uma linha de tabela ("\|" é uma barra literal).
+ * @param {string} line
+ * @returns {string[]}
+ */
+const splitTableRow = line => line.trim()
+  .replace(/^\|/, '')
+  .replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+/**
+ * Monta uma tabela com rolagem horizontal própria.
+ * @param {string[]} rows - Cabeçalho, divisória e linhas do corpo
+ * @returns {HTMLElement}
+ */
+function renderMarkdownTable(rows) {
+  const header = splitTableRow(rows[0]);
+  const aligns = splitTableRow(rows[1]).map(cell => {
+    if (/^:-+:$/.test(cell)) return 'center';
+    if (/-+:$/.test(cell)) return 'right';
+    return /^:/.test(cell) ? 'left' : '';
+  });
+
+  /** @param {string[]} cells @param {string} tag @returns {HTMLTableRowElement} */
+  const row = (cells, tag) => {
+    const tr = document.createElement('tr');
+    header.forEach((_, index) => {
+      const cell = markdownElement(tag, parseInlineMarkdown(cells[index] || ''));
+      if (tag === 'th') cell.scope = 'col';
+      if (aligns[index]) cell.style.textAlign = aligns[index];
+      tr.appendChild(cell);
+    });
+    return tr;
+  };
+
+  const table = document.createElement('table');
+  table.appendChild(markdownElement('thead', row(header, 'th')));
+  if (rows.length > 2) {
+    const tbody = document.createElement('tbody');
+    rows.slice(2).forEach(line => tbody.appendChild(row(splitTableRow(line), 'td')));
+    table.appendChild(tbody);
+  }
+
+  // Focável: quem usa teclado consegue rolar tabelas largas
+  const wrapper = markdownElement('div', table);
+  wrapper.className = 'insight-table';
+  wrapper.tabIndex = 0;
+  return wrapper;
+}
+
+/**
+ * Converte linhas de Markdown em blocos.
+ * @param {string[]} lines
+ * @returns {DocumentFragment}
+ */
+function parseMarkdownBlocks(lines) {
+  const fragment = document.createDocumentFragment();
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((m = MD_FENCE.exec(line))) {
+      // Bloco de código: texto puro até a cerca de fechamento
+      const fence = m[1];
+      const code = [];
+      for (i++; i < lines.length && !(lines[i].trim().startsWith(fence) && !lines[i].trim().slice(fence.length).trim()); i++) {
+        code.push(lines[i]);
+      }
+      i++;
+
+      const pre = markdownElement('pre', markdownElement('code', code.join('\n')));
+      pre.className = 'insight-code';
+      pre.tabIndex = 0;
+      if (m[2]) {
+        pre.dataset.lang = m[2];
+        pre.firstChild.className = `language-${m[2]}`;
+      }
+      fragment.appendChild(pre);
+    } else if ((m = MD_HEADING.exec(line))) {
+      // O título do post é o <h1>: "#" e "##" viram <h2>
+      fragment.appendChild(markdownElement(`h${Math.max(2, m[1].length)}`, parseInlineMarkdown(m[2])));
+      i++;
+    } else if (MD_RULE.test(line)) {
+      fragment.appendChild(document.createElement('hr'));
+      i++;
+    } else if (MD_QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (MD_QUOTE.test(lines[i]) || !startsMarkdownBlock(lines[i], lines[i + 1]))) {
+        quoted.push(lines[i].replace(MD_QUOTE, ''));
+        i++;
+      }
+      fragment.appendChild(markdownElement('blockquote', parseMarkdownBlocks(quoted)));
+    } else if ((m = MD_LIST.exec(line))) {
+      const ordered = /\d/.test(m[2]);
+      const list = document.createElement(ordered ? 'ol' : 'ul');
+      if (ordered && parseInt(m[2], 10) !== 1) list.start = parseInt(m[2], 10);
+      const baseIndent = m[1].length;
+
+      while (i < lines.length) {
+        const item = MD_LIST.exec(lines[i]);
+        if (!item || item[1].length !== baseIndent || /\d/.test(item[2]) !== ordered) break;
+
+        const contentIndent = item[0].length;
+        const itemLines = [lines[i].slice(contentIndent)];
+        let loose = false;
+
+        for (i++; i < lines.length; i++) {
+          const next = lines[i];
+          const indent = next.length - next.trimStart().length;
+
+          if (!next.trim()) {
+            // Linha em branco só continua o item se a seguinte estiver recuada
+            const following = lines[i + 1];
+            if (following?.trim() && following.length - following.trimStart().length >= contentIndent) {
+              itemLines.push('');
+              loose = true;
+              continue;
+            }
+            break;
+          }
+
+          if (indent >= contentIndent || (indent > baseIndent && MD_LIST.test(next))) {
+            itemLines.push(next.slice(Math.min(indent, contentIndent)));
+          } else if (!startsMarkdownBlock(next, lines[i + 1])) {
+            itemLines.push(next.trim()); // Continuação sem recuo
+          } else {
+            break;
+          }
+        }
+
+        // Item simples: texto direto no <li>, sem <p>
+        const content = parseMarkdownBlocks(itemLines);
+        const li = document.createElement('li');
+        if (!loose && content.firstChild?.tagName === 'P') {
+          li.append(...content.firstChild.childNodes);
+          content.firstChild.remove();
+        }
+        li.appendChild(content);
+        list.appendChild(li);
+
+        // Itens separados por linha em branco continuam a lista
+        if (!lines[i]?.trim() && MD_LIST.test(lines[i + 1] || '')) i++;
+      }
+
+      fragment.appendChild(list);
+    } else if (isMarkdownTable(line, lines[i + 1])) {
+      const rows = [line, lines[i + 1]];
+      for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) rows.push(lines[i]);
+      fragment.appendChild(renderMarkdownTable(rows));
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsMarkdownBlock(lines[i], lines[i + 1]))) {
+        paragraph.push(lines[i].replace(/^\s+/, ''));
+        i++;
+      }
+      fragment.appendChild(markdownElement('p', parseInlineMarkdown(paragraph.join('\n').replace(/\s+$/, ''))));
+    }
+  }
+
+  return fragment;
+}
+
+/**
+ * Converte um documento Markdown em DOM (sem HTML cru).
+ * @param {string} source
+ * @returns {DocumentFragment}
+ */
+function renderMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return parseMarkdownBlocks(lines);
+}
+
+/**
+ * Texto corrido de um Markdown (resumo e contagem de palavras).
+ * @param {string} source
+ * @returns {string}
+ */
+function markdownToText(source) {
+  const container = document.createElement('div');
+  container.appendChild(renderMarkdown(source));
+  return textOf(container);
+}
+
+/**
+ * Monta o post a partir do arquivo. Sem título ou data válida,
+ * devolve null (o post fica fora da lista).
+ * @param {string} slug
+ * @param {string} source
+ * @returns {{ post: Object|null, problem: string|null }}
+ */
+function parseInsight(slug, source) {
+  const { data, body } = parseFrontMatter(source);
+  const date = new Date(`${data.date}${INSIGHT_TIME}`);
+
+  if (typeof data.title !== 'string' || !data.title.trim()) return { post: null, problem: 'title ausente' };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date)) || Number.isNaN(date.getTime())) {
+    return { post: null, problem: 'date deveria ser AAAA-MM-DD' };
+  }
+  if (data.draft === true) return { post: null, problem: null };
+
+  const text = markdownToText(body);
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const firstParagraph = body.split(/\n\s*\n/).find(block => block.trim() && !startsMarkdownBlock(block.trim(), ''));
+
+  return {
+    post: {
+      slug,
+      title:       data.title.trim(),
+      date,
+      published:   String(data.date),
+      author:      typeof data.author === 'string' ? data.author : '',
+      tags:        (Array.isArray(data.tags) ? data.tags : [data.tags]).filter(tag => typeof tag === 'string' && tag),
+      readingTime: Number(data.readingTime) > 0
+        ? Math.round(data.readingTime)
+        : Math.max(1, Math.round(words / READING_WORDS_PER_MINUTE)),
+      description: typeof data.description === 'string' && data.description.trim()
+        ? data.description.trim()
+        : (firstParagraph ? markdownToText(firstParagraph) : text).slice(0, 200),
+      image:       typeof data.image === 'string' ? safeContentUrl(data.image) : null,
+      lang:        matchLocale(data.lang) || I18N_DEFAULT,
+      body,
+    },
+    problem: null,
+  };
+}
+
+/**
+ * URL de um post (ou da home, com slug null) a partir de outra
+ * URL, mantendo os demais parâmetros (ex.: ?lang=).
+ * @param {string|null} slug
+ * @param {string} [base=location.href]
+ * @returns {URL}
+ */
+function getInsightUrl(slug, base = window.location.href) {
+  const url = new URL(base);
+  url.hash = '';
+  if (slug) url.searchParams.set(INSIGHT_PARAM, slug);
+  else url.searchParams.delete(INSIGHT_PARAM);
+  return url;
+}
+
+/**
+ * Slug do post na URL atual (null fora de um post).
+ * @returns {string|null}
+ */
+function getInsightRoute() {
+  const slug = new URLSearchParams(window.location.search).get(INSIGHT_PARAM);
+  return slug && INSIGHT_SLUG.test(slug) ? slug : null;
+}
+
+/**
+ * Troca title, description, canonical e as tags og:/twitter:
+ * pelas do post; cria as article:*.
+ * @param {Object} post
+ * @returns {Function} Restaura os valores anteriores
+ */
+function applyInsightMeta(post) {
+  const saved = [];
+  const created = [];
+  const previousTitle = document.title;
+  const canonical = $('link[rel="canonical"]');
+  const url = getInsightUrl(post.slug, canonical?.href || window.location.href).href;
+
+  /** Troca um atributo guardando o valor anterior. */
+  const set = (selector, attr, value) => {
+    const el = $(selector, document.head);
+    if (!el) return;
+    saved.push([el, attr, el.getAttribute(attr)]);
+    el.setAttribute(attr, value);
+  };
+
+  /** Cria uma <meta property> removida ao sair do post. */
+  const add = (property, content) => {
+    const meta = document.createElement('meta');
+    meta.setAttribute('property', property);
+    meta.content = content;
+    document.head.appendChild(meta);
+    created.push(meta);
+  };
+
+  document.title = t('insights.docTitle', { title: post.title });
+  set('meta[name="description"]', 'content', post.description);
+  set('link[rel="canonical"]', 'href', url);
+  set('meta[property="og:type"]', 'content', 'article');
+  set('meta[property="og:url"]', 'content', url);
+  set('meta[property="og:title"]', 'content', post.title);
+  set('meta[property="og:description"]', 'content', post.description);
+  set('meta[name="twitter:title"]', 'content', post.title);
+  set('meta[name="twitter:description"]', 'content', post.description);
+  if (post.image) set('meta[property="og:image"]', 'content', post.image);
+
+  add('article:published_time', post.published);
+  if (post.author) add('article:author', post.author);
+  post.tags.forEach(tag => add('article:tag', tag));
+
+  return () => {
+    document.title = previousTitle;
+    saved.reverse().forEach(([el, attr, value]) => {
+      if (value === null) el.removeAttribute(attr);
+      else el.setAttribute(attr, value);
+    });
+    created.forEach(el => el.remove());
+  };
+}
+
+/**
+ * "14 de outubro de 2025 · 8 min de leitura · Por Autor"
+ * @param {Object} post
+ * @param {Object} [options]
+ * @param {boolean} [options.author=false] - Inclui o autor
+ * @returns {DocumentFragment}
+ */
+function createInsightMeta(post, { author = false } = {}) {
+  const fragment = document.createDocumentFragment();
+  const time = document.createElement('time');
+  time.dateTime = post.published;
+  time.textContent = formatDate(post.date, { dateStyle: 'long', timeZone: INSIGHT_TIME_ZONE });
+
+  const details = [t('insights.readingTime', { n: post.readingTime })];
+  if (author && post.author) details.push(t('insights.by', { author: post.author }));
+
+  fragment.append(time, ` · ${details.join(' · ')}`);
+  return fragment;
+}
+
+/**
+ * Tags de um post (mesmo visual das áreas dos cases).
+ * @param {string[]} tags
+ * @returns {HTMLElement[]}
+ */
+const createInsightTags = tags => tags.map(tag => {
+  const li = createContentElement('li', 'case-tag');
+  li.textContent = `#${tag}`;
+  return li;
+});
+
+/**
+ * Card da listagem. O link é uma URL real (abrir em nova aba
+ * funciona); o clique normal é tratado pelo roteador.
+ * @param {Object} post
+ * @returns {HTMLElement}
+ */
+function createInsightCard(post) {
+  const card = createContentElement('article', 'insight-card');
+  card.setAttribute('role', 'listitem');
+  card.lang = I18N_LOCALES[post.lang].htmlLang;
+
+  const meta = createContentElement('p', 'insight-meta');
+  meta.appendChild(createInsightMeta(post));
+
+  const title = createContentElement('h3', 'insight-card-title');
+  const link = createContentElement('a', 'insight-card-link');
+  const url = getInsightUrl(post.slug);
+  link.href = url.pathname + url.search;
+  link.dataset.insight = post.slug;
+  link.textContent = post.title;
+  title.appendChild(link);
+
+  const summary = createContentElement('p', 'insight-card-summary');
+  summary.textContent = post.description;
+
+  const tags = createContentElement('ul', 'case-tags');
+  tags.append(...createInsightTags(post.tags));
+
+  card.append(meta, title, summary, tags);
+  return card;
+}
+
+function initInsights({ signal }) {
+  const list = $('#insightsList');
+  const view = $('#insightPost');
+  const main = $('main');
+  if (!list?.dataset.source || !view || !main) return;
+
+  const section = list.closest('section');
+  const parts = {
+    meta:  $('#insightPostMeta', view),
+    title: $('#insightPostTitle', view),
+    tags:  $('#insightPostTags', view),
+    body:  $('#insightPostBody', view),
+  };
+
+  let posts = null;        // Posts publicados, do mais recente ao mais antigo
+  let loading = null;      // Promise do carregamento (uma vez)
+  let current = null;      // Post aberto
+  let hiddenByView = [];   // Seções ocultadas enquanto um post está aberto
+  let restoreMeta = null;
+
+  // ── Carregamento ──
+
+  /**
+   * Busca o índice e todos os posts (o front-matter alimenta a
+   * lista). Post com erro fica de fora; sem nenhum, a seção some.
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (loading) return loading;
+
+    loading = (async () => {
+      const indexUrl = new URL(list.dataset.source, window.location.href);
+      try {
+        const response = await fetch(indexUrl, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const index = await response.json();
+        if (index?.version !== INSIGHTS_VERSION) throw new Error(`version ${index?.version} não suportada`);
+
+        const slugs = (index.posts || []).filter(slug => {
+          if (typeof slug === 'string' && INSIGHT_SLUG.test(slug)) return true;
+          console.warn(`Projekt: slug de insight inválido no índice: ${JSON.stringify(slug)}`);
+          return false;
+        });
+
+        const loaded = await Promise.all(slugs.map(async slug => {
+          try {
+            const file = await fetch(new URL(`${slug}.md`, indexUrl), { headers: { 'Accept': 'text/markdown, text/plain' } });
+            if (!file.ok) throw new Error(`HTTP ${file.status}`);
+            const { post, problem } = parseInsight(slug, await file.text());
+            if (problem) console.warn(`Projekt: insight "${slug}" ignorado: ${problem}.`);
+            return post;
+          } catch (error) {
+            console.warn(`Projekt: insight "${slug}" indisponível.`, error);
+            return null;
+          }
+        }));
+
+        if (signal.aborted) return;
+        posts = loaded.filter(Boolean).sort((a, b) => b.date - a.date);
+        if (!posts.length) throw new Error('Nenhum post publicado');
+        renderList();
+      } catch (error) {
+        console.warn('Projekt: insights indisponíveis, seção oculta.', error);
+        if (section) section.hidden = true;
+      }
+    })();
+
+    return loading;
+  }
+
+  function renderList() {
+    list.replaceChildren(...posts.map(createInsightCard));
+    list.dispatchEvent(new CustomEvent('projekt:insights-change'));
+  }
+
+  // ── Views ──
+
+  /**
+   * Mostra um post ou a home (null). Avisa os outros módulos
+   * com 'projekt:viewchange'.
+   * @param {Object|null} post
+   */
+  function setView(post) {
+    const wasOpen = Boolean(current);
+    current = post;
+
+    restoreMeta?.();
+    restoreMeta = null;
+
+    if (post) {
+      if (!wasOpen) {
+        hiddenByView = [...main.children].filter(el => el !== view && !el.hidden);
+        hiddenByView.forEach(el => { el.hidden = true; });
+      }
+      fillPost(post);
+      view.hidden = false;
+      restoreMeta = applyInsightMeta(post);
+    } else if (wasOpen) {
+      view.hidden = true;
+      hiddenByView.forEach(el => { el.hidden = false; });
+      hiddenByView = [];
+    }
+
+    document.dispatchEvent(new CustomEvent('projekt:viewchange', {
+      detail: { view: post ? 'insight' : 'home', slug: post?.slug || null },
+    }));
+  }
+
+  /** Textos do post (meta e tags no idioma ativo). */
+  function fillPost(post) {
+    view.lang = I18N_LOCALES[post.lang].htmlLang;
+    parts.meta.replaceChildren(createInsightMeta(post, { author: true }));
+    parts.title.textContent = post.title;
+    parts.tags.replaceChildren(...createInsightTags(post.tags));
+    parts.body.replaceChildren(renderMarkdown(post.body));
+  }
+
+  /**
+   * Aplica a URL atual: abre o post do ?insight= ou volta à home.
+   * @param {Object} [options]
+   * @param {number} [options.scrollY] - Posição a restaurar na home
+   */
+  async function route({ scrollY } = {}) {
+    const slug = getInsightRoute();
+
+    if (!slug) {
+      if (!current) return;
+      const closed = current.slug;
+      setView(null);
+      if (scrollY !== undefined) window.scrollTo({ top: scrollY, behavior: 'instant' });
+      $(`[data-insight="${closed}"]`, list)?.focus({ preventScroll: true });
+      return;
+    }
+
+    if (current?.slug === slug) return;
+    await load();
+    if (signal.aborted || getInsightRoute() !== slug) return;
+
+    const post = posts?.find(entry => entry.slug === slug);
+    if (!post) {
+      // Post removido ou link errado: volta à home sem sair do site
+      console.warn(`Projekt: insight "${slug}" não encontrado.`);
+      history.replaceState(history.state, '', getInsightUrl(null));
+      if (current) setView(null);
+      return;
+    }
+
+    setView(post);
+    window.scrollTo({ top: 0, behavior: 'instant' });
+    parts.title.focus({ preventScroll: true });
+    trackEvent('insight_view', { slug });
+  }
+
+  /**
+   * Abre um post com uma nova entrada no histórico, guardando a
+   * rolagem da view atual para o voltar.
+   * @param {string} slug
+   */
+  function openPost(slug) {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    history.pushState(null, '', getInsightUrl(slug));
+    route();
+  }
+
+  /**
+   * Sai do post para um link da própria página (#contato, #cases,
+   * #case/<id>) em uma única entrada do histórico.
+   * @param {URL} url
+   */
+  function leaveTo(url) {
+    const oldURL = window.location.href;
+    history.pushState(null, '', url);
+    setView(null);
+
+    // pushState não dispara hashchange: avisa quem reage ao hash
+    // (scroll-spy rola até a seção, cases abrem o detalhe)
+    if (url.hash) {
+      window.dispatchEvent(new HashChangeEvent('hashchange', { oldURL, newURL: url.href }));
+    } else {
+      window.scrollTo({ top: 0, behavior: 'instant' });
+    }
+  }
+
+  // Captura: roda antes do smooth scroll (seção 11) nos links #hash
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest?.('a[href]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    if (link.target === '_blank' || link.hasAttribute('download')) return;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) return;
+
+    // "#contato" dentro do post resolve para ?insight=<slug>#contato: é
+    // um link da página, não do post
+    const samePage = url.hash && url.search === window.location.search;
+    const slug = samePage ? null : url.searchParams.get(INSIGHT_PARAM);
+    if (slug && INSIGHT_SLUG.test(slug)) {
+      e.preventDefault();
+      if (slug !== current?.slug) openPost(slug);
+      return;
+    }
+
+    // Na home, links #hash seguem o fluxo normal
+    if (!current) return;
+    e.preventDefault();
+    const target = getInsightUrl(null, url.href);
+    target.hash = url.hash;
+    leaveTo(target);
+  }, { capture: true, signal });
+
+  window.addEventListener('popstate', (e) => route({ scrollY: e.state?.scrollY }), { signal });
+
+  // Chrome (meta, data) acompanha o idioma; o texto do post fica no idioma dele
+  document.addEventListener('projekt:languagechange', () => {
+    if (!posts) return;
+    renderList();
+    if (current) {
+      restoreMeta?.();
+      applyTranslations(document.head);
+      parts.meta.replaceChildren(createInsightMeta(current, { author: true }));
+      restoreMeta = applyInsightMeta(current);
+    }
+  }, { signal });
+
+  // ── Carregamento: já na entrada com ?insight=, senão perto da viewport ──
+  let observer = null;
+  if (getInsightRoute()) {
+    route();
+  } else {
+    observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        load();
+      }
+    }, { rootMargin: '400px 0px' });
+    if (section) observer.observe(section);
+  }
+
+  return () => {
+    observer?.disconnect();
+    if (current) setView(null);
+    if (section) section.hidden = false;
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   35. MONITORAMENTO DE USUÁRIOS REAIS (RUM)
+   Core Web Vitals (LCP, CLS, INP, TTFB), long tasks e erros de
+   JS medidos nos visitantes e enviados em lotes por sendBeacon.
+
+   Configuração no <body>:
+     data-rum-endpoint  URL do coletor (POST JSON). Sem ela, o
+                        módulo não mede nada.
+     data-rum-sample    Fração das visitas medidas, de 0 a 1
+                        (padrão 1), sorteada a cada carregamento.
+                        Em desenvolvimento, use "1".
+
+   Nada sai do navegador sem o consentimento de analytics
+   (seção 17): até lá os eventos esperam na memória, e a recusa
+   descarta a fila. Erros trazem o módulo de origem quando há
+   um — pelo registro (seção 23) nas falhas de init()/destroy()
+   e, nos demais, pela init() que aparece na pilha.
+   Coletor local: POST /api/rum do dev/mock-server.js.
+───────────────────────────────────────────────────────── */
+const RUM_VERSION          = 1;
+const RUM_BATCH_SIZE       = 10;    // Eventos por envio
+const RUM_FLUSH_DELAY      = 5000;  // ms até enviar um lote incompleto
+const RUM_QUEUE_LIMIT      = 50;    // Fila máxima à espera do consentimento
+const RUM_ERROR_LIMIT      = 20;    // Erros distintos por carregamento
+const RUM_STACK_LIMIT      = 1500;  // Caracteres da pilha enviados
+const RUM_LONGTASK_SAMPLES = 10;    // Long tasks detalhadas no resumo
+const RUM_INP_CANDIDATES   = 10;    // Interações mais lentas guardadas
+
+// Limites de "bom" e "ruim" de cada métrica (os do web.dev)
+const RUM_THRESHOLDS = {
+  LCP:  [2500, 4000],
+  CLS:  [0.1, 0.25],
+  INP:  [200, 500],
+  TTFB: [800, 1800],
+};
+
+/**
+ * Lê a configuração do RUM dos data-attributes do <body>.
+ * @returns {{endpoint: string|null, sample: number}}
+ */
+function readRumConfig() {
+  const ds = document.body.dataset;
+  const sample = Number.parseFloat(ds.rumSample);
+  return {
+    endpoint: ds.rumEndpoint || null,
+    sample:   Number.isFinite(sample) ? Math.min(1, Math.max(0, sample)) : 1,
+  };
+}
+
+/**
+ * Classifica o valor de uma métrica.
+ * @param {'LCP'|'CLS'|'INP'|'TTFB'} name
+ * @param {number} value
+ * @returns {'good'|'needs-improvement'|'poor'}
+ */
+function rateMetric(name, value) {
+  const [good, poor] = RUM_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Seletor curto de um elemento (tag#id.classe) — o que foi o LCP,
+ * o que deslocou o layout ou o alvo de uma interação lenta.
+ * @param {Node|null} node
+ * @returns {string|null}
+ */
+function describeRumTarget(node) {
+  const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!el) return null;
+
+  const id = el.id ? `#${el.id}` : '';
+  const classes = [...el.classList].slice(0, 2).map(name => `.${name}`).join('');
+  return `${el.tagName.toLowerCase()}${id}${classes}`;
+}
+
+/**
+ * Mensagem e pilha de qualquer valor lançado.
+ * @param {*} error
+ * @returns {{message: string, stack: string|null}}
+ */
+function describeRumError(error) {
+  // Sem instanceof: erros de outro realm (iframes) também contam
+  if (typeof error?.message === 'string') {
+    return {
+      message: `${error.name || 'Error'}: ${error.message}`,
+      stack:   error.stack ? error.stack.slice(0, RUM_STACK_LIMIT) : null,
+    };
+  }
+  return { message: String(error?.message ?? error), stack: null };
+}
+
+/**
+ * Módulo cuja init() aparece mais no topo da pilha do erro.
+ * Melhor esforço: callbacks registrados pela init() (listeners,
+ * timers) rodam depois dela e, em geral, não a trazem na pilha.
+ * @param {string|null} stack
+ * @returns {{module: string, init: string}|null}
+ */
+function findModuleInStack(stack) {
+  if (!stack) return null;
+
+  let found = null;
+  let foundAt = Infinity;
+  moduleRegistry.forEach(module => {
+    const name = module.init.name;
+    const index = name ? stack.search(new RegExp(`\\b${name}\\b`)) : -1;
+    if (index >= 0 && index < foundAt) {
+      found = { module: module.name, init: name };
+      foundAt = index;
+    }
+  });
+  return found;
+}
+
+/**
+ * Contexto enviado com cada lote: página (sem UTMs nem outros
+ * parâmetros), idioma, nível de movimento e dicas do dispositivo.
+ * @param {{sample: number}} config
+ * @returns {Object}
+ */
+function getRumContext(config) {
+  const slug = getInsightRoute();
+  return {
+    page:         window.location.pathname + (slug ? `?${INSIGHT_PARAM}=${slug}` : ''),
+    lang:         getLanguage(),
+    motion:       getMotionTier(),
+    viewport:     `${window.innerWidth}x${window.innerHeight}`,
+    connection:   navigator.connection?.effectiveType || null,
+    deviceMemory: navigator.deviceMemory || null,
+    sample:       config.sample,
+  };
+}
+
+function initRum({ signal }) {
+  const config = readRumConfig();
+  if (!config.endpoint || Math.random() >= config.sample) return;
+
+  const pageId = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const observers = [];
+  let queue = [];
+  let flushTimer = null;
+
+  // ── Fila e envio ──
+
+  /** Envia a fila em lotes; sem consentimento, ela espera. */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!queue.length || !hasAnalyticsConsent()) return;
+
+    while (queue.length) {
+      const events = queue.splice(0, RUM_BATCH_SIZE);
+      const body = JSON.stringify({ v: RUM_VERSION, id: pageId, ...getRumContext(config), events });
+
+      // sendBeacon sobrevive ao fechamento da aba (quando as métricas fecham)
+      const blob = new Blob([body], { type: 'application/json' });
+      if (!navigator.sendBeacon?.(config.endpoint, blob)) {
+        fetch(config.endpoint, { method: 'POST', body, keepalive: true,
+          headers: { 'Content-Type': 'application/json' } }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Põe um evento na fila: lote cheio sai na hora, incompleto
+   * depois de RUM_FLUSH_DELAY.
+   * @param {Object} event
+   */
+  function enqueue(event) {
+    queue.push({ ...event, t: Math.round(performance.now()) });
+    if (queue.length > RUM_QUEUE_LIMIT) queue = queue.slice(-RUM_QUEUE_LIMIT);
+
+    if (queue.length >= RUM_BATCH_SIZE) flush();
+    else if (!flushTimer) flushTimer = setTimeout(flush, RUM_FLUSH_DELAY);
+  }
+
+  /**
+   * PerformanceObserver com as entradas anteriores ao módulo
+   * (buffered). Tipos não suportados são ignorados.
+   * @returns {PerformanceObserver|null}
+   */
+  function observe(type, callback, options = {}) {
+    if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) return null;
+
+    const observer = new PerformanceObserver(list => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    observers.push(observer);
+    return observer;
+  }
+
+  // ── Web Vitals (valor atual; enviados quando a aba é escondida) ──
+  const metrics = {};   // nome → { value, attribution }
+  const sent = {};      // nome → último valor enviado
+  const [navigation] = performance.getEntriesByType?.('navigation') || [];
+  const activationStart = navigation?.activationStart || 0;
+
+  if (navigation?.responseStart > 0) {
+    metrics.TTFB = { value: Math.max(0, navigation.responseStart - activationStart), attribution: null };
+  }
+
+  const onLcp = (entries) => {
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+    metrics.LCP = {
+      value: Math.max(0, entry.startTime - activationStart),
+      attribution: {
+        element: describeRumTarget(entry.element),
+        url: entry.url ? entry.url.split('?')[0] : null,
+      },
+    };
+  };
+  let lcpObserver = observe('largest-contentful-paint', onLcp);
+
+  // O LCP deixa de mudar na primeira interação
+  const finalizeLcp = () => {
+    if (!lcpObserver) return;
+    onLcp(lcpObserver.takeRecords());
+    lcpObserver.disconnect();
+    lcpObserver = null;
+  };
+  ['keydown', 'pointerdown'].forEach(type => {
+    window.addEventListener(type, finalizeLcp, { once: true, capture: true, signal });
+  });
+
+  // CLS: maior janela de deslocamentos (até 1s entre eles, 5s no total)
+  let shifts = [];
+  let shiftsValue = 0;
+  const clsObserver = observe('layout-shift', entries => entries.forEach(entry => {
+    if (entry.hadRecentInput) return;
+
+    const first = shifts[0];
+    const last = shifts[shifts.length - 1];
+    if (last && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+      shifts = [];
+      shiftsValue = 0;
+    }
+    shifts.push(entry);
+    shiftsValue += entry.value;
+
+    if (shiftsValue > metrics.CLS.value) {
+      const largest = shifts.reduce((a, b) => (b.value > a.value ? b : a));
+      metrics.CLS = { value: shiftsValue, attribution: { element: describeRumTarget(largest.sources?.[0]?.node) } };
+    }
+  }));
+  if (clsObserver) metrics.CLS = { value: 0, attribution: null };
+
+  // INP: ~p98 das interações (a cada 50, ignora a mais lenta)
+  const slowest = new Map(); // interactionId → maior entrada
+  let interactionCount = 0;
+  const onInteraction = (entries) => {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+      const known = slowest.get(entry.interactionId);
+      if (!known) interactionCount++;
+      if (!known || entry.duration > known.duration) slowest.set(entry.interactionId, entry);
+    });
+
+    const ranked = [...slowest.values()].sort((a, b) => b.duration - a.duration).slice(0, RUM_INP_CANDIDATES);
+    slowest.clear();
+    ranked.forEach(entry => slowest.set(entry.interactionId, entry));
+
+    const entry = ranked[Math.min(ranked.length - 1, Math.floor(interactionCount / 50))];
+    if (entry) {
+      metrics.INP = {
+        value: entry.duration,
+        attribution: { element: describeRumTarget(entry.target), event: entry.name },
+      };
+    }
+  };
+  observe('event', onInteraction, { durationThreshold: 40 });
+  observe('first-input', onInteraction);
+
+  // Long tasks (> 50ms na thread principal): resumo + as mais longas
+  const longTasks = { count: 0, total: 0, max: 0, samples: [] };
+  let longTasksSent = 0;
+  observe('longtask', entries => entries.forEach(entry => {
+    longTasks.count++;
+    longTasks.total += entry.duration;
+    longTasks.max = Math.max(longTasks.max, entry.duration);
+    longTasks.samples = [...longTasks.samples, {
+      start:     Math.round(entry.startTime),
+      duration:  Math.round(entry.duration),
+      container: entry.attribution?.[0]?.containerType || null,
+    }].sort((a, b) => b.duration - a.duration).slice(0, RUM_LONGTASK_SAMPLES);
+  }));
+
+  /** Enfileira as métricas que mudaram desde o último envio e envia. */
+  function reportVitals() {
+    finalizeLcp();
+
+    Object.entries(metrics).forEach(([name, { value, attribution }]) => {
+      if (sent[name] === value) return;
+      sent[name] = value;
+      enqueue({
+        type: 'metric',
+        name,
+        value: name === 'CLS' ? Math.round(value * 1e4) / 1e4 : Math.round(value),
+        rating: rateMetric(name, value),
+        attribution,
+      });
+    });
+
+    if (longTasks.count > longTasksSent) {
+      longTasksSent = longTasks.count;
+      enqueue({
+        type: 'longtasks',
+        count: longTasks.count,
+        total: Math.round(longTasks.total),
+        max: Math.round(longTasks.max),
+        samples: longTasks.samples,
+      });
+    }
+
+    flush();
+  }
+
+  // Aba escondida é o último momento confiável (mobile nem sempre dispara pagehide)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') reportVitals();
+  }, { signal });
+  window.addEventListener('pagehide', reportVitals, { signal });
+
+  // ── Erros ──
+  const seenErrors = new Set();
+
+  /**
+   * Enfileira um erro (uma vez por mensagem e origem).
+   * @param {'error'|'rejection'|'module'} kind
+   * @param {*} error
+   * @param {Object} [extra] - Origem e/ou módulo já conhecidos
+   */
+  function reportError(kind, error, extra = {}) {
+    const { message, stack } = describeRumError(error);
+    const key = `${kind}|${message}|${extra.source || ''}:${extra.line || ''}`;
+    if (seenErrors.has(key) || seenErrors.size >= RUM_ERROR_LIMIT) return;
+    seenErrors.add(key);
+
+    enqueue({
+      type: 'error',
+      kind,
+      message,
+      stack,
+      ...(findModuleInStack(stack) || { module: null, init: null }),
+      ...extra,
+    });
+  }
+
+  window.addEventListener('error', (e) => {
+    reportError('error', e.error ?? e.message, {
+      source: e.filename || null,
+      line:   e.lineno || null,
+      col:    e.colno || null,
+    });
+  }, { signal });
+
+  window.addEventListener('unhandledrejection', (e) => reportError('rejection', e.reason), { signal });
+
+  // Falhas de init()/destroy(): o registro as contém, então não viram 'error'
+  document.addEventListener('projekt:moduleerror', (e) => {
+    const { module, init, phase, error } = e.detail;
+    reportError('module', error, { module, init, phase });
+  }, { signal });
+
+  // ── Consentimento: aceite envia o que esperava; recusa descarta ──
+  document.addEventListener('projekt:consentchange', (e) => {
+    if (e.detail.analytics) flush();
+    else queue = [];
+  }, { signal });
+
+  return () => {
+    reportVitals();
+    clearTimeout(flushTimer);
+    observers.forEach(observer => observer.disconnect());
+  };
+}
+
+/* ─────────────────────────────────────────────────────────
+   PONTO DE ENTRADA — INIT
+   Registra os módulos na ordem correta e liga o registro
+   quando o DOM estiver completamente carregado.
+───────────────────────────────────────────────────────── */
+defineModule('rum',                  { init: initRum });                // Antes de tudo: vê as falhas dos demais
+defineModule('dynamicStyles',        { init: injectDynamicStyles });    // Estilos dinâmicos antes dos visuais
+defineModule('i18n',                 { init: initI18n });               // Idioma antes de qualquer texto gerado
+defineModule('motion',               { init: initMotionControl });      // Pausa/redução antes dos módulos animados
+defineModule('theme',                { init: initTheme, deps: ['i18n'] }); // Tema (já aplicado no <head>; aqui o botão)
+defineModule('analytics',            { init: initAnalytics });          // Consentimento antes de qualquer evento
+defineModule('cursor',               { init: initCursor, when: ['hover'] });
+defineModule('scrollProgress',       { init: initScrollProgress });
+defineModule('navbar',               { init: initNavbar });
+defineModule('scrollAnimations',     { init: initScrollAnimations });
+defineModule('heroParticles',        { init: initHeroParticles, when: ['motion'] });
+defineModule('counters',             { init: initCounters });
+defineModule('content',              { init: initContent, deps: ['i18n'] }); // JSON → serviços, diferenciais, etapas, métricas
+defineModule('testimonialsCarousel', { init: initTestimonialsCarousel, deps: ['i18n'] });
+defineModule('testimonialsFeed',     { init: initTestimonialsFeed, deps: ['testimonialsCarousel'] });
+defineModule('attribution',          { init: initAttribution, deps: ['i18n'] });
+defineModule('contactForm',          { init: initContactForm, deps: ['i18n'] });
+defineModule('booking',              { init: initBooking, deps: ['i18n'] });
+defineModule('whatsapp',             { init: initWhatsApp, deps: ['i18n'] });
+defineModule('cases',                { init: initCases, deps: ['i18n'] }); // Grid + detalhe em #case/<id>
+defineModule('insights',             { init: initInsights, deps: ['i18n'] }); // Posts em ?insight=<slug>
+defineModule('commandPalette',       { init: initCommandPalette, deps: ['i18n'] });
+defineModule('structuredData',       { init: initStructuredData, deps: ['i18n'] });
+defineModule('smoothScroll',         { init: initSmoothScroll });
+defineModule('scrollSpy',            { init: initScrollSpy });          // Seção ativa no menu + hash na URL
+defineModule('footerYear',           { init: initFooterYear });
+defineModule('offlineQueue',         { init: initOfflineQueue });       // Service worker + fila offline
+defineModule('gsap',                 { init: initGSAP, when: ['motion'] });
+
+document.addEventListener('DOMContentLoaded', () => {
+  console.log('%c PROJEKT ', 'background: #0066ff; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold;', '— Site carregado');
+
+  startModules();
+});
+
+/* ─────────────────────────────────────────────────────────
+   RESIZE HANDLER
+   Recalcula layouts que dependem do tamanho da janela.
+   Debounced para evitar chamadas excessivas: os módulos ouvem
+   'projekt:resize' no window (GSAP, partículas do hero).
+───────────────────────────────────────────────────────── */
+window.addEventListener('resize', debounce(() => {
+  window.dispatchEvent(new CustomEvent('projekt:resize'));
 }, 250));
@@ -0,0 +1,40 @@
+/**
+ * ============================================================
+ * PROJEKT — Proof-of-work anti-spam
+ * ============================================================
+ * Busca do nonce do desafio "pow", compartilhada por:
+ *   • main.js (seção 21) — envio do formulário na página
+ *   • sw.js — reenvio da fila de leads (importScripts)
+ *
+ * Script clássico, sem DOM: roda na janela e no service worker.
+ * Quem chama busca o desafio no endpoint e confere antes se
+ * crypto.subtle existe (só em contexto seguro).
+ * ============================================================
+ */
+
+'use strict';
+
+/**
+ * Procura um nonce cujo SHA-256("challenge:nonce") comece com
+ * `difficulty` bits zerados.
+ * @param {string} challenge - Emitido pelo endpoint do desafio
+ * @param {number} difficulty - Bits zerados exigidos
+ * @returns {Promise<string>} Token "challenge:nonce" para o campo pow
+ */
+async function solveProofOfWork(challenge, difficulty) {
+  const encoder = new TextEncoder();
+  const fullBytes = Math.floor(difficulty / 8);
+  const mask = 0xff << (8 - (difficulty % 8)) & 0xff;
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = new Uint8Array(await crypto.subtle.digest(
+      'SHA-256',
+      encoder.encode(`${challenge}:${nonce}`)
+    ));
+
+    const solved = digest.slice(0, fullBytes).every(byte => byte === 0)
+      && (mask === 0 || (digest[fullBytes] & mask) === 0);
+
+    if (solved) return `${challenge}:${nonce}`;
+  }
+}
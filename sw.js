@@ -0,0 +1,236 @@
+/**
+ * ============================================================
+ * PROJEKT — Service Worker
+ * ============================================================
+ * Responsabilidades:
+ *   1. Precache dos arquivos essenciais (site abre offline)
+ *   2. Estratégia de cache por tipo de requisição
+ *   3. Reenvio da fila de leads offline (Background Sync)
+ *
+ * Ao alterar os arquivos do precache, incremente CACHE_VERSION
+ * para que visitantes recebam a versão nova.
+ * ============================================================
+ */
+
+'use strict';
+
+// Busca do nonce do proof-of-work, a mesma da página
+importScripts('/js/pow.js');
+
+const CACHE_VERSION = 'projekt-v3';
+const RUNTIME_CACHE = 'projekt-runtime-v1';
+
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/css/style.css',
+  '/js/i18n.js',
+  '/js/pow.js',
+  '/js/main.js',
+];
+
+// Mesmos nomes usados em main.js (seção 14) — manter em sincronia
+const LEAD_DB_NAME    = 'projekt';
+const LEAD_DB_VERSION = 1;
+const LEAD_STORE      = 'leadQueue';
+const LEAD_SYNC_TAG   = 'projekt-lead-queue';
+
+/* ─────────────────────────────────────────────────────────
+   1. INSTALAÇÃO E ATIVAÇÃO
+───────────────────────────────────────────────────────── */
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Remove caches de versões anteriores
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== CACHE_VERSION && key !== RUNTIME_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ─────────────────────────────────────────────────────────
+   2. ESTRATÉGIAS DE CACHE
+   - Mesmo domínio: network-first (conteúdo sempre atual,
+     cache só quando offline)
+   - CDNs (fontes, ícones, GSAP): stale-while-revalidate
+   - Requisições não-GET passam direto (envio de leads)
+───────────────────────────────────────────────────────── */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Tenta a rede; se falhar, usa o cache (index.html para navegação).
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_VERSION);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') return cache.match('/index.html');
+    throw error;
+  }
+}
+
+/**
+ * Responde do cache e atualiza em segundo plano.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+  const cache  = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      // Respostas opacas (status 0) de CDNs também são cacheadas
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+/* ─────────────────────────────────────────────────────────
+   3. FILA DE LEADS (BACKGROUND SYNC)
+───────────────────────────────────────────────────────── */
+
+/**
+ * Abre o banco da fila de leads (mesmo schema de main.js).
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLeadDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LEAD_DB_NAME, LEAD_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(LEAD_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror   = () => reject(request.error);
+  });
+}
+
+/**
+ * Executa uma operação no object store da fila.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>}
+ */
+async function withLeadStore(mode, operation) {
+  const db = await openLeadDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LEAD_STORE, mode);
+    const request = operation(tx.objectStore(LEAD_STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror    = () => { db.close(); reject(tx.error); };
+  });
+}
+
+/**
+ * Resolve o proof-of-work do desafio guardado com o lead. Como
+ * solveChallenge() em main.js, falha não bloqueia a fila: o lead
+ * segue sem token e o backend o recusa (4xx → sai da fila).
+ * @param {Object} config - config do lead na fila
+ * @returns {Promise<Object>} Campos extras para o payload
+ */
+async function solveLeadChallenge(config) {
+  if (config.challenge !== 'pow' || !config.challengeEndpoint || !self.crypto?.subtle) return {};
+
+  try {
+    const response = await fetch(config.challengeEndpoint, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error(`Desafio indisponível (HTTP ${response.status})`);
+
+    const { challenge, difficulty } = await response.json();
+    return { pow: await solveProofOfWork(challenge, difficulty) }; // js/pow.js
+  } catch (error) {
+    console.warn('Projekt SW: desafio anti-spam não resolvido.', error);
+    return {};
+  }
+}
+
+/**
+ * Envia um lead da fila com o mesmo formato dos transportes
+ * "json" e "form" de main.js.
+ * @param {Object} lead - { data, config }
+ * @returns {Promise<Response>}
+ */
+function sendLead({ data, config }) {
+  if (config.transport === 'form') {
+    const body = new FormData();
+    Object.entries(data).forEach(([key, value]) => body.append(key, value));
+    return fetch(config.endpoint, { method: 'POST', headers: { 'Accept': 'application/json' }, body });
+  }
+
+  return fetch(config.endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(data),
+  });
+}
+
+/**
+ * Avisa as abas abertas do resultado de um reenvio.
+ * @param {boolean} success
+ */
+async function notifyClients(success) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'lead-replayed', success }));
+}
+
+/**
+ * Reenvia todos os leads da fila. Rejeitar a promise faz o
+ * browser reagendar o sync mais tarde (falha transitória).
+ */
+async function replayLeadQueue() {
+  const leads = await withLeadStore('readonly', store => store.getAll());
+
+  for (const lead of leads) {
+    // Token de uso único: um desafio novo a cada reenvio
+    const extra = await solveLeadChallenge(lead.config);
+    const response = await sendLead({ ...lead, data: { ...lead.data, ...extra } }); // Erro de rede → rejeita → novo sync
+
+    if (response.status === 408 || response.status === 429 || response.status >= 500) {
+      throw new Error(`Falha transitória (HTTP ${response.status})`);
+    }
+
+    // 2xx = enviado; demais 4xx = rejeitado (não adianta repetir)
+    await withLeadStore('readwrite', store => store.delete(lead.id));
+    await notifyClients(response.ok);
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === LEAD_SYNC_TAG) {
+    event.waitUntil(replayLeadQueue());
+  }
+});